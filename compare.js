@@ -0,0 +1,168 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { processAllContracts, processTempoCalendar } = require("./process");
+const { parseLoadCurve } = require("./lib/simulate");
+const { compareContracts } = require("./lib/compare");
+
+const USAGE = `Usage: npm run compare -- --power <kVA> [options]
+
+Consumption (one of):
+  --load-curve <file>        Load curve (CSV or JSON), see --unit and --timestamp
+  --annual-kwh <kWh>         Simple profile: annual consumption
+    --off-peak-ratio <0-1>   Share of the consumption during off-peak hours (default 0.4)
+    --tempo-days <b,w,r>     Number of blue, white and red days (default 300,43,22)
+    --ejp-days <n,p>         Number of normal and peak EJP days (default 343,22)
+
+Options:
+  --from <YYYY-MM-DD>        First day (defaults to the start of the load curve)
+  --to <YYYY-MM-DD>          Last day, inclusive (defaults to the end of the load curve)
+  --current <contract>       Current contract key, deltas are given against it
+  --off-peak-hours <ranges>  Off-peak schedule (default 22:00-06:00), i.e. 01:00-07:00,12:30-14:30
+  --unit <W|Wh|kWh>          Load curve unit (default Wh)
+  --timestamp <start|end>    Whether load curve timestamps mark the start or the end of their interval
+  --contracts <file>         Compare the contracts of a contracts.json file instead of this repository
+  --tempo-calendar <file>    Tempo colours of a tempo-calendar.json file instead of this repository
+  --json                     Output JSON`;
+
+/**
+ * Parses an off-peak schedule such as "22:00-06:00,12:30-14:30"
+ * @param {string} value - Comma separated ranges
+ * @returns {Array} - Ranges { start, end }
+ */
+function parseOffPeakHours(value) {
+  return value.split(",").map((range) => {
+    const [start, end] = range.trim().split("-");
+    return { start, end };
+  });
+}
+
+/**
+ * Formats an amount in price units (euros multiplied by 10000)
+ * @param {number|null} amount - Amount
+ * @returns {string} - Amount in euros
+ */
+function formatEuros(amount) {
+  return amount === null ? "" : `${(amount / 10000).toFixed(2)} €`;
+}
+
+/**
+ * Prints the ranking as a text table
+ * @param {Object} result - Result of compareContracts
+ */
+function printRanking(result) {
+  const rows = result.ranking.map((item, index) => [
+    String(index + 1),
+    item.contract,
+    formatEuros(item.cost),
+    formatEuros(item.annual_cost),
+    item.delta === null
+      ? ""
+      : `${item.delta > 0 ? "+" : ""}${formatEuros(item.delta)} (${item.delta_percent}%)`,
+  ]);
+  const header = ["#", "Contract", "Cost", "Annual cost", "Delta / year"];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length)),
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd();
+
+  console.log(`Period: ${result.from} → ${result.to}\n`);
+  console.log(formatRow(header));
+  console.log(widths.map((width) => "-".repeat(width)).join("  "));
+  rows.forEach((row) => console.log(formatRow(row)));
+
+  if (result.skipped.length > 0) {
+    console.log("\nNot compared:");
+    for (const { contract, reason } of result.skipped) {
+      console.log(`  ${contract}: ${reason}`);
+    }
+  }
+}
+
+/**
+ * Runs the comparison command
+ */
+function main() {
+  const { values } = parseArgs({
+    options: {
+      power: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      current: { type: "string" },
+      "load-curve": { type: "string" },
+      unit: { type: "string", default: "Wh" },
+      timestamp: { type: "string", default: "start" },
+      "annual-kwh": { type: "string" },
+      "off-peak-ratio": { type: "string", default: "0.4" },
+      "tempo-days": { type: "string" },
+      "ejp-days": { type: "string" },
+      "off-peak-hours": { type: "string", default: "22:00-06:00" },
+      contracts: { type: "string" },
+      "tempo-calendar": { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  if (
+    values.help ||
+    !values.power ||
+    (!values["load-curve"] && !values["annual-kwh"])
+  ) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  const contracts = values.contracts
+    ? JSON.parse(fs.readFileSync(values.contracts, "utf-8"))
+    : processAllContracts({ quiet: true });
+
+  const options = {
+    power: values.power,
+    from: values.from,
+    to: values.to,
+    current: values.current,
+    offPeakHours: parseOffPeakHours(values["off-peak-hours"]),
+  };
+
+  if (values["load-curve"]) {
+    options.loadCurve = parseLoadCurve(
+      fs.readFileSync(values["load-curve"], "utf-8"),
+      { unit: values.unit, timestamp: values.timestamp },
+    );
+    // Tempo days of the load curve are resolved with the historical colours
+    options.dayTypes = values["tempo-calendar"]
+      ? JSON.parse(fs.readFileSync(values["tempo-calendar"], "utf-8"))
+      : processTempoCalendar();
+  } else {
+    const [blue, white, red] = (values["tempo-days"] || "300,43,22")
+      .split(",")
+      .map(Number);
+    const [normal, peak] = (values["ejp-days"] || "343,22")
+      .split(",")
+      .map(Number);
+    options.profile = {
+      annualKwh: Number(values["annual-kwh"]),
+      offPeakRatio: Number(values["off-peak-ratio"]),
+      tempoDays: { blue, white, red },
+      ejpDays: { normal, peak },
+    };
+  }
+
+  try {
+    const result = compareContracts(contracts, options);
+    if (values.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printRanking(result);
+    }
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { processAllContracts } = require("./process");
+const { fromVersion2 } = require("./lib/versions");
+const { diffContracts, formatDiffMarkdown } = require("./lib/diff");
+
+const USAGE = `Usage: npm run diff -- <previous> [current] [options]
+
+Reports the changes between two generated contracts files: added and removed
+contracts, new power levels, new periods and changed prices. Both files may be
+contracts.json or contracts.v2.json documents, i.e. the contracts.json asset of
+the previous release. The current contracts default to this repository.
+
+Options:
+  --json   Output the changes as JSON instead of markdown`;
+
+/**
+ * Reads a generated contracts file
+ * @param {string} filePath - Path of a contracts.json or contracts.v2.json file
+ * @returns {Object} - Contract keys mapped to prices grouped by subscribed power (contracts.json)
+ */
+function readContracts(filePath) {
+  const document = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  return document.version === undefined ? document : fromVersion2(document);
+}
+
+/**
+ * Runs the diff command
+ */
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.help || positionals.length < 1 || positionals.length > 2) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  try {
+    const previous = readContracts(positionals[0]);
+    const current = positionals[1]
+      ? readContracts(positionals[1])
+      : processAllContracts({ quiet: true });
+    const diff = diffContracts(previous, current);
+    if (values.json) {
+      console.log(JSON.stringify(diff, null, 2));
+    } else {
+      process.stdout.write(formatDiffMarkdown(diff));
+    }
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
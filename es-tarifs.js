@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  ES_PDF_DIR,
+  ES_OPTIONS,
+  extractEsGrids,
+  renderEsCsv,
+  checkEsCsv,
+} = require("./lib/es-tarifs");
+
+const USAGE = `Usage: npm run es-tarifs -- [options]
+
+Extracts the tariff grids of the ES "TRV Bleu" PDFs and checks the transcribed
+tarif-bleu-* sources of contracts/electricite-de-strasbourg against them.
+
+Options:
+  --pdf-dir <dir>  Directory holding the PDFs (default contracts/electricite-de-strasbourg/es-tarifs)
+  --out <dir>      Also write the extracted grids as Option_Base.csv, Option_HPHC.csv and Option_Tempo.csv
+  --json           Output the extracted grids and the discrepancies as JSON`;
+
+/**
+ * Describes a discrepancy between a transcribed source and its PDF
+ * @param {Object} discrepancy - Discrepancy, see checkEsCsv
+ * @returns {string} - One line description
+ */
+function formatDiscrepancy({ file, option, power, column, csv, pdf }) {
+  const row = `${file} ${option} ${power} kVA`;
+  if (csv === null) return `${row}: row missing from the transcribed source`;
+  if (pdf === null) return `${row}: transcribed row not in the PDF grid`;
+  return `${row} ${column}: transcribed '${csv}', PDF '${pdf}'`;
+}
+
+/**
+ * Runs the extraction and consistency check command
+ */
+function main() {
+  const { values } = parseArgs({
+    options: {
+      "pdf-dir": { type: "string", default: ES_PDF_DIR },
+      out: { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  let grids;
+  let discrepancies;
+  try {
+    grids = extractEsGrids(values["pdf-dir"]);
+    discrepancies = checkEsCsv(grids);
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (values.out) {
+    fs.mkdirSync(values.out, { recursive: true });
+    for (const option of ES_OPTIONS) {
+      const manifest = JSON.parse(
+        fs.readFileSync(
+          path.join(ES_PDF_DIR, "..", option.dir, "manifest.json"),
+          "utf-8",
+        ),
+      );
+      const csvName = `${path.basename(manifest.source, path.extname(manifest.source))}.csv`;
+      fs.writeFileSync(
+        path.join(values.out, csvName),
+        renderEsCsv(grids, option.option),
+      );
+    }
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify({ grids, discrepancies }, null, 2));
+  } else {
+    for (const grid of grids) {
+      const options = Object.entries(grid.options);
+      console.log(
+        options.length > 0
+          ? `${grid.file}: ${options.map(([option, rows]) => `${option} (${rows.length} rows)`).join(", ")}`
+          : `${grid.file}: no tariff grid text (scanned image), not checked`,
+      );
+    }
+    console.log("");
+    if (discrepancies.length === 0) {
+      console.log("✓ The transcribed sources match the PDF grids");
+    }
+    discrepancies.forEach((discrepancy) =>
+      console.error(`✗ ${formatDiscrepancy(discrepancy)}`),
+    );
+  }
+
+  process.exit(discrepancies.length > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,103 @@
+const {
+  processAllContracts,
+  processTempoCalendar,
+  collectContractMetadata,
+} = require("./process");
+const { createPriceLookup } = require("./lib/lookup");
+const { parseLoadCurve, simulateBill } = require("./lib/simulate");
+const { compareContracts } = require("./lib/compare");
+const { parseHourSlots, serializeHourSlots } = require("./lib/slots");
+const { toVersion2, fromVersion2 } = require("./lib/versions");
+const {
+  readOffPeakSchedules,
+  findOffPeakSchedule,
+  getOffPeakHours,
+  materializeOffPeakHours,
+} = require("./lib/off-peak-schedules");
+const { readSpotPrices, computeSpotPrice } = require("./lib/spot");
+const { readTaxRates, getTaxBreakdown, applyTaxRates } = require("./lib/taxes");
+const { findPowerBand } = require("./lib/production");
+const { CONTRACT_KINDS, getPriceKind } = require("./lib/kinds");
+
+let contracts = null;
+let metadata = null;
+let tempoCalendar = null;
+let defaultLookup = null;
+
+/**
+ * Gives the contracts of this repository, processed once
+ * @returns {Object} - Contract keys mapped to prices grouped by subscribed power
+ */
+function getContracts() {
+  if (!contracts) {
+    contracts = processAllContracts({ quiet: true });
+  }
+  return contracts;
+}
+
+/**
+ * Gives the metadata of the contracts of this repository (display names, provider, offer page...), read once
+ * @returns {Object} - Contract keys mapped to their metadata, for the contracts that have one
+ */
+function getContractMetadata() {
+  if (!metadata) {
+    metadata = collectContractMetadata(getContracts());
+  }
+  return metadata;
+}
+
+/**
+ * Gives the tempo day colours calendar of this repository, processed once
+ * @returns {Object} - ISO dates mapped to their day_type ("blue", "white", "red")
+ */
+function getTempoCalendar() {
+  if (!tempoCalendar) {
+    tempoCalendar = processTempoCalendar();
+  }
+  return tempoCalendar;
+}
+
+/**
+ * Gives the prices applying at an instant, using the contracts of this repository
+ * @param {string} contractKey - Contract key (i.e. "edf-tempo")
+ * @param {string|number} power - Subscribed power in kVA
+ * @param {Date|string|number} datetime - Instant
+ * @param {Object} [options] - See createPriceLookup
+ * @returns {Object|null} - { consumption, subscription } price objects, or null when no price applies at that date
+ */
+function getPrice(contractKey, power, datetime, options) {
+  if (!defaultLookup) {
+    defaultLookup = createPriceLookup(getContracts(), {
+      tempoCalendar: getTempoCalendar(),
+    });
+  }
+  return defaultLookup.getPrice(contractKey, power, datetime, options);
+}
+
+module.exports = {
+  processAllContracts,
+  getContracts,
+  getContractMetadata,
+  getTempoCalendar,
+  createPriceLookup,
+  getPrice,
+  parseLoadCurve,
+  simulateBill,
+  compareContracts,
+  parseHourSlots,
+  serializeHourSlots,
+  toVersion2,
+  fromVersion2,
+  readOffPeakSchedules,
+  findOffPeakSchedule,
+  getOffPeakHours,
+  materializeOffPeakHours,
+  readSpotPrices,
+  computeSpotPrice,
+  readTaxRates,
+  getTaxBreakdown,
+  applyTaxRates,
+  findPowerBand,
+  CONTRACT_KINDS,
+  getPriceKind,
+};
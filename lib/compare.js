@@ -0,0 +1,312 @@
+const {
+  createPriceLookup,
+  toLocalDateTime,
+  toMinutes,
+  formatMinutes,
+  isInRanges,
+} = require("./lookup");
+const { simulateBill } = require("./simulate");
+const { parseHourSlots } = require("./slots");
+const { toDayNumber, addDays } = require("./timeline");
+const { getDayTypeFamily } = require("./day-types");
+
+// Default tempo season: 22 red days, 43 white days, the rest blue
+const DEFAULT_TEMPO_DAYS = { blue: 300, white: 43, red: 22 };
+
+// Default EJP season: 22 peak days
+const DEFAULT_EJP_DAYS = { normal: 343, peak: 22 };
+
+// Standard off-peak schedule used for contracts relying on the user's schedule
+const DEFAULT_OFF_PEAK_HOURS = [{ start: "22:00", end: "06:00" }];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Lists the dates of a range
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date, inclusive (YYYY-MM-DD)
+ * @returns {Array} - ISO dates
+ */
+function listDates(from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Gives the number of days of the month of a date
+ * @param {string} date - ISO date
+ * @returns {number} - Number of days
+ */
+function daysInMonthOf(date) {
+  const [year, month] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Builds the instant of a local time in Europe/Paris
+ * @param {string} date - ISO date
+ * @param {string} time - Local time (HH:MM)
+ * @returns {Date|null} - Instant, null for the times skipped when switching to summer time
+ */
+function parisInstant(date, time) {
+  // Try both French offsets and keep the one giving back the requested local time
+  for (const offset of ["+01:00", "+02:00"]) {
+    const instant = new Date(`${date}T${time}:00${offset}`);
+    const local = toLocalDateTime(instant);
+    if (local.date === date && local.time === time) {
+      return instant;
+    }
+  }
+  return null;
+}
+
+/**
+ * Groups the half-hours of a day that every consumption price of a contract treats alike, with the share of the
+ * daily consumption of a profile falling in them: the off-peak ratio is spread evenly over the half-hours of the
+ * off-peak schedule, the rest over the other half-hours. One lookup per group then prices the whole day, whether the
+ * contract follows the schedule (TO_REPLACE placeholders) or has hour slots of its own
+ * @param {Array} prices - Price objects of one power level
+ * @param {number} offPeakRatio - Share of the consumption in off-peak hours
+ * @param {Array} offPeakHours - Off-peak schedule
+ * @returns {Array} - Groups { times, share }: local half-hour starts (HH:MM) and their share of the daily consumption
+ */
+function getProfileSlots(prices, offPeakRatio, offPeakHours) {
+  const halfHours = [];
+  for (let minutes = 0; minutes < MINUTES_PER_DAY; minutes += 30) {
+    halfHours.push({ minutes, offPeak: isInRanges(minutes, offPeakHours) });
+  }
+  const offPeakCount = halfHours.filter(({ offPeak }) => offPeak).length;
+  const consumptionPrices = prices.filter(
+    (price) => price.price_type === "consumption",
+  );
+
+  const groups = new Map();
+  for (const { minutes, offPeak } of halfHours) {
+    // What each price depends on at this half-hour: its own hour slots and the start of its day
+    const key = JSON.stringify([
+      offPeak,
+      ...consumptionPrices.map((price) => {
+        const slots = parseHourSlots(price.hour_slots);
+        const inSlots =
+          slots && slots.ranges ? isInRanges(minutes, slots.ranges) : null;
+        const afterDayStart = price.day_start
+          ? minutes >= toMinutes(price.day_start)
+          : null;
+        return [inSlots, afterDayStart];
+      }),
+    ]);
+    const share = offPeak
+      ? offPeakRatio / offPeakCount
+      : (1 - offPeakRatio) / (halfHours.length - offPeakCount);
+
+    if (!groups.has(key)) groups.set(key, { times: [], share: 0 });
+    const group = groups.get(key);
+    group.times.push(formatMinutes(minutes));
+    group.share += share;
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Gives the announced day types a contract depends on (weekday / weekend / holiday prices are resolved from the date)
+ * @param {Array} prices - Price objects of one power level
+ * @returns {string|null} - "tempo", "ejp", or null if no consumption price depends on announced days
+ */
+function getAnnouncedDayTypes(prices) {
+  const families = prices.map((price) => getDayTypeFamily(price.day_type));
+  return (
+    families.find((family) => family === "tempo" || family === "ejp") || null
+  );
+}
+
+/**
+ * Estimates the cost of a contract for a simple consumption profile
+ * @param {Function} getPrice - Price lookup
+ * @param {string} contractKey - Contract key
+ * @param {Object} options - { power, from, to, profile, offPeakHours, prices, announcedDayTypes }, prices being those
+ * of the power level
+ * @returns {number} - Cost in price units (euros multiplied by 10000)
+ */
+function estimateProfileCost(getPrice, contractKey, options) {
+  const { power, from, to, profile, offPeakHours, announcedDayTypes } = options;
+  const dailyWh = (profile.annualKwh * 1000) / 365;
+  const profileSlots = getProfileSlots(
+    options.prices,
+    profile.offPeakRatio,
+    offPeakHours,
+  );
+
+  // Tempo and EJP prices are weighted by the share of each day type in the season
+  const seasonDays = {
+    tempo: profile.tempoDays || DEFAULT_TEMPO_DAYS,
+    ejp: profile.ejpDays || DEFAULT_EJP_DAYS,
+  }[announcedDayTypes];
+  const seasonTotal = seasonDays
+    ? Object.values(seasonDays).reduce((sum, days) => sum + days, 0)
+    : 0;
+  const dayTypes = seasonDays
+    ? Object.entries(seasonDays).map(([dayType, days]) => ({
+        dayType,
+        share: days / seasonTotal,
+      }))
+    : [{ dayType: undefined, share: 1 }];
+
+  let cost = 0;
+  for (const date of listDates(from, to)) {
+    // Groups only holding the hour skipped when switching to summer time have no instant that day: the daily
+    // consumption is spread over the other ones
+    const slotInstants = profileSlots
+      .map(({ times, share }) => {
+        let instant = null;
+        for (let i = 0; i < times.length && !instant; i++) {
+          instant = parisInstant(date, times[i]);
+        }
+        return { instant, share };
+      })
+      .filter(({ instant }) => instant);
+    const totalShare = slotInstants.reduce((sum, { share }) => sum + share, 0);
+    let subscription = null;
+
+    for (const { dayType, share } of dayTypes) {
+      const lookupOptions = { offPeakHours, dayType };
+      let dayPrice = 0;
+      for (const slot of slotInstants) {
+        const prices = getPrice(
+          contractKey,
+          power,
+          slot.instant,
+          lookupOptions,
+        );
+        if (!prices || !prices.consumption) {
+          throw new Error(`no price on ${date}`);
+        }
+        dayPrice += (slot.share / totalShare) * prices.consumption.price;
+        subscription = prices.subscription;
+      }
+
+      cost += (share * dailyWh * dayPrice) / 1000;
+    }
+
+    cost += subscription.price / daysInMonthOf(date);
+  }
+
+  return Math.round(cost);
+}
+
+/**
+ * Ranks every contract offering a subscribed power by cost over a date range
+ * @param {Object} contracts - Contract keys mapped to prices grouped by subscribed power
+ * @param {Object} options - Options
+ * @param {string|number} options.power - Subscribed power in kVA
+ * @param {string} [options.from] - First date (YYYY-MM-DD), defaults to the start of the load curve
+ * @param {string} [options.to] - Last date, inclusive (YYYY-MM-DD), defaults to the end of the load curve
+ * @param {string} [options.current] - Current contract key, used for the deltas
+ * @param {Array} [options.loadCurve] - Points { start: Date, wh } as returned by parseLoadCurve
+ * @param {Object} [options.profile] - Simple profile used without load curve: { annualKwh, offPeakRatio,
+ * tempoDays: { blue, white, red }, ejpDays: { normal, peak } }
+ * @param {Array} [options.offPeakHours] - Off-peak schedule, defaults to 22:00 → 06:00
+ * @param {Object|Function} [options.dayTypes] - Day type of each date for load curves, see simulateBill
+ * @returns {Object} - { from, to, ranking, skipped } where ranking items are { contract, cost, annual_cost, delta, delta_percent }
+ */
+function compareContracts(contracts, options) {
+  const {
+    power,
+    current,
+    loadCurve,
+    profile,
+    offPeakHours = DEFAULT_OFF_PEAK_HOURS,
+    dayTypes,
+  } = options;
+
+  if (!loadCurve && !profile) {
+    throw new Error("A load curve or a consumption profile is required");
+  }
+
+  let { from, to } = options;
+  if (loadCurve) {
+    const dates = loadCurve.map((point) => toLocalDateTime(point.start).date);
+    from = from || dates.reduce((a, b) => (a < b ? a : b));
+    to = to || dates.reduce((a, b) => (a > b ? a : b));
+  }
+  if (!from || !to || from > to) {
+    throw new Error("A valid date range (from, to) is required");
+  }
+
+  const days = toDayNumber(to) - toDayNumber(from) + 1;
+  const { getPrice } = createPriceLookup(contracts);
+  const ranking = [];
+  const skipped = [];
+
+  for (const [contractKey, contractData] of Object.entries(contracts)) {
+    const prices = contractData[String(power)];
+    if (!prices) continue;
+
+    try {
+      let cost;
+      if (loadCurve) {
+        if (getAnnouncedDayTypes(prices) && !dayTypes) {
+          throw new Error("day types are required to simulate this contract");
+        }
+        const rangeCurve = loadCurve.filter((point) => {
+          const { date } = toLocalDateTime(point.start);
+          return date >= from && date <= to;
+        });
+        cost = simulateBill(contracts, {
+          contractKey,
+          power,
+          loadCurve: rangeCurve,
+          offPeakHours,
+          dayTypes,
+        }).totals.total;
+      } else {
+        cost = estimateProfileCost(getPrice, contractKey, {
+          power,
+          from,
+          to,
+          profile,
+          offPeakHours,
+          prices,
+          announcedDayTypes: getAnnouncedDayTypes(prices),
+        });
+      }
+
+      ranking.push({
+        contract: contractKey,
+        cost,
+        annual_cost: Math.round((cost * 365) / days),
+      });
+    } catch (error) {
+      skipped.push({ contract: contractKey, reason: error.message });
+    }
+  }
+
+  ranking.sort((a, b) => a.cost - b.cost);
+
+  const reference = ranking.find((item) => item.contract === current);
+  if (current && !reference) {
+    const skippedCurrent = skipped.find((item) => item.contract === current);
+    throw new Error(
+      `Current contract '${current}' cannot be compared${skippedCurrent ? `: ${skippedCurrent.reason}` : ""}`,
+    );
+  }
+
+  for (const item of ranking) {
+    item.delta = reference ? item.annual_cost - reference.annual_cost : null;
+    item.delta_percent = reference
+      ? Math.round((item.delta / reference.annual_cost) * 1000) / 10
+      : null;
+  }
+
+  return { from, to, ranking, skipped };
+}
+
+module.exports = {
+  DEFAULT_TEMPO_DAYS,
+  DEFAULT_EJP_DAYS,
+  DEFAULT_OFF_PEAK_HOURS,
+  compareContracts,
+};
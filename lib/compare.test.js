@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { compareContracts } = require("./compare");
+
+/**
+ * Builds a price object valid during 2025
+ * @param {string} contract - Contract type
+ * @param {string} price_type - "consumption" or "subscription"
+ * @param {number} price - Integer price
+ * @param {string|null} hour_slots - Hour slots
+ * @returns {Object} - Price object
+ */
+function price(contract, price_type, price, hour_slots = null) {
+  return {
+    contract,
+    price_type,
+    currency: "euro",
+    start_date: "2025-01-01",
+    end_date: "2025-12-31",
+    price,
+    hour_slots,
+    day_type: null,
+  };
+}
+
+/**
+ * Lists the half-hour slot starts of consecutive hours
+ * @param {number} startHour - First hour
+ * @param {number} hours - Number of hours, may run past midnight
+ * @returns {string} - Comma separated half-hour slot starts
+ */
+function halfHourSlots(startHour, hours) {
+  const slots = [];
+  for (let i = 0; i < hours * 2; i++) {
+    const hour = (startHour + Math.floor(i / 2)) % 24;
+    slots.push(`${String(hour).padStart(2, "0")}:${i % 2 ? "30" : "00"}`);
+  }
+  return slots.join(",");
+}
+
+const contracts = {
+  "test-base": {
+    6: [
+      price("base", "consumption", 2000),
+      price("base", "subscription", 150000),
+    ],
+  },
+  "test-peak-off-peak": {
+    6: [
+      price("peak-off-peak", "consumption", 1500, "TO_REPLACE_OFF_PEAK"),
+      price("peak-off-peak", "consumption", 2500, "TO_REPLACE_PEAK"),
+      price("peak-off-peak", "subscription", 160000),
+    ],
+    9: [price("peak-off-peak", "subscription", 190000)],
+  },
+};
+
+test("compareContracts ranks contracts for a simple profile", () => {
+  const { ranking, skipped } = compareContracts(contracts, {
+    power: 6,
+    from: "2025-01-01",
+    to: "2025-12-31",
+    current: "test-base",
+    profile: { annualKwh: 3650, offPeakRatio: 0.5 },
+  });
+
+  // 3650 kWh at 0.20 € plus 12 months at 15 €
+  assert.deepStrictEqual(ranking[0], {
+    contract: "test-base",
+    cost: 9100000,
+    annual_cost: 9100000,
+    delta: 0,
+    delta_percent: 0,
+  });
+  assert.strictEqual(ranking[1].contract, "test-peak-off-peak");
+  assert.strictEqual(ranking[1].delta, 120000);
+  assert.strictEqual(ranking[1].delta_percent, 1.3);
+  assert.deepStrictEqual(skipped, []);
+});
+
+test("compareContracts spreads the profile over a non-default off-peak schedule", () => {
+  const { ranking } = compareContracts(
+    {
+      ...contracts,
+      // Fixed off-peak hours from 22:00 to 06:00, whatever the schedule of the user
+      "test-fixed-slots": {
+        6: [
+          price("peak-off-peak", "consumption", 1500, halfHourSlots(22, 8)),
+          price("peak-off-peak", "consumption", 2500, halfHourSlots(6, 16)),
+          price("peak-off-peak", "subscription", 150000),
+        ],
+      },
+    },
+    {
+      power: 6,
+      from: "2025-01-01",
+      to: "2025-12-31",
+      profile: { annualKwh: 3650, offPeakRatio: 0.5 },
+      offPeakHours: [
+        { start: "12:00", end: "15:00" },
+        { start: "02:00", end: "07:00" },
+      ],
+    },
+  );
+
+  assert.deepStrictEqual(
+    ranking.map((item) => [item.contract, item.cost]),
+    [
+      ["test-base", 9100000],
+      // Off-peak placeholders follow the schedule: half of the 3650 kWh at 0.15 €, half at 0.25 €, plus 12 months
+      // at 16 €
+      ["test-peak-off-peak", 9220000],
+      // 02:00 → 06:00 of the user off-peak hours and 22:00 → 02:00 of the peak ones fall in the fixed off-peak
+      // hours: 0.25 + 0.125 of the consumption at 0.15 €, the rest at 0.25 €
+      ["test-fixed-slots", 9556250],
+    ],
+  );
+});
+
+test("compareContracts skips contracts without prices for the whole range", () => {
+  const { ranking, skipped } = compareContracts(contracts, {
+    power: 6,
+    from: "2025-12-01",
+    to: "2026-01-31",
+    profile: { annualKwh: 3650, offPeakRatio: 0.5 },
+  });
+
+  assert.deepStrictEqual(ranking, []);
+  assert.deepStrictEqual(skipped[0], {
+    contract: "test-base",
+    reason: "no price on 2026-01-01",
+  });
+});
+
+test("compareContracts simulates load curves", () => {
+  const { ranking } = compareContracts(contracts, {
+    power: 6,
+    loadCurve: [{ start: new Date("2025-03-10T12:00:00Z"), wh: 1000 }],
+    current: "test-peak-off-peak",
+  });
+
+  assert.deepStrictEqual(
+    ranking.map((item) => [item.contract, item.cost]),
+    [
+      // 1 kWh plus one day of subscription out of 31
+      ["test-base", 2000 + Math.round(150000 / 31)],
+      ["test-peak-off-peak", 2500 + Math.round(160000 / 31)],
+    ],
+  );
+});
@@ -0,0 +1,443 @@
+const fs = require("fs");
+const path = require("path");
+const { GAS_BAND_COLUMN, GAS_ZONE_COLUMN, parseGasRow } = require("./gas");
+const { readXlsx } = require("./xlsx");
+const { createSourceTracer, toJsonPointer } = require("./provenance");
+
+/**
+ * Converts a date string from DD/MM/YYYY format to ISO format (YYYY-MM-DD)
+ * @param {string} dateStr - Date string in DD/MM/YYYY format
+ * @returns {string} - Date string in ISO format
+ */
+function convertToIsoDate(dateStr) {
+  if (!dateStr) return null;
+
+  const [day, month, year] = dateStr.split("/");
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+}
+
+/**
+ * Parses a decimal number written with a comma separator (e.g. "0,1256")
+ * @param {string} value - Decimal string
+ * @returns {number} - Parsed number
+ */
+function parseDecimal(value) {
+  return parseFloat(value.replace(",", "."));
+}
+
+/**
+ * Converts a price in euros to the integer representation used in the output (multiplied by 10000)
+ * @param {number} value - Price in euros
+ * @returns {number} - Integer price
+ */
+function toPriceUnits(value) {
+  return Math.round(value * 10000);
+}
+
+/**
+ * Converts a source price to the output representation: integer price (euros multiplied by 10000),
+ * with subscription prices expressed per month
+ * @param {number} value - Price as read from the source file
+ * @param {string} priceType - "consumption" or "subscription"
+ * @param {Object} units - Source units: { price: "euro" | "euro/10000", subscription: "year" | "month" }
+ * @returns {number} - Integer price
+ */
+function convertPrice(value, priceType, units) {
+  const price =
+    priceType === "subscription" && units.subscription === "year"
+      ? value / 12
+      : value;
+  return units.price === "euro" ? toPriceUnits(price) : Math.round(price);
+}
+
+/**
+ * Converts the price and price_ht of a hand-maintained price entry to the output representation. Subscription
+ * entries may declare the period their price covers, which must be the one of the source units.
+ * @param {Object} priceEntry - Price entry as read from a JSON source file
+ * @param {Object} units - Source units, see convertPrice
+ * @returns {Object} - Price entry with integer prices, monthly for subscriptions
+ */
+function convertPriceEntry(priceEntry, units) {
+  const isSubscription = priceEntry.price_type === "subscription";
+  if (
+    isSubscription &&
+    priceEntry.period !== undefined &&
+    priceEntry.period !== units.subscription
+  ) {
+    throw new Error(
+      `Subscription price from ${priceEntry.start_date} covers a ${priceEntry.period} but the source units are per ${units.subscription}`,
+    );
+  }
+
+  return {
+    ...priceEntry,
+    price: convertPrice(priceEntry.price, priceEntry.price_type, units),
+    ...(priceEntry.price_ht !== undefined
+      ? {
+          price_ht: convertPrice(
+            priceEntry.price_ht,
+            priceEntry.price_type,
+            units,
+          ),
+        }
+      : {}),
+    ...(isSubscription ? { period: "month" } : {}),
+  };
+}
+
+/**
+ * Converts the price entries of a JSON source file, giving each its provenance
+ * @param {Array} priceEntries - Price entries as read from the file
+ * @param {Object} units - Source units, see convertPrice
+ * @param {Function} trace - Provenance of the entries of the file, see createSourceTracer
+ * @param {Array} [tokens] - Keys leading to the entries in the file (i.e. ["6"] for a subscribed power)
+ * @returns {Array} - Converted price entries with their `source`
+ */
+function convertJsonEntries(priceEntries, units, trace, tokens = []) {
+  return priceEntries.map((priceEntry, index) => ({
+    ...convertPriceEntry(priceEntry, units),
+    source: trace({ pointer: toJsonPointer(...tokens, index) }),
+  }));
+}
+
+/**
+ * Reads a semicolon separated CSV file
+ * @param {string} csvPath - Path to the CSV file
+ * @returns {Object} - Object with the trimmed headers, the non-empty data rows (as arrays of columns) and the line
+ * numbers of these rows (rowNumbers, the header line being 1)
+ */
+function readCsv(csvPath) {
+  const csvContent = fs.readFileSync(csvPath, "utf-8");
+
+  // Parse CSV content
+  const lines = csvContent.trim().split("\n");
+  const headers = lines[0].split(";").map((header) => header.trim());
+
+  const rows = [];
+  const rowNumbers = [];
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue; // Skip empty lines
+
+    rows.push(line.split(";"));
+    rowNumbers.push(i + 1);
+  }
+
+  return { headers, rows, rowNumbers };
+}
+
+/**
+ * Reads a tabular source file: an XLSX workbook (first sheet) or a semicolon separated CSV file
+ * @param {string} filePath - Path of the source file
+ * @returns {Object} - { headers, rows }, see readCsv
+ */
+function readTable(filePath) {
+  return path.extname(filePath).toLowerCase() === ".xlsx"
+    ? readXlsx(filePath)
+    : readCsv(filePath);
+}
+
+/**
+ * Tells whether two cells hold the same value: numbers are compared as numbers, whatever their decimal separator
+ * @param {string} a - Cell text
+ * @param {string} b - Cell text
+ * @returns {boolean} - True for equal values
+ */
+function isSameCell(a = "", b = "") {
+  const numberRegex = /^-?\d+([.,]\d+)?(e-?\d+)?$/i;
+  const first = a.trim();
+  const second = b.trim();
+  if (numberRegex.test(first) && numberRegex.test(second)) {
+    return Number(first.replace(",", ".")) === Number(second.replace(",", "."));
+  }
+  return first === second;
+}
+
+/**
+ * Compares a workbook with the CSV exported from it (same name, .csv extension), if any. Rows are compared in order,
+ * the header row included
+ * @param {string} xlsxPath - Path of the workbook
+ * @returns {Array|null} - Differences { file, line, column, xlsx, csv, message }, xlsx / csv being null for rows
+ * only one of them has; null when there is no CSV export
+ */
+function diffCsvExport(xlsxPath) {
+  const csvPath = xlsxPath.replace(/\.xlsx$/i, ".csv");
+  if (csvPath === xlsxPath || !fs.existsSync(csvPath)) return null;
+
+  const xlsx = readXlsx(xlsxPath);
+  const csv = readCsv(csvPath);
+  const xlsxRows = [xlsx.headers, ...xlsx.rows];
+  const csvRows = [csv.headers, ...csv.rows];
+  const file = path.basename(csvPath);
+  const workbook = path.basename(xlsxPath);
+  const differences = [];
+
+  for (let i = 0; i < Math.max(xlsxRows.length, csvRows.length); i++) {
+    const line = i + 1;
+    if (!xlsxRows[i] || !csvRows[i]) {
+      differences.push({
+        file,
+        line,
+        column: null,
+        xlsx: xlsxRows[i]?.join(";") ?? null,
+        csv: csvRows[i]?.join(";") ?? null,
+        message: `${file} line ${line}: row only in ${xlsxRows[i] ? workbook : file}`,
+      });
+      continue;
+    }
+
+    const width = Math.max(xlsxRows[i].length, csvRows[i].length);
+    for (let j = 0; j < width; j++) {
+      if (isSameCell(xlsxRows[i][j], csvRows[i][j])) continue;
+      const column = xlsx.headers[j] || csv.headers[j] || `#${j + 1}`;
+      differences.push({
+        file,
+        line,
+        column,
+        xlsx: xlsxRows[i][j] ?? "",
+        csv: csvRows[i][j] ?? "",
+        message: `${file} line ${line} ${column}: '${csvRows[i][j] ?? ""}' in the CSV, '${xlsxRows[i][j] ?? ""}' in ${workbook}`,
+      });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Creates a converter reading a regulated tariff CSV file or XLSX workbook (EDF open data layout, or CRE "prix
+ * repère" layout for gas)
+ * Each row produces one consumption price per declared column, followed by the subscription price
+ * @param {string} dir - Contract directory holding the source file
+ * @param {Object} descriptor - Converter descriptor
+ * @param {string} descriptor.file - CSV file or XLSX workbook name
+ * @param {string} descriptor.contract - Value of the `contract` field of the generated prices
+ * @param {Object} descriptor.units - Source units, see convertPrice
+ * @param {Array} descriptor.consumption - Consumption columns: { column, ht_column?, hour_slots, day_type }
+ * @param {Object} descriptor.subscription - Subscription column: { column, ht_column? }
+ * HT columns are optional: when the CSV has them, prices also give their price_ht
+ * @param {string} [descriptor.energy] - "electricity" (default) or "gas": gas rows give their consumption band
+ * (TRANCHE) instead of the subscribed power (P_SOUSCRITE), and their tariff zone (ZONE)
+ * @returns {Function} - Function returning prices grouped by subscribed power, or by consumption band for gas
+ */
+function createCsvConverter(dir, descriptor) {
+  const {
+    file,
+    contract,
+    units,
+    consumption,
+    subscription,
+    energy = "electricity",
+  } = descriptor;
+  const isGas = energy === "gas";
+
+  return function convertCsv() {
+    try {
+      const filePath = path.join(dir, file);
+      const { headers, rows, rowNumbers } = readTable(filePath);
+      const trace = createSourceTracer(filePath);
+
+      // Find column indices
+      const dateDebutIndex = headers.indexOf("DATE_DEBUT");
+      const dateFinIndex = headers.indexOf("DATE_FIN");
+      const pSouscriteIndex = headers.indexOf(
+        isGas ? GAS_BAND_COLUMN : "P_SOUSCRITE",
+      );
+      const zoneIndex = isGas ? headers.indexOf(GAS_ZONE_COLUMN) : null;
+      const consumptionIndices = consumption.map(({ column }) =>
+        headers.indexOf(column),
+      );
+      const subscriptionIndex = headers.indexOf(subscription.column);
+      const consumptionHtIndices = consumption.map(({ ht_column }) =>
+        headers.indexOf(ht_column),
+      );
+      const subscriptionHtIndex = headers.indexOf(subscription.ht_column);
+
+      if (
+        dateDebutIndex === -1 ||
+        dateFinIndex === -1 ||
+        pSouscriteIndex === -1 ||
+        zoneIndex === -1 ||
+        consumptionIndices.includes(-1) ||
+        subscriptionIndex === -1
+      ) {
+        throw new Error("Required columns not found in CSV");
+      }
+
+      // Group data by subscribed power
+      const result = {};
+
+      for (const [rowIndex, columns] of rows.entries()) {
+        const subscribedPower = columns[pSouscriteIndex];
+        const startDate = columns[dateDebutIndex];
+        const endDate = columns[dateFinIndex];
+        const consumptionPriceStrs = consumptionIndices.map(
+          (index) => columns[index],
+        );
+        const subscriptionPriceStr = columns[subscriptionIndex];
+
+        // Skip rows with missing essential data or empty price data
+        if (
+          !subscribedPower ||
+          !startDate ||
+          consumptionPriceStrs.some((priceStr) => !priceStr) ||
+          !subscriptionPriceStr
+        )
+          continue;
+
+        const subscriptionPrice = convertPrice(
+          parseDecimal(subscriptionPriceStr),
+          "subscription",
+          units,
+        );
+
+        /**
+         * Gives the price_ht field of a price, when its HT column exists and is filled
+         * @param {number} index - HT column index
+         * @param {string} priceType - "consumption" or "subscription"
+         * @returns {Object} - { price_ht } or an empty object
+         */
+        const getPriceHt = (index, priceType) =>
+          index !== -1 && columns[index]
+            ? {
+                price_ht: convertPrice(
+                  parseDecimal(columns[index]),
+                  priceType,
+                  units,
+                ),
+              }
+            : {};
+
+        // Gas prices are given per tariff zone
+        const gasFields = isGas
+          ? {
+              energy: "gas",
+              zone: parseGasRow(subscribedPower, columns[zoneIndex]).zone,
+            }
+          : {};
+
+        // Convert dates to ISO format
+        const startDateIso = convertToIsoDate(startDate);
+        const endDateIso = endDate ? convertToIsoDate(endDate) : null;
+        const source = trace({ row: rowNumbers[rowIndex] });
+
+        const priceObjects = consumption.map((column, index) => ({
+          contract,
+          price_type: "consumption",
+          currency: "euro",
+          start_date: startDateIso,
+          end_date: endDateIso,
+          price: convertPrice(
+            parseDecimal(consumptionPriceStrs[index]),
+            "consumption",
+            units,
+          ),
+          ...getPriceHt(consumptionHtIndices[index], "consumption"),
+          hour_slots: column.hour_slots,
+          day_type: column.day_type,
+          // Only day types that do not start at midnight (tempo days run from 06:00 to 06:00)
+          ...(column.day_start ? { day_start: column.day_start } : {}),
+          // Only seasonal prices
+          ...(column.months ? { months: column.months } : {}),
+          ...gasFields,
+          source,
+        }));
+
+        priceObjects.push({
+          contract,
+          price_type: "subscription",
+          currency: "euro",
+          start_date: startDateIso,
+          end_date: endDateIso,
+          price: subscriptionPrice,
+          ...getPriceHt(subscriptionHtIndex, "subscription"),
+          hour_slots: null,
+          day_type: null,
+          ...gasFields,
+          period: "month",
+          source,
+        });
+
+        // Initialize array for this subscribed power if it doesn't exist
+        if (!result[subscribedPower]) {
+          result[subscribedPower] = [];
+        }
+
+        result[subscribedPower].push(...priceObjects);
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`Error processing ${file}:`, error.message);
+      throw error;
+    }
+  };
+}
+
+/**
+ * Creates a converter reading hand-maintained contract.json (consumption prices, shared by all
+ * power levels) and subscription.json (subscription prices per power level) files
+ * @param {string} dir - Contract directory holding the JSON files
+ * @param {Object} [descriptor] - Converter descriptor
+ * @param {string} [descriptor.consumption] - Consumption prices file name
+ * @param {string} [descriptor.subscription] - Subscription prices file name
+ * @param {Object} [descriptor.units] - Source units, see convertPrice (defaults to the output units)
+ * @returns {Function} - Function returning prices grouped by subscribed power
+ */
+function createJsonConverter(dir, descriptor = {}) {
+  const {
+    consumption = "contract.json",
+    subscription = "subscription.json",
+    units = { price: "euro/10000", subscription: "month" },
+  } = descriptor;
+
+  return function convertJson() {
+    try {
+      const consumptionPath = path.join(dir, consumption);
+      const subscriptionPath = path.join(dir, subscription);
+      const contractData = JSON.parse(
+        fs.readFileSync(consumptionPath, "utf-8"),
+      );
+      const subscriptionData = JSON.parse(
+        fs.readFileSync(subscriptionPath, "utf-8"),
+      );
+      const traceConsumption = createSourceTracer(consumptionPath);
+      const traceSubscription = createSourceTracer(subscriptionPath);
+
+      // Power levels come from the subscription data
+      const result = {};
+
+      for (const power of Object.keys(subscriptionData)) {
+        // Consumption prices are the same for all power levels
+        result[power] = [
+          ...convertJsonEntries(contractData, units, traceConsumption),
+          ...convertJsonEntries(
+            subscriptionData[power],
+            units,
+            traceSubscription,
+            [power],
+          ),
+        ];
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`Error processing ${consumption}:`, error.message);
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  convertToIsoDate,
+  parseDecimal,
+  toPriceUnits,
+  convertPrice,
+  convertPriceEntry,
+  convertJsonEntries,
+  readCsv,
+  readTable,
+  diffCsvExport,
+  createCsvConverter,
+  createJsonConverter,
+};
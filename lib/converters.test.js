@@ -0,0 +1,301 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  convertToIsoDate,
+  toPriceUnits,
+  parseDecimal,
+  convertPrice,
+  createCsvConverter,
+  createJsonConverter,
+  diffCsvExport,
+} = require("./converters");
+const { createSourceTracer } = require("./provenance");
+const { createContractDir } = require("./test-helpers");
+
+const ES_BASE_DIR = path.join(
+  __dirname,
+  "..",
+  "contracts",
+  "electricite-de-strasbourg",
+  "tarif-bleu-base",
+);
+
+test("convertToIsoDate converts DD/MM/YYYY dates", () => {
+  assert.strictEqual(convertToIsoDate("1/8/2025"), "2025-08-01");
+  assert.strictEqual(convertToIsoDate(""), null);
+});
+
+test("prices are parsed from comma decimals to integer units", () => {
+  assert.strictEqual(toPriceUnits(parseDecimal("0,1952")), 1952);
+});
+
+test("convertPrice converts yearly subscriptions to monthly prices", () => {
+  const units = { price: "euro", subscription: "year" };
+  assert.strictEqual(convertPrice(186.24, "subscription", units), 155200);
+  assert.strictEqual(convertPrice(0.1952, "consumption", units), 1952);
+  assert.strictEqual(
+    convertPrice(155200, "subscription", {
+      price: "euro/10000",
+      subscription: "month",
+    }),
+    155200,
+  );
+});
+
+test("createCsvConverter emits consumption then subscription prices per row", (t) => {
+  const dir = createContractDir(t, {
+    "Option_HPHC.csv": [
+      "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_TTC;PART_VARIABLE_HC_TTC;PART_VARIABLE_HP_TTC",
+      "01/02/2025;;6;186,24;0,1696;0,2146",
+      "01/02/2025;;9;;0,1696;0,2146",
+      "",
+    ].join("\n"),
+  });
+
+  const convert = createCsvConverter(dir, {
+    file: "Option_HPHC.csv",
+    contract: "peak-off-peak",
+    consumption: [
+      {
+        column: "PART_VARIABLE_HC_TTC",
+        hour_slots: "TO_REPLACE_OFF_PEAK",
+        day_type: null,
+      },
+      {
+        column: "PART_VARIABLE_HP_TTC",
+        hour_slots: "TO_REPLACE_PEAK",
+        day_type: null,
+      },
+    ],
+    units: { price: "euro", subscription: "year" },
+    subscription: { column: "PART_FIXE_TTC" },
+  });
+
+  const result = convert();
+
+  // The 9 kVA row has no subscription price and is skipped
+  assert.deepStrictEqual(Object.keys(result), ["6"]);
+  assert.deepStrictEqual(
+    result["6"].map((p) => [p.price_type, p.hour_slots, p.price]),
+    [
+      ["consumption", "TO_REPLACE_OFF_PEAK", 1696],
+      ["consumption", "TO_REPLACE_PEAK", 2146],
+      ["subscription", null, 155200],
+    ],
+  );
+  assert.strictEqual(result["6"][0].start_date, "2025-02-01");
+  assert.strictEqual(result["6"][0].end_date, null);
+});
+
+test("createCsvConverter reads the HT columns when the CSV has them", (t) => {
+  const dir = createContractDir(t, {
+    "Option_Base.csv": [
+      "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_HT;PART_FIXE_TTC;PART_VARIABLE_HT;PART_VARIABLE_TTC",
+      "01/08/2025;;6;132,84;185,94;0,1327;0,1952",
+      "01/08/2025;;9;;233,70;;0,1952",
+    ].join("\n"),
+  });
+  const convert = createCsvConverter(dir, {
+    file: "Option_Base.csv",
+    contract: "base",
+    consumption: [
+      {
+        column: "PART_VARIABLE_TTC",
+        ht_column: "PART_VARIABLE_HT",
+        hour_slots: null,
+        day_type: null,
+      },
+    ],
+    units: { price: "euro", subscription: "year" },
+    subscription: { column: "PART_FIXE_TTC", ht_column: "PART_FIXE_HT" },
+  });
+
+  const result = convert();
+
+  assert.deepStrictEqual(
+    result["6"].map((p) => [p.price, p.price_ht]),
+    [
+      [1952, 1327],
+      [154950, 110700],
+    ],
+  );
+  // Empty HT cells are left out
+  assert.ok(result["9"].every((p) => !("price_ht" in p)));
+});
+
+test("createCsvConverter fails when a declared column is missing", (t) => {
+  const dir = createContractDir(t, {
+    "Option_Base.csv": "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_TTC\n",
+  });
+  const convert = createCsvConverter(dir, {
+    file: "Option_Base.csv",
+    contract: "base",
+    consumption: [
+      { column: "PART_VARIABLE_TTC", hour_slots: null, day_type: null },
+    ],
+    units: { price: "euro", subscription: "year" },
+    subscription: { column: "PART_FIXE_TTC" },
+  });
+
+  assert.throws(() => convert(), /Required columns not found/);
+});
+
+test("createCsvConverter reads XLSX workbooks like their CSV export", () => {
+  /**
+   * Converts a source file of the ES base contract
+   * @param {string} file - Source file name
+   * @returns {Object} - Prices grouped by subscribed power
+   */
+  const convert = (file) =>
+    createCsvConverter(ES_BASE_DIR, {
+      file,
+      contract: "base",
+      consumption: [
+        { column: "PART_VARIABLE_TTC", hour_slots: null, day_type: null },
+      ],
+      units: { price: "euro", subscription: "year" },
+      subscription: { column: "PART_FIXE_TTC" },
+    })();
+
+  /**
+   * Gives the prices read from a source file with the row they come from, the file itself left out
+   * @param {Object} prices - Prices grouped by subscribed power
+   * @returns {Object} - Prices with the row of their provenance instead of their `source`
+   */
+  const withRows = (prices) =>
+    Object.fromEntries(
+      Object.entries(prices).map(([power, powerPrices]) => [
+        power,
+        powerPrices.map(({ source, ...price }) => ({
+          ...price,
+          row: source.row,
+        })),
+      ]),
+    );
+
+  const result = convert("Option_Base.xlsx");
+  assert.deepStrictEqual(
+    withRows(result),
+    withRows(convert("Option_Base.csv")),
+  );
+  assert.deepStrictEqual(result["36"][0].source, {
+    file: "contracts/electricite-de-strasbourg/tarif-bleu-base/Option_Base.xlsx",
+    row: 92,
+  });
+  assert.deepStrictEqual(
+    result["36"].slice(-2).map((p) => [p.start_date, p.price]),
+    [
+      ["2026-02-01", 1927],
+      ["2026-02-01", 530600],
+    ],
+  );
+});
+
+test("diffCsvExport reports the cells of a CSV export that drifted from its workbook", (t) => {
+  const csvLines = fs
+    .readFileSync(path.join(ES_BASE_DIR, "Option_Base.csv"), "utf-8")
+    .trim()
+    .split("\n");
+  const dir = createContractDir(t, {
+    "Option_Base.xlsx": fs.readFileSync(
+      path.join(ES_BASE_DIR, "Option_Base.xlsx"),
+    ),
+    "Option_Base.csv": [
+      ...csvLines.slice(0, -2),
+      csvLines[csvLines.length - 2].replace("0,19266", "0,1927"),
+    ].join("\n"),
+  });
+  const xlsxPath = path.join(dir, "Option_Base.xlsx");
+
+  assert.deepStrictEqual(
+    diffCsvExport(xlsxPath).map(({ line, column, xlsx, csv }) => [
+      line,
+      column,
+      xlsx,
+      csv,
+    ]),
+    [
+      [100, "PART_VARIABLE_TTC", "0.19266", "0,1927"],
+      [101, null, "01/02/2026;;36;53.06;636.72;0.19266", null],
+    ],
+  );
+  // Decimal separators do not count as differences
+  assert.deepStrictEqual(
+    diffCsvExport(path.join(ES_BASE_DIR, "Option_Base.xlsx")),
+    [],
+  );
+  fs.unlinkSync(path.join(dir, "Option_Base.csv"));
+  assert.strictEqual(diffCsvExport(xlsxPath), null);
+});
+
+test("createJsonConverter merges shared consumption prices with each power level", (t) => {
+  const consumption = {
+    contract: "base",
+    price_type: "consumption",
+    currency: "euro",
+    start_date: "2025-01-01",
+    end_date: null,
+    price: 1900,
+    hour_slots: null,
+    day_type: null,
+  };
+  const subscription = { ...consumption, price_type: "subscription" };
+  const dir = createContractDir(t, {
+    "contract.json": JSON.stringify([consumption]),
+    "subscription.json": JSON.stringify({
+      6: [{ ...subscription, price: 150000 }],
+      9: [{ ...subscription, price: 190000 }],
+    }),
+  });
+
+  const result = createJsonConverter(dir)();
+  const traceConsumption = createSourceTracer(path.join(dir, "contract.json"));
+  const traceSubscription = createSourceTracer(
+    path.join(dir, "subscription.json"),
+  );
+
+  assert.deepStrictEqual(Object.keys(result), ["6", "9"]);
+  assert.deepStrictEqual(result["9"], [
+    { ...consumption, source: traceConsumption({ pointer: "/0" }) },
+    {
+      ...subscription,
+      price: 190000,
+      period: "month",
+      source: traceSubscription({ pointer: "/9/0" }),
+    },
+  ]);
+  // Each power level gets its own copy of the consumption prices
+  assert.notStrictEqual(result["6"][0], result["9"][0]);
+});
+
+test("createJsonConverter checks the period of subscription prices against the source units", (t) => {
+  const subscription = {
+    contract: "base",
+    price_type: "subscription",
+    currency: "euro",
+    start_date: "2025-01-01",
+    end_date: null,
+    price: 1860000,
+    hour_slots: null,
+    day_type: null,
+  };
+  const dir = createContractDir(t, {
+    "contract.json": "[]",
+    "subscription.json": JSON.stringify({
+      6: [{ ...subscription, period: "year" }],
+    }),
+  });
+
+  assert.deepStrictEqual(
+    createJsonConverter(dir, {
+      units: { price: "euro/10000", subscription: "year" },
+    })()["6"].map(({ source, ...price }) => price),
+    [{ ...subscription, price: 155000, period: "month" }],
+  );
+  assert.throws(
+    () => createJsonConverter(dir)(),
+    /Subscription price from 2025-01-01 covers a year but the source units are per month/,
+  );
+});
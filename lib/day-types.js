@@ -0,0 +1,102 @@
+const { addDays } = require("./timeline");
+
+// Tempo colours, given by the tempo calendar
+const TEMPO_DAY_TYPES = ["blue", "white", "red"];
+
+// EJP (Effacement Jours de Pointe) days: 22 mobile peak days from November to March, announced by EDF
+const EJP_DAY_TYPES = ["normal", "peak"];
+
+// Day types deduced from the date itself
+const CALENDAR_DAY_TYPES = ["weekday", "weekend", "holiday"];
+
+const DAY_TYPES = [...TEMPO_DAY_TYPES, ...EJP_DAY_TYPES, ...CALENDAR_DAY_TYPES];
+
+/**
+ * Gives the family of a day type, which tells how the day type of a date is known
+ * @param {string|null} dayType - Day type of a price
+ * @returns {string|null} - "tempo" or "ejp" (given by a calendar of announced days), "calendar" (deduced from the
+ * date), or null for prices applying every day
+ */
+function getDayTypeFamily(dayType) {
+  if (TEMPO_DAY_TYPES.includes(dayType)) return "tempo";
+  if (EJP_DAY_TYPES.includes(dayType)) return "ejp";
+  if (CALENDAR_DAY_TYPES.includes(dayType)) return "calendar";
+  return null;
+}
+
+/**
+ * Gives the Easter Sunday of a year (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {string} - ISO date
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Gives the French national public holidays of a year (the extra Alsace-Moselle days are not included)
+ * @param {number} year - Year
+ * @returns {Array} - ISO dates, sorted
+ */
+function getPublicHolidays(year) {
+  const easter = getEasterSunday(year);
+  const fixed = [
+    "01-01",
+    "05-01",
+    "05-08",
+    "07-14",
+    "08-15",
+    "11-01",
+    "11-11",
+    "12-25",
+  ];
+
+  return [
+    ...fixed.map((day) => `${year}-${day}`),
+    addDays(easter, 1), // Easter Monday
+    addDays(easter, 39), // Ascension Day
+    addDays(easter, 50), // Whit Monday
+  ].sort();
+}
+
+/**
+ * Gives the calendar day types of a date, most specific first (i.e. a public holiday on a Saturday is
+ * ["holiday", "weekend"]): prices use the first one the contract has
+ * @param {string} date - ISO date
+ * @returns {Array} - Calendar day types
+ */
+function getCalendarDayTypes(date) {
+  const weekDay = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const dayTypes = [weekDay === 0 || weekDay === 6 ? "weekend" : "weekday"];
+
+  if (getPublicHolidays(Number(date.slice(0, 4))).includes(date)) {
+    dayTypes.unshift("holiday");
+  }
+  return dayTypes;
+}
+
+module.exports = {
+  TEMPO_DAY_TYPES,
+  EJP_DAY_TYPES,
+  CALENDAR_DAY_TYPES,
+  DAY_TYPES,
+  getDayTypeFamily,
+  getEasterSunday,
+  getPublicHolidays,
+  getCalendarDayTypes,
+};
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  getEasterSunday,
+  getPublicHolidays,
+  getCalendarDayTypes,
+  getDayTypeFamily,
+} = require("./day-types");
+
+test("getEasterSunday gives the Gregorian Easter date", () => {
+  assert.strictEqual(getEasterSunday(2024), "2024-03-31");
+  assert.strictEqual(getEasterSunday(2025), "2025-04-20");
+});
+
+test("getPublicHolidays lists the 11 French public holidays", () => {
+  const holidays = getPublicHolidays(2025);
+
+  assert.strictEqual(holidays.length, 11);
+  for (const date of ["2025-04-21", "2025-05-29", "2025-06-09", "2025-07-14"]) {
+    assert.ok(holidays.includes(date), `${date} should be a holiday`);
+  }
+});
+
+test("getCalendarDayTypes gives the most specific day type first", () => {
+  assert.deepStrictEqual(getCalendarDayTypes("2025-03-03"), ["weekday"]);
+  assert.deepStrictEqual(getCalendarDayTypes("2025-03-01"), ["weekend"]);
+  assert.deepStrictEqual(getCalendarDayTypes("2025-05-01"), [
+    "holiday",
+    "weekday",
+  ]);
+  assert.deepStrictEqual(getCalendarDayTypes("2025-11-01"), [
+    "holiday",
+    "weekend",
+  ]);
+});
+
+test("getDayTypeFamily tells how the day type of a date is known", () => {
+  assert.strictEqual(getDayTypeFamily("white"), "tempo");
+  assert.strictEqual(getDayTypeFamily("peak"), "ejp");
+  assert.strictEqual(getDayTypeFamily("weekend"), "calendar");
+  assert.strictEqual(getDayTypeFamily(null), null);
+});
@@ -0,0 +1,506 @@
+const { parseHourSlots } = require("./slots");
+
+// Fields identifying a price within the prices of a subscribed power: two prices with the same values are the same
+// price, whatever its amount. `source` and `kind` describe the build, not the offer, and are not compared
+const PRICE_KEY_FIELDS = [
+  "price_type",
+  "currency",
+  "start_date",
+  "hour_slots",
+  "day_type",
+  "day_start",
+  "months",
+  "energy",
+  "zone",
+  "contract_years",
+  "period",
+];
+
+// Releases list at most this many entries per section: GitHub cuts release notes at 125 000 characters
+const DEFAULT_LIST_LIMIT = 25;
+
+/**
+ * Gives the value of a key field of a price. Files generated before `period` and `day_start` were published leave
+ * them out: their subscriptions are monthly and their days start at midnight, like those of the current files that
+ * do not give a day start
+ * @param {Object} price - Price entry
+ * @param {string} field - Field of PRICE_KEY_FIELDS
+ * @returns {*} - Value of the field, null when the price does not have it
+ */
+function getKeyValue(price, field) {
+  const value = price[field] ?? null;
+  if (field === "day_start") return value || "00:00";
+  if (field === "period" && price.price_type === "subscription") {
+    return value || "month";
+  }
+  return value;
+}
+
+/**
+ * Gives the key identifying a price within the prices of a subscribed power
+ * @param {Object} price - Price entry
+ * @returns {string} - Key
+ */
+function getPriceKey(price) {
+  return JSON.stringify(
+    PRICE_KEY_FIELDS.map((field) => getKeyValue(price, field)),
+  );
+}
+
+/**
+ * Gives the periods of the prices of a subscribed power
+ * @param {Array} prices - Price entries
+ * @returns {Map} - Start dates mapped to the end date of their period (null when open)
+ */
+function getPeriods(prices) {
+  const periods = new Map();
+  for (const price of prices) {
+    if (!periods.has(price.start_date)) {
+      periods.set(price.start_date, price.end_date || null);
+    }
+  }
+  return periods;
+}
+
+/**
+ * Sorts power keys numerically, keeping non numeric keys (i.e. production bands) in alphabetical order
+ * @param {Array} powers - Power keys
+ * @returns {Array} - Sorted power keys
+ */
+function sortPowers(powers) {
+  return [...powers].sort((a, b) =>
+    isNaN(a) || isNaN(b) ? (a < b ? -1 : a > b ? 1 : 0) : Number(a) - Number(b),
+  );
+}
+
+/**
+ * Compares two contracts.json documents, i.e. the data of the previous release and of the current build
+ * @param {Object} previous - Contract keys mapped to prices grouped by subscribed power (contracts.json)
+ * @param {Object} current - Contract keys mapped to prices grouped by subscribed power (contracts.json)
+ * @returns {Object} - { contracts: { added, removed }, powers: { added, removed }, periods: { added, removed, ended },
+ * prices: { changed, added, removed } }. Contracts are listed with their powers; powers, periods and prices are only
+ * compared for the contracts of both documents, and periods and prices for the powers of both
+ */
+function diffContracts(previous, current) {
+  const diff = {
+    contracts: { added: [], removed: [] },
+    powers: { added: [], removed: [] },
+    periods: { added: [], removed: [], ended: [] },
+    prices: { changed: [], added: [], removed: [] },
+  };
+
+  for (const contract of Object.keys(current).sort()) {
+    if (!previous[contract]) {
+      diff.contracts.added.push({
+        contract,
+        powers: sortPowers(Object.keys(current[contract])),
+      });
+    }
+  }
+  for (const contract of Object.keys(previous).sort()) {
+    if (!current[contract]) {
+      diff.contracts.removed.push({
+        contract,
+        powers: sortPowers(Object.keys(previous[contract])),
+      });
+    }
+  }
+
+  const sharedContracts = Object.keys(current)
+    .filter((contract) => previous[contract])
+    .sort();
+
+  for (const contract of sharedContracts) {
+    const previousPowers = previous[contract];
+    const currentPowers = current[contract];
+
+    for (const power of sortPowers(Object.keys(currentPowers))) {
+      if (!previousPowers[power]) diff.powers.added.push({ contract, power });
+    }
+    for (const power of sortPowers(Object.keys(previousPowers))) {
+      if (!currentPowers[power]) diff.powers.removed.push({ contract, power });
+    }
+
+    const sharedPowers = sortPowers(
+      Object.keys(currentPowers).filter((power) => previousPowers[power]),
+    );
+    for (const power of sharedPowers) {
+      diffPowerPrices(
+        diff,
+        contract,
+        power,
+        previousPowers[power],
+        currentPowers[power],
+      );
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Compares the periods and prices of a subscribed power, adding the differences to a diff
+ * @param {Object} diff - Diff being built, see diffContracts
+ * @param {string} contract - Contract key
+ * @param {string} power - Subscribed power
+ * @param {Array} previousPrices - Prices of the previous document
+ * @param {Array} currentPrices - Prices of the current document
+ */
+function diffPowerPrices(diff, contract, power, previousPrices, currentPrices) {
+  const previousPeriods = getPeriods(previousPrices);
+  const currentPeriods = getPeriods(currentPrices);
+
+  for (const [startDate, endDate] of currentPeriods) {
+    if (!previousPeriods.has(startDate)) {
+      diff.periods.added.push({
+        contract,
+        power,
+        start_date: startDate,
+        end_date: endDate,
+      });
+    } else if (previousPeriods.get(startDate) !== endDate) {
+      diff.periods.ended.push({
+        contract,
+        power,
+        start_date: startDate,
+        previous_end_date: previousPeriods.get(startDate),
+        end_date: endDate,
+      });
+    }
+  }
+  for (const [startDate, endDate] of previousPeriods) {
+    if (!currentPeriods.has(startDate)) {
+      diff.periods.removed.push({
+        contract,
+        power,
+        start_date: startDate,
+        end_date: endDate,
+      });
+    }
+  }
+
+  // Prices of added or removed periods are described by their period
+  const previousByKey = new Map(
+    previousPrices
+      .filter((price) => currentPeriods.has(price.start_date))
+      .map((price) => [getPriceKey(price), price]),
+  );
+  const currentByKey = new Map(
+    currentPrices
+      .filter((price) => previousPeriods.has(price.start_date))
+      .map((price) => [getPriceKey(price), price]),
+  );
+
+  for (const [key, price] of currentByKey) {
+    const previousPrice = previousByKey.get(key);
+    if (!previousPrice) {
+      diff.prices.added.push({ contract, power, ...describeEntry(price) });
+    } else if (previousPrice.price !== price.price) {
+      const delta = price.price - previousPrice.price;
+      diff.prices.changed.push({
+        contract,
+        power,
+        ...describeEntry(price),
+        previous_price: previousPrice.price,
+        price: price.price,
+        delta,
+        delta_percent: previousPrice.price
+          ? Math.round((delta / Math.abs(previousPrice.price)) * 1000) / 10
+          : null,
+      });
+    }
+  }
+  for (const [key, price] of previousByKey) {
+    if (!currentByKey.has(key)) {
+      diff.prices.removed.push({ contract, power, ...describeEntry(price) });
+    }
+  }
+}
+
+/**
+ * Gives the identifying fields of a price, with its amount
+ * @param {Object} price - Price entry
+ * @returns {Object} - Fields of PRICE_KEY_FIELDS the price has, end_date and price
+ */
+function describeEntry(price) {
+  const entry = {};
+  for (const field of PRICE_KEY_FIELDS) {
+    if (price[field] !== undefined) entry[field] = price[field];
+  }
+  entry.end_date = price.end_date || null;
+  entry.price = price.price;
+  return entry;
+}
+
+/**
+ * Formats an amount in price units (euros multiplied by 10000)
+ * @param {number} amount - Amount
+ * @returns {string} - Amount in euros
+ */
+function formatEuros(amount) {
+  return `${(amount / 10000).toFixed(4)} €`;
+}
+
+/**
+ * Describes what a price applies to, i.e. "consumption, 22:00-06:00, blue days"
+ * @param {Object} price - Price entry, see describeEntry
+ * @returns {string} - Description
+ */
+function describePrice(price) {
+  const parts = [price.price_type];
+  const slots = parseHourSlots(price.hour_slots);
+  if (slots && slots.ref) {
+    parts.push(slots.ref === "peak" ? "peak hours" : "off-peak hours");
+  } else if (slots) {
+    parts.push(
+      slots.ranges.map((range) => `${range.start}-${range.end}`).join(", "),
+    );
+  }
+  if (price.day_type) {
+    parts.push(
+      `${price.day_type} days${price.day_start ? ` from ${price.day_start}` : ""}`,
+    );
+  }
+  if (price.period) parts.push(`per ${price.period}`);
+  if (price.months) parts.push(`months ${price.months.join(", ")}`);
+  if (price.zone) parts.push(`zone ${price.zone}`);
+  if (price.energy) parts.push(price.energy);
+  if (price.contract_years) parts.push(`${price.contract_years} years`);
+  return parts.join(", ");
+}
+
+/**
+ * Describes a period
+ * @param {string} startDate - First day
+ * @param {string|null} endDate - Last day, null when open
+ * @returns {string} - i.e. "2025-08-01 → 2026-01-31" or "from 2026-02-01"
+ */
+function formatPeriod(startDate, endDate) {
+  return endDate ? `${startDate} → ${endDate}` : `from ${startDate}`;
+}
+
+/**
+ * Lists subscribed powers, runs of consecutive powers collapsed
+ * @param {Array} powers - Sorted power keys
+ * @returns {string} - i.e. "3-36 kVA" or "6, 9, 12 kVA"
+ */
+function formatPowers(powers) {
+  const parts = [];
+  for (let i = 0; i < powers.length; i++) {
+    let j = i;
+    while (
+      j + 1 < powers.length &&
+      !isNaN(powers[j]) &&
+      Number(powers[j + 1]) === Number(powers[j]) + 1
+    ) {
+      j++;
+    }
+    parts.push(
+      j - i >= 2
+        ? `${powers[i]}-${powers[j]}`
+        : powers.slice(i, j + 1).join(", "),
+    );
+    i = j;
+  }
+  return `${parts.join(", ")} kVA`;
+}
+
+/**
+ * Groups the periods of a diff listing by contract and dates, to list every subscribed power of a period on one line
+ * @param {Array} periods - Periods { contract, power, start_date, end_date, ... }
+ * @param {Function} describe - Function describing the dates of a period
+ * @returns {Array} - Lines "`contract` dates (powers)"
+ */
+function groupPeriods(periods, describe) {
+  const groups = new Map();
+  for (const period of periods) {
+    const line = `\`${period.contract}\` ${describe(period)}`;
+    if (!groups.has(line)) groups.set(line, []);
+    groups.get(line).push(period.power);
+  }
+  return [...groups].map(
+    ([line, powers]) => `${line} (${formatPowers(powers)})`,
+  );
+}
+
+/**
+ * Counts the period and price changes of each contract of a diff
+ * @param {Object} diff - Diff, see diffContracts
+ * @returns {Array} - Lines "`contract`: 2 periods added, 12 prices changed", sorted by contract
+ */
+function countContractChanges(diff) {
+  const groups = [
+    [diff.periods.added, "period added", "periods added"],
+    [diff.periods.removed, "period removed", "periods removed"],
+    [diff.periods.ended, "period end changed", "period ends changed"],
+    [diff.prices.changed, "price changed", "prices changed"],
+    [diff.prices.added, "price added", "prices added"],
+    [diff.prices.removed, "price removed", "prices removed"],
+  ];
+
+  const counts = new Map();
+  groups.forEach(([items], index) => {
+    for (const { contract } of items) {
+      if (!counts.has(contract))
+        counts.set(
+          contract,
+          groups.map(() => 0),
+        );
+      counts.get(contract)[index] += 1;
+    }
+  });
+
+  return [...counts.keys()].sort().map((contract) => {
+    const parts = counts
+      .get(contract)
+      .map((count, index) =>
+        count === 0
+          ? null
+          : `${count} ${count === 1 ? groups[index][1] : groups[index][2]}`,
+      )
+      .filter(Boolean);
+    return `- \`${contract}\`: ${parts.join(", ")}`;
+  });
+}
+
+/**
+ * Formats a diff as markdown, for release notes. Long sections are cut to keep the notes within the size of a
+ * release body: changed prices keep their largest changes, and `--json` gives every change
+ * @param {Object} diff - Diff, see diffContracts
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Maximum number of entries listed per section
+ * @returns {string} - Markdown
+ */
+function formatDiffMarkdown(diff, { limit = DEFAULT_LIST_LIMIT } = {}) {
+  const { contracts, powers, periods, prices } = diff;
+  const lines = ["## Changes since the previous release", ""];
+
+  const counts = [
+    [contracts.added.length, "contract added", "contracts added"],
+    [contracts.removed.length, "contract removed", "contracts removed"],
+    [powers.added.length, "power level added", "power levels added"],
+    [powers.removed.length, "power level removed", "power levels removed"],
+    [periods.added.length, "period added", "periods added"],
+    [periods.removed.length, "period removed", "periods removed"],
+    [periods.ended.length, "period end changed", "period ends changed"],
+    [prices.changed.length, "price changed", "prices changed"],
+    [prices.added.length, "price added", "prices added"],
+    [prices.removed.length, "price removed", "prices removed"],
+  ].filter(([count]) => count > 0);
+
+  if (counts.length === 0) {
+    lines.push("No changes.");
+    return `${lines.join("\n")}\n`;
+  }
+  lines.push(
+    counts
+      .map(([count, one, many]) => `${count} ${count === 1 ? one : many}`)
+      .join(", "),
+  );
+
+  /**
+   * Adds a section listing items, when there are some, cut after the limit
+   * @param {string} title - Section title
+   * @param {Array} items - Markdown lines of the section
+   * @param {Array} [header] - Lines before the items, i.e. a table header
+   */
+  const addSection = (title, items, header = []) => {
+    if (items.length === 0) return;
+    lines.push("", `### ${title}`, "", ...header, ...items.slice(0, limit));
+    if (items.length > limit) {
+      lines.push(
+        "",
+        `... and ${items.length - limit} more, see \`npm run diff -- --json\``,
+      );
+    }
+  };
+
+  addSection("Changes per contract", countContractChanges(diff));
+
+  addSection(
+    "Added contracts",
+    contracts.added.map(
+      ({ contract, powers }) => `- \`${contract}\` (${formatPowers(powers)})`,
+    ),
+  );
+  addSection(
+    "Removed contracts",
+    contracts.removed.map(
+      ({ contract, powers }) => `- \`${contract}\` (${formatPowers(powers)})`,
+    ),
+  );
+  addSection(
+    "New power levels",
+    powers.added.map(({ contract, power }) => `- \`${contract}\` ${power} kVA`),
+  );
+  addSection(
+    "Removed power levels",
+    powers.removed.map(
+      ({ contract, power }) => `- \`${contract}\` ${power} kVA`,
+    ),
+  );
+  addSection(
+    "New periods",
+    groupPeriods(periods.added, (period) =>
+      formatPeriod(period.start_date, period.end_date),
+    ).map((line) => `- ${line}`),
+  );
+  addSection(
+    "Removed periods",
+    groupPeriods(periods.removed, (period) =>
+      formatPeriod(period.start_date, period.end_date),
+    ).map((line) => `- ${line}`),
+  );
+  addSection(
+    "Changed period ends",
+    groupPeriods(
+      periods.ended,
+      (period) =>
+        `from ${period.start_date}: ends ${period.end_date || "never"} (was ${period.previous_end_date || "open"})`,
+    ).map((line) => `- ${line}`),
+  );
+
+  // Largest changes first, changes from a zero price last
+  const changedPrices = [...prices.changed].sort(
+    (a, b) =>
+      (b.delta_percent === null ? -1 : Math.abs(b.delta_percent)) -
+      (a.delta_percent === null ? -1 : Math.abs(a.delta_percent)),
+  );
+  addSection(
+    "Changed prices",
+    changedPrices.map(
+      (price) =>
+        `| \`${price.contract}\` | ${price.power} kVA | ${describePrice(price)} | ${formatPeriod(price.start_date, price.end_date)} | ${formatEuros(price.previous_price)} | ${formatEuros(price.price)} | ${
+          price.delta_percent === null
+            ? "n/a"
+            : `${price.delta_percent > 0 ? "+" : ""}${price.delta_percent}%`
+        } |`,
+    ),
+    [
+      "| Contract | Power | Price | Period | Previous | Current | Change |",
+      "| --- | --- | --- | --- | ---: | ---: | ---: |",
+    ],
+  );
+  addSection(
+    "Added prices",
+    prices.added.map(
+      (price) =>
+        `- \`${price.contract}\` ${price.power} kVA, ${describePrice(price)}, ${formatPeriod(price.start_date, price.end_date)}: ${formatEuros(price.price)}`,
+    ),
+  );
+  addSection(
+    "Removed prices",
+    prices.removed.map(
+      (price) =>
+        `- \`${price.contract}\` ${price.power} kVA, ${describePrice(price)}, ${formatPeriod(price.start_date, price.end_date)}: ${formatEuros(price.price)}`,
+    ),
+  );
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  DEFAULT_LIST_LIMIT,
+  diffContracts,
+  formatDiffMarkdown,
+};
@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { diffContracts, formatDiffMarkdown } = require("./diff");
+
+/**
+ * Builds a base consumption price
+ * @param {string} startDate - First day of the period
+ * @param {string|null} endDate - Last day of the period
+ * @param {number} price - Price
+ * @returns {Object} - Price entry
+ */
+function basePrice(startDate, endDate, price) {
+  return {
+    contract: "base",
+    kind: "base",
+    price_type: "consumption",
+    currency: "euro",
+    start_date: startDate,
+    end_date: endDate,
+    price,
+    hour_slots: null,
+    day_type: null,
+    source: { file: "base.csv", row: 2 },
+  };
+}
+
+const previous = {
+  "edf-base": {
+    3: [basePrice("2025-02-01", null, 2016)],
+    6: [basePrice("2025-02-01", null, 2016)],
+  },
+  "old-base": {
+    6: [basePrice("2025-02-01", null, 2000)],
+  },
+};
+
+const current = {
+  "edf-base": {
+    6: [
+      basePrice("2025-02-01", "2025-07-31", 2000),
+      basePrice("2025-08-01", null, 1952),
+    ],
+    9: [basePrice("2025-08-01", null, 1952)],
+  },
+  "new-base": {
+    6: [basePrice("2025-08-01", null, 1900)],
+  },
+};
+
+test("diffContracts reports contracts, powers, periods and prices", () => {
+  const diff = diffContracts(previous, current);
+
+  assert.deepStrictEqual(diff.contracts, {
+    added: [{ contract: "new-base", powers: ["6"] }],
+    removed: [{ contract: "old-base", powers: ["6"] }],
+  });
+  assert.deepStrictEqual(diff.powers, {
+    added: [{ contract: "edf-base", power: "9" }],
+    removed: [{ contract: "edf-base", power: "3" }],
+  });
+  assert.deepStrictEqual(diff.periods, {
+    added: [
+      {
+        contract: "edf-base",
+        power: "6",
+        start_date: "2025-08-01",
+        end_date: null,
+      },
+    ],
+    removed: [],
+    ended: [
+      {
+        contract: "edf-base",
+        power: "6",
+        start_date: "2025-02-01",
+        previous_end_date: null,
+        end_date: "2025-07-31",
+      },
+    ],
+  });
+  assert.deepStrictEqual(diff.prices.changed, [
+    {
+      contract: "edf-base",
+      power: "6",
+      price_type: "consumption",
+      currency: "euro",
+      start_date: "2025-02-01",
+      hour_slots: null,
+      day_type: null,
+      end_date: "2025-07-31",
+      previous_price: 2016,
+      price: 2000,
+      delta: -16,
+      delta_percent: -0.8,
+    },
+  ]);
+  assert.deepStrictEqual(diff.prices.added, []);
+  assert.deepStrictEqual(diff.prices.removed, []);
+});
+
+test("diffContracts ignores the provenance of unchanged prices", () => {
+  const rebuilt = JSON.parse(JSON.stringify(previous));
+  rebuilt["edf-base"][6][0].source = { file: "base.xlsx", row: 5 };
+  const diff = diffContracts(previous, rebuilt);
+
+  assert.strictEqual(formatDiffMarkdown(diff).includes("No changes."), true);
+});
+
+test("formatDiffMarkdown gives release notes", () => {
+  const markdown = formatDiffMarkdown(diffContracts(previous, current));
+
+  assert.match(
+    markdown,
+    /1 contract added, 1 contract removed, 1 power level added, 1 power level removed, 1 period added/,
+  );
+  assert.match(markdown, /### Added contracts\n\n- `new-base` \(6 kVA\)/);
+  assert.match(markdown, /### New power levels\n\n- `edf-base` 9 kVA/);
+  assert.match(markdown, /- `edf-base` from 2025-08-01 \(6 kVA\)/);
+  assert.match(
+    markdown,
+    /\| `edf-base` \| 6 kVA \| consumption \| 2025-02-01 → 2025-07-31 \| 0\.2016 € \| 0\.2000 € \| -0\.8% \|/,
+  );
+});
+
+test("diffContracts matches the prices of files without period and day start", () => {
+  const subscription = {
+    ...basePrice("2025-02-01", null, 150000),
+    price_type: "subscription",
+  };
+  const legacy = {
+    "edf-base": { 6: [subscription, basePrice("2025-02-01", null, 2016)] },
+  };
+  const rebuilt = {
+    "edf-base": {
+      6: [
+        { ...subscription, period: "month", price: 152000 },
+        { ...basePrice("2025-02-01", null, 2000), day_start: "00:00" },
+      ],
+    },
+  };
+  const diff = diffContracts(legacy, rebuilt);
+
+  assert.deepStrictEqual(
+    diff.prices.changed.map((change) => change.price),
+    [152000, 2000],
+  );
+  assert.deepStrictEqual(diff.prices.added, []);
+  assert.deepStrictEqual(diff.prices.removed, []);
+});
+
+test("formatDiffMarkdown counts the changes per contract and lists at most the given number", () => {
+  const prices = (amount) =>
+    ["2023-02-01", "2024-02-01", "2025-02-01"].map((startDate) =>
+      basePrice(startDate, null, amount),
+    );
+  const diff = diffContracts(
+    { "edf-base": { 6: prices(2000) } },
+    { "edf-base": { 6: prices(2100) } },
+  );
+  const markdown = formatDiffMarkdown(diff, { limit: 2 });
+
+  assert.match(
+    markdown,
+    /### Changes per contract\n\n- `edf-base`: 3 prices changed/,
+  );
+  assert.strictEqual(markdown.match(/\| `edf-base` \| 6 kVA/g).length, 2);
+  assert.match(markdown, /\.\.\. and 1 more, see `npm run diff -- --json`/);
+  assert.doesNotMatch(formatDiffMarkdown(diff), /more, see/);
+});
@@ -0,0 +1,440 @@
+const fs = require("fs");
+const path = require("path");
+const { extractPdfText, groupLines } = require("./pdf");
+const { convertToIsoDate, parseDecimal, readTable } = require("./converters");
+const { addDays } = require("./timeline");
+
+const ES_DIR = path.join(
+  __dirname,
+  "..",
+  "contracts",
+  "electricite-de-strasbourg",
+);
+const ES_PDF_DIR = path.join(ES_DIR, "es-tarifs");
+
+// Options of the ES "TRV Bleu" grids and the transcribed CSV each feeds. The grids are told apart by their number of
+// consumption price columns; paired columns are given as off-peak (HC) then peak (HP), the PDF order varying over
+// the years
+const ES_OPTIONS = [
+  {
+    option: "base",
+    dir: "tarif-bleu-base",
+    monthly: "PART_FIXE_TTC_MOIS",
+    consumption: ["PART_VARIABLE_TTC"],
+  },
+  {
+    option: "peak-off-peak",
+    dir: "tarif-bleu-peak-off-peak",
+    monthly: "PART_FIXE_MOIS_TTC",
+    consumption: ["PART_VARIABLE_HC_TTC", "PART_VARIABLE_HP_TTC"],
+  },
+  {
+    option: "tempo",
+    dir: "tarif-bleu-tempo",
+    monthly: "PART_FIXE_MOIS_TTC",
+    consumption: [
+      "PART_VARIABLE_HCBleu_TTC",
+      "PART_VARIABLE_HPBleu_TTC",
+      "PART_VARIABLE_HCBlanc_TTC",
+      "PART_VARIABLE_HPBlanc_TTC",
+      "PART_VARIABLE_HCRouge_TTC",
+      "PART_VARIABLE_HPRouge_TTC",
+    ],
+  },
+];
+const YEARLY_COLUMN = "PART_FIXE_TTC";
+
+const POWERS = ["3", "6", "9", "12", "15", "18", "24", "30", "36"];
+const SUBSCRIPTION_REGEX = /^\d+,\d{2}$/;
+const CONSUMPTION_REGEX = /^0,\d{4,5}$/;
+// Grid file names start with the date the grid applies from: "2026.02.01_ES TRV Bleu.pdf"
+const FILE_DATE_REGEX = /^(\d{4})\.(\d{2})\.(\d{2})/;
+
+// Layout tolerances, in PDF units: rows of a table share their power column and follow each other closely, and
+// merged price cells stay within the rows they cover
+const COLUMN_TOLERANCE = 10;
+const ROW_GAP = 30;
+const CELL_MARGIN = 8;
+const PRICE_COLUMN_GAP = 15;
+
+/**
+ * Formats a decimal number the way the transcribed CSV files do: comma separator, no trailing zeros
+ * @param {number} value - Number
+ * @returns {string} - Decimal string (e.g. "45,8")
+ */
+function formatDecimal(value) {
+  return String(value).replace(".", ",");
+}
+
+/**
+ * Finds the rows of the tariff tables of a page: a subscribed power followed by its monthly subscription
+ * @param {Array} lines - Lines of the page, see groupLines
+ * @returns {Array} - Rows { x, endX, y, power, monthly }
+ */
+function findGridRows(lines) {
+  const rows = [];
+  for (const { y, words } of lines) {
+    words.forEach((word, index) => {
+      const next = words[index + 1];
+      if (
+        POWERS.includes(word.text) &&
+        next &&
+        SUBSCRIPTION_REGEX.test(next.text)
+      ) {
+        rows.push({
+          x: word.x,
+          endX: next.endX,
+          y,
+          power: word.text,
+          monthly: next.text,
+        });
+      }
+    });
+  }
+  return rows;
+}
+
+/**
+ * Groups grid rows into tables: rows aligned on the same power column, each close below the previous one
+ * @param {Array} rows - Rows of a page, see findGridRows
+ * @returns {Array} - Tables { x, top, bottom, rows }, rows top to bottom
+ */
+function groupTables(rows) {
+  const tables = [];
+  for (const row of [...rows].sort((a, b) => b.y - a.y)) {
+    const table = tables.find(
+      (candidate) =>
+        Math.abs(candidate.x - row.x) <= COLUMN_TOLERANCE &&
+        candidate.bottom - row.y <= ROW_GAP,
+    );
+    if (table) {
+      table.rows.push(row);
+      table.bottom = row.y;
+    } else {
+      tables.push({ x: row.x, top: row.y, bottom: row.y, rows: [row] });
+    }
+  }
+  return tables;
+}
+
+/**
+ * Splits the rows of a table between the prices of a column: each price covers consecutive rows (merged cells),
+ * and is printed at the vertical centre of the rows it covers
+ * @param {Array} rows - Table rows, top to bottom
+ * @param {Array} prices - Price words of the column, top to bottom
+ * @returns {Array} - Price text of each row
+ */
+function assignPrices(rows, prices) {
+  const n = rows.length;
+  const m = prices.length;
+  // best[i][j]: lowest distance placing the first j prices over the first i rows
+  const best = Array.from({ length: n + 1 }, () =>
+    new Array(m + 1).fill(Infinity),
+  );
+  const cut = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  best[0][0] = 0;
+
+  for (let j = 1; j <= m; j++) {
+    for (let i = j; i <= n; i++) {
+      for (let start = j - 1; start < i; start++) {
+        const covered = rows.slice(start, i);
+        const centre =
+          covered.reduce((sum, row) => sum + row.y, 0) / covered.length;
+        const cost = best[start][j - 1] + Math.abs(centre - prices[j - 1].y);
+        if (cost < best[i][j]) {
+          best[i][j] = cost;
+          cut[i][j] = start;
+        }
+      }
+    }
+  }
+
+  const assigned = new Array(n);
+  for (let i = n, j = m; j > 0; j--) {
+    const start = cut[i][j];
+    assigned.fill(prices[j - 1].text, start, i);
+    i = start;
+  }
+  return assigned;
+}
+
+/**
+ * Reads the consumption prices of a table and gives its rows
+ * @param {Object} table - Table, see groupTables
+ * @param {Array} tables - Every table of the page, to bound the prices of side by side tables
+ * @param {Array} words - Every word of the page, with the y of its line
+ * @returns {Object} - { option, rows: [{ power, monthly, consumption }] }, consumption prices in the order of the
+ * option columns
+ */
+function readGridTable(table, tables, words) {
+  const left = Math.max(...table.rows.map((row) => row.endX));
+  const right = Math.min(
+    Infinity,
+    ...tables
+      .filter(
+        (other) =>
+          other.x > table.x &&
+          other.bottom <= table.top &&
+          other.top >= table.bottom,
+      )
+      .map((other) => other.x),
+  );
+  const prices = words
+    .filter(
+      (word) =>
+        CONSUMPTION_REGEX.test(word.text) &&
+        word.x > left &&
+        word.x < right &&
+        word.y <= table.top + CELL_MARGIN &&
+        word.y >= table.bottom - CELL_MARGIN,
+    )
+    .sort((a, b) => a.x - b.x);
+
+  const columns = [];
+  for (const price of prices) {
+    const column = columns[columns.length - 1];
+    if (column && price.x - column[column.length - 1].x <= PRICE_COLUMN_GAP) {
+      column.push(price);
+    } else {
+      columns.push([price]);
+    }
+  }
+
+  const option = ES_OPTIONS.find(
+    ({ consumption }) => consumption.length === columns.length,
+  );
+  if (!option || columns.some((column) => column.length > table.rows.length)) {
+    throw new Error(
+      `Unexpected ES tariff grid: ${columns.length} consumption price columns for ${table.rows.length} rows`,
+    );
+  }
+
+  const columnPrices = columns.map((column) =>
+    assignPrices(
+      table.rows,
+      column.sort((a, b) => b.y - a.y),
+    ),
+  );
+  return {
+    option: option.option,
+    rows: table.rows.map((row, index) => {
+      const consumption = columnPrices.map((column) => column[index]);
+      // Paired columns: off-peak first, the off-peak price being the lowest
+      for (let i = 0; i + 1 < consumption.length; i += 2) {
+        const pair = consumption.slice(i, i + 2);
+        pair.sort((a, b) => parseDecimal(a) - parseDecimal(b));
+        consumption.splice(i, 2, ...pair);
+      }
+      return { power: row.power, monthly: row.monthly, consumption };
+    }),
+  };
+}
+
+/**
+ * Extracts the tariff grids of an ES "TRV Bleu" PDF
+ * @param {string} file - PDF file path, named after the date the grid applies from (i.e. "2026.02.01_ES TRV Bleu.pdf")
+ * @returns {Object} - { file, start_date, options }, options mapping the option ("base", "peak-off-peak", "tempo") to
+ * its rows { power, monthly, consumption }, empty when the grid is not text (scanned image)
+ */
+function extractEsGrid(file) {
+  const match = path.basename(file).match(FILE_DATE_REGEX);
+  if (!match) {
+    throw new Error(
+      `Invalid ES tariff file name '${path.basename(file)}': expected a YYYY.MM.DD prefix`,
+    );
+  }
+
+  const options = {};
+  for (const items of extractPdfText(file)) {
+    const lines = groupLines(items);
+    const words = lines.flatMap(({ y, words: lineWords }) =>
+      lineWords.map((word) => ({ ...word, y })),
+    );
+    const tables = groupTables(findGridRows(lines));
+    for (const table of tables) {
+      const { option, rows } = readGridTable(table, tables, words);
+      if (options[option]) {
+        throw new Error(
+          `ES tariff file '${path.basename(file)}' holds several '${option}' grids`,
+        );
+      }
+      options[option] = rows;
+    }
+  }
+
+  return {
+    file: path.basename(file),
+    start_date: `${match[1]}-${match[2]}-${match[3]}`,
+    options,
+  };
+}
+
+/**
+ * Extracts the grids of every ES "TRV Bleu" PDF of a directory; each grid ends the day before the next one starts
+ * @param {string} [dir] - Directory holding the PDFs, contracts/electricite-de-strasbourg/es-tarifs by default
+ * @returns {Array} - Grids { file, start_date, end_date, options } sorted by start date, see extractEsGrid
+ */
+function extractEsGrids(dir = ES_PDF_DIR) {
+  const grids = fs
+    .readdirSync(dir)
+    .filter((name) => name.toLowerCase().endsWith(".pdf"))
+    .map((name) => extractEsGrid(path.join(dir, name)))
+    .sort((a, b) => a.start_date.localeCompare(b.start_date));
+
+  return grids.map((grid, index) => ({
+    ...grid,
+    end_date:
+      index + 1 < grids.length
+        ? addDays(grids[index + 1].start_date, -1)
+        : null,
+  }));
+}
+
+/**
+ * Gives the CSV header of an option, the one of its transcribed Option_*.csv file
+ * @param {Object} option - Option, see ES_OPTIONS
+ * @returns {Array} - Column names
+ */
+function getEsCsvHeader(option) {
+  return [
+    "DATE_DEBUT",
+    "DATE_FIN",
+    "P_SOUSCRITE",
+    option.monthly,
+    YEARLY_COLUMN,
+    ...option.consumption,
+  ];
+}
+
+/**
+ * Gives the CSV values of a grid row, keyed by column
+ * @param {Object} option - Option, see ES_OPTIONS
+ * @param {Object} row - Grid row { power, monthly, consumption }
+ * @returns {Object} - Column names mapped to their CSV value
+ */
+function getEsCsvValues(option, row) {
+  const monthly = parseDecimal(row.monthly);
+  return {
+    P_SOUSCRITE: row.power,
+    [option.monthly]: formatDecimal(monthly),
+    [YEARLY_COLUMN]: formatDecimal(Math.round(monthly * 12 * 100) / 100),
+    ...Object.fromEntries(
+      option.consumption.map((column, index) => [
+        column,
+        formatDecimal(parseDecimal(row.consumption[index])),
+      ]),
+    ),
+  };
+}
+
+/**
+ * Renders the grids of an option in the layout of its transcribed Option_*.csv file
+ * @param {Array} grids - Grids, see extractEsGrids
+ * @param {string} optionName - "base", "peak-off-peak" or "tempo"
+ * @returns {string} - CSV content
+ */
+function renderEsCsv(grids, optionName) {
+  const option = ES_OPTIONS.find(({ option: name }) => name === optionName);
+  if (!option) {
+    throw new Error(`Unknown ES tariff option '${optionName}'`);
+  }
+
+  const header = getEsCsvHeader(option);
+  const formatDate = (date) =>
+    date ? date.split("-").reverse().join("/") : "";
+  const lines = grids.flatMap((grid) =>
+    (grid.options[optionName] || []).map((row) => {
+      const values = {
+        ...getEsCsvValues(option, row),
+        DATE_DEBUT: formatDate(grid.start_date),
+        DATE_FIN: formatDate(grid.end_date),
+      };
+      return header.map((column) => values[column]).join(";");
+    }),
+  );
+  return [header.join(";"), ...lines].join("\n") + "\n";
+}
+
+/**
+ * Checks the transcribed sources of the tarif-bleu-* contracts (the Option_* workbook or CSV file their manifest
+ * declares) against the grids extracted from the PDFs they were derived from: every row of a grid must be transcribed
+ * with the same prices, and a transcribed grid must not have rows the PDF lacks.
+ * Rows are matched on their start date and subscribed power; the monthly subscription may be left empty, the yearly
+ * one being the price the converters read.
+ * @param {Array} grids - Grids, see extractEsGrids
+ * @param {string} [dir] - Directory holding the tarif-bleu-* contracts, contracts/electricite-de-strasbourg by default
+ * @returns {Array} - Discrepancies { file, option, start_date, power, column, csv, pdf }: csv (the transcribed value)
+ * is null for rows missing from the source, pdf is null for transcribed rows the grid lacks
+ */
+function checkEsCsv(grids, dir = ES_DIR) {
+  const discrepancies = [];
+
+  for (const option of ES_OPTIONS) {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(dir, option.dir, "manifest.json"), "utf-8"),
+    );
+    const { headers, rows } = readTable(
+      path.join(dir, option.dir, manifest.source),
+    );
+    const csvRows = rows.map((columns) =>
+      Object.fromEntries(
+        headers.map((header, index) => [header, columns[index] || ""]),
+      ),
+    );
+
+    for (const grid of grids) {
+      const gridRows = grid.options[option.option];
+      if (!gridRows) continue;
+
+      const transcribed = csvRows.filter(
+        (row) => convertToIsoDate(row.DATE_DEBUT) === grid.start_date,
+      );
+      const report = (power, column, csv, pdf) =>
+        discrepancies.push({
+          file: grid.file,
+          option: option.option,
+          start_date: grid.start_date,
+          power,
+          column,
+          csv,
+          pdf,
+        });
+
+      for (const gridRow of gridRows) {
+        if (!transcribed.some((row) => row.P_SOUSCRITE === gridRow.power)) {
+          report(gridRow.power, null, null, gridRow);
+        }
+      }
+
+      // Every transcribed row is checked, duplicates included
+      for (const csvRow of transcribed) {
+        const gridRow = gridRows.find(
+          ({ power }) => power === csvRow.P_SOUSCRITE,
+        );
+        if (!gridRow) {
+          report(csvRow.P_SOUSCRITE, null, csvRow, null);
+          continue;
+        }
+        const values = getEsCsvValues(option, gridRow);
+        for (const [column, pdf] of Object.entries(values)) {
+          const csv = csvRow[column];
+          if (column === option.monthly && csv === "") continue;
+          if (csv === "" || parseDecimal(csv) !== parseDecimal(pdf)) {
+            report(gridRow.power, column, csv, pdf);
+          }
+        }
+      }
+    }
+  }
+
+  return discrepancies;
+}
+
+module.exports = {
+  ES_PDF_DIR,
+  ES_OPTIONS,
+  extractEsGrid,
+  extractEsGrids,
+  renderEsCsv,
+  checkEsCsv,
+};
@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  ES_PDF_DIR,
+  ES_OPTIONS,
+  extractEsGrid,
+  extractEsGrids,
+  renderEsCsv,
+  checkEsCsv,
+} = require("./es-tarifs");
+const { createTempDir } = require("./test-helpers");
+
+const grid2026 = {
+  ...extractEsGrid(path.join(ES_PDF_DIR, "2026.02.01_ES TRV Bleu.pdf")),
+  end_date: null,
+};
+
+/**
+ * Creates a copy of the tarif-bleu-* contracts whose sources are CSV files rendered from grids
+ * @param {Object} t - Context of the running test
+ * @param {Array} grids - Grids, see extractEsGrids
+ * @returns {string} - Directory holding the tarif-bleu-* contracts
+ */
+function createEsDir(t, grids) {
+  const dir = createTempDir(t);
+  for (const option of ES_OPTIONS) {
+    const manifest = fs.readFileSync(
+      path.join(ES_PDF_DIR, "..", option.dir, "manifest.json"),
+      "utf-8",
+    );
+    const source = JSON.parse(manifest).source.replace(/\.xlsx$/, ".csv");
+    fs.mkdirSync(path.join(dir, option.dir));
+    fs.writeFileSync(
+      path.join(dir, option.dir, "manifest.json"),
+      JSON.stringify({ ...JSON.parse(manifest), source }),
+    );
+    fs.writeFileSync(
+      path.join(dir, option.dir, source),
+      renderEsCsv(grids, option.option),
+    );
+  }
+  return dir;
+}
+
+test("extractEsGrid reads the merged price cells of the 2026 grid", () => {
+  const { start_date, options } = grid2026;
+
+  assert.strictEqual(start_date, "2026-02-01");
+  assert.deepStrictEqual(Object.keys(options), [
+    "base",
+    "peak-off-peak",
+    "tempo",
+  ]);
+  // The base price of 3 and 6 kVA differs from the one of 9 to 36 kVA
+  assert.deepStrictEqual(options.base.slice(0, 3), [
+    { power: "3", monthly: "12,07", consumption: ["0,19398"] },
+    { power: "6", monthly: "15,74", consumption: ["0,19398"] },
+    { power: "9", monthly: "19,69", consumption: ["0,19266"] },
+  ]);
+  assert.deepStrictEqual(options["peak-off-peak"][0], {
+    power: "6",
+    monthly: "15,96",
+    consumption: ["0,15786", "0,20646"],
+  });
+  assert.deepStrictEqual(options.tempo[5], {
+    power: "24",
+    monthly: "45,04",
+    consumption: [
+      "0,13254",
+      "0,16122",
+      "0,14994",
+      "0,18714",
+      "0,15750",
+      "0,70602",
+    ],
+  });
+});
+
+test("extractEsGrid gives off-peak prices first whatever the PDF order", () => {
+  const { options } = extractEsGrid(
+    path.join(ES_PDF_DIR, "2015.08.01_ES TRV Bleu.pdf"),
+  );
+
+  assert.deepStrictEqual(
+    options.base.map(({ power }) => power),
+    ["3", "6", "9", "12", "15"],
+  );
+  assert.deepStrictEqual(options["peak-off-peak"][0].consumption, [
+    "0,1150",
+    "0,1637",
+  ]);
+  assert.deepStrictEqual(options.tempo[0].consumption, [
+    "0,0967",
+    "0,1147",
+    "0,1336",
+    "0,1585",
+    "0,2402",
+    "0,6208",
+  ]);
+  // Grids published as images have no text to read
+  assert.deepStrictEqual(
+    extractEsGrid(path.join(ES_PDF_DIR, "2020.08.01_ES TRV Bleu.pdf")).options,
+    {},
+  );
+});
+
+test("renderEsCsv writes the layout of the transcribed CSV files", () => {
+  const lines = renderEsCsv([grid2026], "base").split("\n");
+
+  assert.strictEqual(
+    lines[0],
+    "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_TTC_MOIS;PART_FIXE_TTC;PART_VARIABLE_TTC",
+  );
+  assert.strictEqual(lines[8], "01/02/2026;;30;45,8;549,6;0,19266");
+  assert.throws(
+    () => renderEsCsv([grid2026], "ejp"),
+    /Unknown ES tariff option/,
+  );
+});
+
+test("checkEsCsv flags CSV rows that disagree with the PDF grid", (t) => {
+  const dir = createEsDir(t, [grid2026]);
+  assert.deepStrictEqual(checkEsCsv([grid2026], dir), []);
+
+  const basePath = path.join(dir, "tarif-bleu-base", "Option_Base.csv");
+  const lines = fs.readFileSync(basePath, "utf-8").trim().split("\n");
+  fs.writeFileSync(
+    basePath,
+    [
+      ...lines.slice(0, 2),
+      // Transcription mistake, then a stray duplicate row
+      "01/02/2026;;6;;188,88;0,19266",
+      "01/02/2026;;3;;;0,174",
+      // 9 kVA forgotten
+      ...lines.slice(4),
+    ].join("\n"),
+  );
+
+  const discrepancies = checkEsCsv([grid2026], dir).map(
+    ({ power, column, csv, pdf }) => [
+      power,
+      column,
+      csv === null ? null : typeof csv === "string" ? csv : "row",
+      pdf === null ? null : typeof pdf === "string" ? pdf : "row",
+    ],
+  );
+  assert.deepStrictEqual(discrepancies, [
+    ["9", null, null, "row"],
+    ["6", "PART_VARIABLE_TTC", "0,19266", "0,19398"],
+    ["3", "PART_FIXE_TTC", "", "144,84"],
+    ["3", "PART_VARIABLE_TTC", "0,174", "0,19398"],
+  ]);
+});
+
+test("the transcribed ES sources of the repository match their PDF grids", () => {
+  assert.deepStrictEqual(checkEsCsv(extractEsGrids()), []);
+});
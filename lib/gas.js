@@ -0,0 +1,48 @@
+// Energies of the price entries: entries without an energy field are electricity prices
+const ENERGIES = ["electricity", "gas"];
+
+// Gas distribution tariff zones (1 to 6, by distance to the transport network)
+const GAS_ZONES = [1, 2, 3, 4, 5, 6];
+
+// Gas consumption bands, used instead of the subscribed power: B0 (cooking, up to 1 000 kWh a year),
+// B1 (up to 6 000 kWh) and B2I (heating, above 6 000 kWh)
+const GAS_BANDS = ["B0", "B1", "B2I"];
+
+// Columns of the CRE "prix repère" gas CSV holding the consumption band and the tariff zone of each row
+const GAS_BAND_COLUMN = "TRANCHE";
+const GAS_ZONE_COLUMN = "ZONE";
+
+/**
+ * Gives the energy of a price entry
+ * @param {Object} price - Price entry
+ * @returns {string} - "electricity" or "gas"
+ */
+function getEnergy(price) {
+  return price.energy || "electricity";
+}
+
+/**
+ * Parses the consumption band and tariff zone of a gas price row
+ * @param {string} band - Consumption band (i.e. "B1")
+ * @param {string} zone - Tariff zone (i.e. "1")
+ * @returns {Object} - { band, zone } with the zone as a number
+ */
+function parseGasRow(band, zone) {
+  const zoneNumber = Number(zone);
+  if (!GAS_BANDS.includes(band) || !GAS_ZONES.includes(zoneNumber)) {
+    throw new Error(
+      `Invalid gas band '${band}' or zone '${zone}': expected a band in '${GAS_BANDS.join("', '")}' and a zone from 1 to 6`,
+    );
+  }
+  return { band, zone: zoneNumber };
+}
+
+module.exports = {
+  ENERGIES,
+  GAS_ZONES,
+  GAS_BANDS,
+  GAS_BAND_COLUMN,
+  GAS_ZONE_COLUMN,
+  getEnergy,
+  parseGasRow,
+};
@@ -0,0 +1,175 @@
+const fs = require("fs");
+const path = require("path");
+const { convertJsonEntries } = require("./converters");
+const { createSourceTracer } = require("./provenance");
+const { getTaxBreakdown, computeTtcPrice } = require("./taxes");
+
+// Price a discount applies to: HT (taxes are computed again) or TTC
+const DISCOUNT_BASES = ["HT", "TTC"];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates the index rule of an offer indexed on another contract
+ * @param {Object} index - { contract, start_date?, end_date?, consumption_discount, subscription_discount?, on }
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateIndexRule(index) {
+  if (!index || typeof index.contract !== "string") {
+    throw new Error(
+      "Indexed offers must declare the 'index.contract' key they follow",
+    );
+  }
+  if (!DISCOUNT_BASES.includes(index.on)) {
+    throw new Error(
+      `Invalid index.on: expected one of '${DISCOUNT_BASES.join("', '")}', got '${index.on}'`,
+    );
+  }
+  for (const field of ["consumption_discount", "subscription_discount"]) {
+    const discount = index[field];
+    if (field === "subscription_discount" && discount === undefined) continue;
+    if (typeof discount !== "number" || discount < 0 || discount >= 1) {
+      throw new Error(
+        `Invalid index.${field} '${discount}': expected a rate from 0 to 1 (i.e. 0.1 for 10%)`,
+      );
+    }
+  }
+  for (const field of ["start_date", "end_date"]) {
+    if (index[field] != null && !DATE_REGEX.test(index[field])) {
+      throw new Error(`Invalid index.${field}: expected YYYY-MM-DD`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Restricts a price to the period during which the offer follows its index
+ * @param {Object} price - Price of the followed contract
+ * @param {Object} index - Index rule
+ * @returns {Object|null} - Price with clamped dates, or null when outside of the period
+ */
+function clampToIndexPeriod(price, index) {
+  const { start_date: start = null, end_date: end = null } = index;
+  if (end !== null && price.start_date > end) return null;
+  if (start !== null && price.end_date !== null && price.end_date < start) {
+    return null;
+  }
+
+  return {
+    ...price,
+    start_date:
+      start !== null && price.start_date < start ? start : price.start_date,
+    end_date:
+      end !== null && (price.end_date === null || price.end_date > end)
+        ? end
+        : price.end_date,
+  };
+}
+
+/**
+ * Applies a discount to a price of the followed contract
+ * @param {Object} price - Price of the followed contract, with the dates of the indexed offer
+ * @param {number} discount - Discount rate (i.e. 0.1 for 10%)
+ * @param {string} on - "HT" or "TTC"
+ * @param {Object} rates - Tax rates, see readTaxRates
+ * @returns {Object} - Discounted price
+ */
+function discountPrice(price, discount, on, rates) {
+  if (discount === 0) return price;
+
+  if (on === "TTC") {
+    // The HT part of a TTC discount is not known
+    const { price_ht, ...rest } = price;
+    return { ...rest, price: Math.round(price.price * (1 - discount)) };
+  }
+
+  const breakdown = getTaxBreakdown(price, rates);
+  const ht = breakdown && Math.round(breakdown.ht * (1 - discount));
+  const ttc = breakdown && computeTtcPrice(price, { ...breakdown, ht }, rates);
+  if (ttc === null) {
+    throw new Error(
+      `No tax rates to discount the HT ${price.price_type} price from ${price.start_date}: set index.start_date or use index.on 'TTC'`,
+    );
+  }
+  return { ...price, price: ttc, price_ht: ht };
+}
+
+/**
+ * Creates a converter for an offer indexed on another contract of the repository (i.e. "TRV minus 10% on kWh HT"):
+ * its prices follow those of the indexed contract, with discounts. Subscription prices come from a subscription.json
+ * file when one is declared, otherwise from the indexed contract.
+ * @param {string} dir - Contract directory holding the subscription file
+ * @param {Object} descriptor - Converter descriptor
+ * @param {string} descriptor.contract - Value of the `contract` field of the generated prices
+ * @param {Object} descriptor.index - Index rule, see validateIndexRule
+ * @param {Object} descriptor.contracts - Contracts already processed, holding the indexed one
+ * @param {Object} descriptor.taxRates - Tax rates used by HT discounts, see readTaxRates
+ * @param {string} [descriptor.subscription] - Subscription file name, power mapped to subscription prices
+ * @param {Object} [descriptor.units] - Units of the subscription file, see convertPrice
+ * @returns {Function} - Function returning prices grouped by subscribed power
+ */
+function createIndexedConverter(dir, descriptor) {
+  const { contract, index, contracts, taxRates, subscription, units } =
+    descriptor;
+
+  return function convertIndexed() {
+    const indexed = contracts[index.contract];
+    if (!indexed) {
+      throw new Error(
+        `Unknown indexed contract '${index.contract}': it must be a contract of the repository that is not indexed itself`,
+      );
+    }
+
+    const subscriptionPath = subscription ? path.join(dir, subscription) : null;
+    const subscriptionData = subscription
+      ? JSON.parse(fs.readFileSync(subscriptionPath, "utf-8"))
+      : null;
+    const traceSubscription = subscription
+      ? createSourceTracer(subscriptionPath)
+      : null;
+
+    const result = {};
+    for (const [power, prices] of Object.entries(indexed)) {
+      if (subscriptionData && !subscriptionData[power]) continue;
+
+      // Derived prices keep the provenance of the price they follow
+      const derivedPrices = prices
+        .filter(
+          (price) =>
+            price.price_type === "consumption" || subscriptionData === null,
+        )
+        .map((price) => clampToIndexPeriod(price, index))
+        .filter(Boolean)
+        .map((price) =>
+          discountPrice(
+            { ...price, contract },
+            price.price_type === "consumption"
+              ? index.consumption_discount
+              : (index.subscription_discount ?? 0),
+            index.on,
+            taxRates,
+          ),
+        );
+      if (derivedPrices.length === 0) continue;
+
+      result[power] = [
+        ...derivedPrices,
+        ...(subscriptionData
+          ? convertJsonEntries(
+              subscriptionData[power],
+              units,
+              traceSubscription,
+              [power],
+            )
+          : []),
+      ];
+    }
+
+    return result;
+  };
+}
+
+module.exports = {
+  validateIndexRule,
+  createIndexedConverter,
+};
@@ -0,0 +1,190 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { validateIndexRule, createIndexedConverter } = require("./indexed");
+const { convertContract } = require("./manifest");
+const { readTaxRates } = require("./taxes");
+const { createTempDir } = require("./test-helpers");
+
+const taxRates = readTaxRates();
+
+/**
+ * Builds an EDF base price object
+ * @param {string} price_type - "consumption" or "subscription"
+ * @param {string} start_date - ISO date
+ * @param {string|null} end_date - ISO date
+ * @param {number} price - Integer TTC price
+ * @param {number} price_ht - Integer HT price
+ * @returns {Object} - Price object
+ */
+function price(price_type, start_date, end_date, price, price_ht) {
+  return {
+    contract: "base",
+    price_type,
+    currency: "euro",
+    start_date,
+    end_date,
+    price,
+    price_ht,
+    hour_slots: null,
+    day_type: null,
+  };
+}
+
+const contracts = {
+  "edf-base": {
+    6: [
+      price("consumption", "2024-02-01", "2025-01-31", 2516, 1887),
+      price("subscription", "2024-02-01", "2025-01-31", 126550, 103100),
+      price("consumption", "2025-02-01", "2025-07-31", 2016, 1343),
+      price("subscription", "2025-02-01", "2025-07-31", 137642, 111800),
+    ],
+  },
+};
+
+test("indexed offers discount the HT price and compute the taxes again", () => {
+  const convert = createIndexedConverter("", {
+    contract: "base",
+    index: {
+      contract: "edf-base",
+      start_date: "2024-06-01",
+      consumption_discount: 0.1,
+      on: "HT",
+    },
+    contracts,
+    taxRates,
+  });
+
+  assert.deepStrictEqual(
+    convert()[6].map((p) => [
+      p.price_type,
+      p.start_date,
+      p.end_date,
+      p.price,
+      p.price_ht,
+    ]),
+    [
+      // (1887 × 0.9 + 210) × 1.2
+      ["consumption", "2024-06-01", "2025-01-31", 2290, 1698],
+      // Subscriptions follow the indexed contract without discount
+      ["subscription", "2024-06-01", "2025-01-31", 126550, 103100],
+      // (1343 × 0.9 + 337) × 1.2
+      ["consumption", "2025-02-01", "2025-07-31", 1855, 1209],
+      ["subscription", "2025-02-01", "2025-07-31", 137642, 111800],
+    ],
+  );
+});
+
+test("TTC discounts leave the HT price out", () => {
+  const convert = createIndexedConverter("", {
+    contract: "base",
+    index: {
+      contract: "edf-base",
+      start_date: "2025-02-01",
+      end_date: "2025-03-31",
+      consumption_discount: 0.05,
+      subscription_discount: 0.1,
+      on: "TTC",
+    },
+    contracts,
+    taxRates,
+  });
+
+  const [consumption, subscription] = convert()[6];
+  assert.strictEqual(consumption.end_date, "2025-03-31");
+  assert.strictEqual(consumption.price, 1915);
+  assert.strictEqual(subscription.price, 123878);
+  assert.ok(!("price_ht" in consumption));
+});
+
+test("indexed offers fail on unknown contracts and prices without tax rates", () => {
+  const index = { contract: "edf-base", consumption_discount: 0.1, on: "HT" };
+  const olderPrices = { ...contracts["edf-base"] };
+  olderPrices[6] = [price("consumption", "2022-08-01", null, 1740, 1374)];
+
+  assert.throws(
+    () =>
+      createIndexedConverter("", {
+        contract: "base",
+        index,
+        contracts: {},
+        taxRates,
+      })(),
+    /Unknown indexed contract 'edf-base'/,
+  );
+  assert.throws(
+    () =>
+      createIndexedConverter("", {
+        contract: "base",
+        index,
+        contracts: { "edf-base": olderPrices },
+        taxRates,
+      })(),
+    /No tax rates to discount the HT consumption price from 2022-08-01/,
+  );
+});
+
+test("validateIndexRule checks the discount rates", () => {
+  assert.throws(
+    () =>
+      validateIndexRule({
+        contract: "edf-base",
+        consumption_discount: 10,
+        on: "HT",
+      }),
+    /Invalid index.consumption_discount '10'/,
+  );
+  assert.throws(
+    () =>
+      validateIndexRule({ contract: "edf-base", consumption_discount: 0.1 }),
+    /Invalid index.on/,
+  );
+});
+
+test("indexed manifests read their own subscription prices", (t) => {
+  const dir = createTempDir(t);
+  fs.writeFileSync(
+    path.join(dir, "manifest.json"),
+    JSON.stringify({
+      provider: "test",
+      offer: "TRV -10%",
+      kind: "base",
+      format: "indexed",
+      index: {
+        contract: "edf-base",
+        start_date: "2025-02-01",
+        consumption_discount: 0.1,
+        on: "HT",
+      },
+      sources: { subscription: "subscription.json" },
+      units: { price: "euro/10000", subscription: "month" },
+    }),
+  );
+  fs.writeFileSync(
+    path.join(dir, "subscription.json"),
+    JSON.stringify({
+      6: [
+        {
+          contract: "base",
+          price_type: "subscription",
+          currency: "euro",
+          start_date: "2025-02-01",
+          end_date: "2025-07-31",
+          price: 130000,
+          hour_slots: null,
+          day_type: null,
+        },
+      ],
+    }),
+  );
+
+  const prices = convertContract(dir, { contracts })[6];
+  assert.deepStrictEqual(
+    prices.map((p) => [p.price_type, p.price]),
+    [
+      ["consumption", 1855],
+      ["subscription", 130000],
+    ],
+  );
+});
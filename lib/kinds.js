@@ -0,0 +1,55 @@
+// Contract kinds: how a contract prices energy, whatever its provider. Every generated price gives its kind
+const CONTRACT_KINDS = [
+  "base",
+  "peak-off-peak",
+  "tempo",
+  "ejp",
+  "week-end",
+  "spot-indexed",
+  "feed-in",
+];
+
+// Legacy values of the `contract` field, kept so existing Gladys installs keep reading them: tempo prices were
+// published as "edf-tempo", whoever the provider
+const LEGACY_CONTRACTS = {
+  tempo: "edf-tempo",
+};
+
+/**
+ * Gives the value of the `contract` field of the prices of a kind
+ * @param {string} kind - Contract kind (i.e. "tempo")
+ * @returns {string} - Contract value (i.e. "edf-tempo")
+ */
+function getContractValue(kind) {
+  return LEGACY_CONTRACTS[kind] || kind;
+}
+
+/**
+ * Gives the kind of a `contract` field value, legacy aliases included
+ * @param {string} contract - Contract value (i.e. "edf-tempo")
+ * @returns {string|null} - Contract kind (i.e. "tempo"), null for unknown values
+ */
+function getContractKind(contract) {
+  const kind =
+    Object.keys(LEGACY_CONTRACTS).find(
+      (key) => LEGACY_CONTRACTS[key] === contract,
+    ) || contract;
+  return CONTRACT_KINDS.includes(kind) ? kind : null;
+}
+
+/**
+ * Gives the kind of a price, read from its `contract` field for prices generated before kinds were published
+ * @param {Object} price - Price entry
+ * @returns {string|null} - Contract kind, null for unknown contracts
+ */
+function getPriceKind(price) {
+  return price.kind || getContractKind(price.contract);
+}
+
+module.exports = {
+  CONTRACT_KINDS,
+  LEGACY_CONTRACTS,
+  getContractValue,
+  getContractKind,
+  getPriceKind,
+};
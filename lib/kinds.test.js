@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getContractValue, getContractKind, getPriceKind } = require("./kinds");
+
+test("tempo prices keep the legacy edf-tempo contract", () => {
+  assert.strictEqual(getContractValue("tempo"), "edf-tempo");
+  assert.strictEqual(getContractValue("peak-off-peak"), "peak-off-peak");
+  assert.strictEqual(getContractKind("edf-tempo"), "tempo");
+  assert.strictEqual(getContractKind("base"), "base");
+  assert.strictEqual(getContractKind("tempo"), "tempo");
+  assert.strictEqual(getContractKind("octopus"), null);
+});
+
+test("getPriceKind reads prices generated with or without kind", () => {
+  assert.strictEqual(
+    getPriceKind({ contract: "edf-tempo", kind: "tempo" }),
+    "tempo",
+  );
+  assert.strictEqual(getPriceKind({ contract: "edf-tempo" }), "tempo");
+  assert.strictEqual(getPriceKind({ contract: "ejp" }), "ejp");
+});
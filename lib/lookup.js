@@ -0,0 +1,359 @@
+const { addDays } = require("./timeline");
+const { getDayTypeFamily, getCalendarDayTypes } = require("./day-types");
+
+const DEFAULT_TIME_ZONE = "Europe/Paris";
+// Date and time without offset nor "Z": read in the time zone of the contract prices
+const LOCAL_DATETIME_REGEX =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+const PEAK_PLACEHOLDER = "TO_REPLACE_PEAK";
+const OFF_PEAK_PLACEHOLDER = "TO_REPLACE_OFF_PEAK";
+
+/**
+ * Converts a time string (HH:MM) to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} - Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Formats minutes since midnight as a time string (HH:MM)
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Time in HH:MM format
+ */
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Gives the local date and time of an instant
+ * @param {Date|string|number} datetime - Instant to convert
+ * @param {string} [timeZone] - IANA time zone of the contract prices
+ * @returns {Object} - { date: "YYYY-MM-DD", time: "HH:MM", minutes } in local time
+ */
+function toLocalDateTime(datetime, timeZone = DEFAULT_TIME_ZONE) {
+  const instant = datetime instanceof Date ? datetime : new Date(datetime);
+  if (Number.isNaN(instant.getTime())) {
+    throw new Error(`Invalid datetime '${datetime}'`);
+  }
+
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+  for (const { type, value } of formatter.formatToParts(instant)) {
+    parts[type] = value;
+  }
+
+  const time = `${parts.hour}:${parts.minute}`;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time,
+    minutes: toMinutes(time),
+  };
+}
+
+/**
+ * Gives the instant of a local date and time, whatever the time zone of the machine. The time that happens twice
+ * when clocks go back is read as its second occurrence, and the skipped hour when they go forward as the next one
+ * @param {string} localDateTime - Date and time without offset ("YYYY-MM-DD", "YYYY-MM-DDTHH:MM" or
+ * "YYYY-MM-DD HH:MM:SS")
+ * @param {string} [timeZone] - IANA time zone of the local time
+ * @returns {Date} - Instant
+ */
+function fromLocalDateTime(localDateTime, timeZone = DEFAULT_TIME_ZONE) {
+  const match = LOCAL_DATETIME_REGEX.exec(localDateTime);
+  if (!match) {
+    throw new Error(`Invalid local datetime '${localDateTime}'`);
+  }
+
+  const [, year, month, day, hour = "0", minute = "0", second = "0"] = match;
+  const localMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Offset of the time zone at an instant, in milliseconds
+  const getOffset = (ms) => {
+    const { date, minutes } = toLocalDateTime(new Date(ms), timeZone);
+    return Date.parse(date) + minutes * 60000 - Math.floor(ms / 60000) * 60000;
+  };
+  const guess = localMs - getOffset(localMs);
+  return new Date(localMs - getOffset(guess));
+}
+
+/**
+ * Tells if a time falls in one of the ranges of an off-peak schedule
+ * @param {number} minutes - Minutes since midnight
+ * @param {Array} ranges - Ranges { start: "HH:MM", end: "HH:MM" }, end excluded, may wrap past midnight
+ * @returns {boolean} - True if the time is in a range
+ */
+function isInRanges(minutes, ranges) {
+  return ranges.some(({ start, end }) => {
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+
+    if (startMinutes <= endMinutes) {
+      return minutes >= startMinutes && minutes < endMinutes;
+    }
+    // Range wrapping past midnight, e.g. 22:00 → 06:00
+    return minutes >= startMinutes || minutes < endMinutes;
+  });
+}
+
+/**
+ * Tells if a price applies at a local time
+ * @param {Object} price - Consumption price object
+ * @param {number} minutes - Local minutes since midnight
+ * @param {Array} [offPeakHours] - User off-peak schedule, needed for TO_REPLACE placeholders
+ * @returns {boolean} - True if the price applies
+ */
+function matchesHourSlots(price, minutes, offPeakHours) {
+  if (price.hour_slots === null) return true;
+
+  if (
+    price.hour_slots === PEAK_PLACEHOLDER ||
+    price.hour_slots === OFF_PEAK_PLACEHOLDER
+  ) {
+    if (!offPeakHours) {
+      throw new Error(
+        `Contract '${price.contract}' depends on the off-peak schedule: the offPeakHours option is required`,
+      );
+    }
+    const offPeak = isInRanges(minutes, offPeakHours);
+    return (price.hour_slots === OFF_PEAK_PLACEHOLDER) === offPeak;
+  }
+
+  // Comma separated half-hour slot starts
+  const slot = formatMinutes(minutes - (minutes % 30));
+  return price.hour_slots.split(",").includes(slot);
+}
+
+/**
+ * Gives the day a local time belongs to for prices whose days do not start at midnight
+ * (i.e. 03:00 on January 7th belongs to the tempo day of January 6th, tempo days starting at 06:00)
+ * @param {string} date - Local ISO date
+ * @param {number} minutes - Local minutes since midnight
+ * @param {string|null} [dayStart] - Local time at which the day begins (HH:MM), midnight if omitted
+ * @returns {string} - ISO date of the day
+ */
+function getDayTypeDate(date, minutes, dayStart) {
+  if (!dayStart || minutes >= toMinutes(dayStart)) {
+    return date;
+  }
+  return addDays(date, -1);
+}
+
+/**
+ * Tells if a price applies in the month of a date
+ * @param {Object} price - Price object, with the months (1 to 12) it applies to for seasonal prices
+ * @param {string} date - ISO date
+ * @returns {boolean} - True if the price has no months or applies in the month of the date
+ */
+function isInMonths(price, date) {
+  return !price.months || price.months.includes(Number(date.slice(5, 7)));
+}
+
+/**
+ * Tells if a price applies in a gas tariff zone
+ * @param {Object} price - Price object, with its zone for gas prices
+ * @param {number} [zone] - Gas tariff zone (1 to 6)
+ * @returns {boolean} - True if the price has no zone or applies in that zone
+ */
+function isInZone(price, zone) {
+  return price.zone === undefined || price.zone === zone;
+}
+
+/**
+ * Tells if a price period contains a date
+ * @param {Object} price - Price object
+ * @param {string} date - ISO date
+ * @returns {boolean} - True if the date is in the period (end date inclusive)
+ */
+function isInPeriod(price, date) {
+  return (
+    price.start_date <= date && (price.end_date === null || date <= price.end_date)
+  );
+}
+
+/**
+ * Creates a price lookup over the data produced by processAllContracts
+ * @param {Object} contracts - Contract keys mapped to prices grouped by subscribed power
+ * @param {Object} [options] - Options
+ * @param {Object|Function} [options.tempoCalendar] - ISO dates mapped to their tempo colour, or function (date) => colour,
+ * used when no dayType is given
+ * @param {Object|Function} [options.ejpCalendar] - ISO dates mapped to their EJP day type ("normal", "peak"), or
+ * function (date) => day type, used when no dayType is given
+ * @returns {Object} - Lookup exposing getPrice and getProductionPrice
+ */
+function createPriceLookup(
+  contracts,
+  { tempoCalendar = {}, ejpCalendar = {} } = {},
+) {
+  const toResolver = (calendar) =>
+    typeof calendar === "function" ? calendar : (date) => calendar[date];
+  const calendars = {
+    tempo: {
+      resolve: toResolver(tempoCalendar),
+      label: "tempo calendar colour",
+    },
+    ejp: { resolve: toResolver(ejpCalendar), label: "EJP calendar day" },
+  };
+
+  /**
+   * Gives the prices applying at an instant
+   * @param {string} contractKey - Contract key (i.e. "edf-tempo")
+   * @param {string|number} power - Subscribed power in kVA, or consumption band for gas ("B0", "B1", "B2I")
+   * @param {Date|string|number} datetime - Instant
+   * @param {Object} [options] - Options
+   * @param {string} [options.dayType] - Day colour for tempo contracts ("blue", "white", "red") or EJP day type ("normal",
+   * "peak") of the day the instant belongs to (the previous date before the day_start of the prices), read from the
+   * tempo / EJP calendar when omitted.
+   * Weekday / weekend / holiday prices are resolved from the date
+   * @param {Array} [options.offPeakHours] - Off-peak schedule for TO_REPLACE placeholders: [{ start: "22:00", end: "06:00" }]
+   * @param {string} [options.timeZone] - Time zone of the contract prices (defaults to Europe/Paris)
+   * @param {number} [options.zone] - Gas tariff zone (1 to 6), required for gas prices
+   * @returns {Object|null} - { consumption, subscription } price objects, or null when no price applies at that date
+   */
+  function getPrice(contractKey, power, datetime, options = {}) {
+    const { offPeakHours, timeZone, zone } = options;
+
+    const contractData = contracts[contractKey];
+    if (!contractData) {
+      throw new Error(`Unknown contract '${contractKey}'`);
+    }
+    const prices = contractData[String(power)];
+    if (!prices) {
+      throw new Error(
+        `Subscribed power ${power} not available for contract '${contractKey}'`,
+      );
+    }
+
+    if (!zone && prices.some((price) => price.zone !== undefined)) {
+      throw new Error(
+        `Contract '${contractKey}' prices depend on the gas tariff zone: the zone option is required`,
+      );
+    }
+
+    const { date, minutes } = toLocalDateTime(datetime, timeZone);
+    const periodPrices = prices.filter(
+      (price) =>
+        isInPeriod(price, date) &&
+        isInMonths(price, date) &&
+        isInZone(price, zone),
+    );
+
+    const subscription = periodPrices.find(
+      (price) => price.price_type === "subscription",
+    );
+    const consumptionPrices = periodPrices.filter(
+      (price) => price.price_type === "consumption",
+    );
+    if (!subscription || consumptionPrices.length === 0) {
+      return null;
+    }
+
+    const dayTypePrice = consumptionPrices.find(
+      (price) => price.day_type !== null,
+    );
+    let dayType = options.dayType || null;
+    if (dayTypePrice && !dayType) {
+      const dayTypeDate = getDayTypeDate(date, minutes, dayTypePrice.day_start);
+
+      const family = getDayTypeFamily(dayTypePrice.day_type);
+      if (calendars[family]) {
+        dayType = calendars[family].resolve(dayTypeDate);
+        if (!dayType) {
+          throw new Error(
+            `Contract '${contractKey}' prices depend on the day type: the dayType option is required (no ${calendars[family].label} for ${dayTypeDate})`,
+          );
+        }
+      } else {
+        // Weekday / weekend / holiday prices: the most specific day type the contract prices
+        const priced = consumptionPrices.map((price) => price.day_type);
+        dayType =
+          getCalendarDayTypes(dayTypeDate).find((type) =>
+            priced.includes(type),
+          ) || null;
+      }
+    }
+
+    const consumption = consumptionPrices.find(
+      (price) =>
+        (price.day_type === null || price.day_type === dayType) &&
+        matchesHourSlots(price, minutes, offPeakHours),
+    );
+
+    return { consumption: consumption || null, subscription };
+  }
+
+  /**
+   * Gives the production price paid for the energy injected at an instant
+   * @param {string} contractKey - Feed-in contract key (i.e. "edf-oa-surplus")
+   * @param {string} band - Installed power band in kWc (i.e. "3-9"), see findPowerBand
+   * @param {Date|string|number} datetime - Instant
+   * @param {Object} [options] - Options
+   * @param {string} [options.requestDate] - ISO date of the connection request, required for feed-in tariffs fixed
+   * for the length of the contract (prices with contract_years)
+   * @param {string} [options.timeZone] - Time zone of the contract prices (defaults to Europe/Paris)
+   * @returns {Object|null} - Production price object, or null when no price applies at that date (before the request
+   * or from the end of the purchase contract, for feed-in tariffs)
+   */
+  function getProductionPrice(contractKey, band, datetime, options = {}) {
+    const { requestDate, timeZone } = options;
+
+    const contractData = contracts[contractKey];
+    if (!contractData) {
+      throw new Error(`Unknown contract '${contractKey}'`);
+    }
+    const prices = (contractData[band] || []).filter(
+      (price) => price.price_type === "production",
+    );
+    if (prices.length === 0) {
+      throw new Error(
+        `Installed power band ${band} has no production price in contract '${contractKey}'`,
+      );
+    }
+
+    const { date } = toLocalDateTime(datetime, timeZone);
+    // Feed-in tariffs are those of the connection request, for the whole contract
+    const fixed = prices.find((price) => price.contract_years !== undefined);
+    if (!fixed) {
+      return prices.find((price) => isInPeriod(price, date)) || null;
+    }
+    if (!requestDate) {
+      throw new Error(
+        `Contract '${contractKey}' prices depend on the connection request date: the requestDate option is required`,
+      );
+    }
+    if (date < requestDate) return null;
+
+    const price = prices.find((entry) => isInPeriod(entry, requestDate));
+    if (!price) return null;
+
+    // Nothing is bought once the purchase contract has ended, contract_years after the request. Dates compare as
+    // strings, so a February 29th request ends on March 1st of a common year
+    const expiryDate = `${Number(requestDate.slice(0, 4)) + price.contract_years}${requestDate.slice(4)}`;
+    return date < expiryDate ? price : null;
+  }
+
+  return { getPrice, getProductionPrice };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  LOCAL_DATETIME_REGEX,
+  toMinutes,
+  formatMinutes,
+  toLocalDateTime,
+  fromLocalDateTime,
+  isInRanges,
+  getDayTypeDate,
+  createPriceLookup,
+};
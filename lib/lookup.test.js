@@ -0,0 +1,203 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  toLocalDateTime,
+  getDayTypeDate,
+  createPriceLookup,
+} = require("./lookup");
+
+/**
+ * Builds a price object valid from 2025-02-01
+ * @param {string} price_type - "consumption" or "subscription"
+ * @param {number} price - Integer price
+ * @param {string|null} hour_slots - Hour slots
+ * @param {string|null} day_type - Day type
+ * @returns {Object} - Price object
+ */
+function price(price_type, price, hour_slots = null, day_type = null) {
+  return {
+    contract: "test",
+    price_type,
+    currency: "euro",
+    start_date: "2025-02-01",
+    end_date: null,
+    price,
+    hour_slots,
+    day_type,
+  };
+}
+
+const lookup = createPriceLookup({
+  "test-peak-off-peak": {
+    6: [
+      price("consumption", 1696, "TO_REPLACE_OFF_PEAK"),
+      price("consumption", 2146, "TO_REPLACE_PEAK"),
+      price("subscription", 155200),
+    ],
+  },
+  "test-tempo": {
+    6: [
+      price("consumption", 1518, "00:00,00:30,22:00,22:30", "red"),
+      price("consumption", 6586, "06:00,06:30,07:00,07:30", "red"),
+      price("consumption", 1288, "00:00,00:30,22:00,22:30", "blue"),
+      price("subscription", 155200),
+    ],
+  },
+});
+
+const offPeakHours = [{ start: "22:00", end: "06:00" }];
+
+test("toLocalDateTime converts instants to Paris local time", () => {
+  assert.deepStrictEqual(toLocalDateTime("2025-07-01T22:15:00Z"), {
+    date: "2025-07-02",
+    time: "00:15",
+    minutes: 15,
+  });
+});
+
+test("getPrice resolves off-peak placeholders with the user schedule", () => {
+  const night = lookup.getPrice(
+    "test-peak-off-peak",
+    6,
+    "2025-03-01T23:30:00+01:00",
+    { offPeakHours },
+  );
+  const day = lookup.getPrice(
+    "test-peak-off-peak",
+    "6",
+    "2025-03-01T12:00:00+01:00",
+    { offPeakHours },
+  );
+
+  assert.strictEqual(night.consumption.price, 1696);
+  assert.strictEqual(day.consumption.price, 2146);
+  assert.strictEqual(day.subscription.price, 155200);
+});
+
+test("getPrice matches half-hour slots and day types", () => {
+  const result = lookup.getPrice(
+    "test-tempo",
+    6,
+    "2025-03-01T07:45:00+01:00",
+    { dayType: "red" },
+  );
+
+  assert.strictEqual(result.consumption.price, 6586);
+});
+
+test("getPrice requires the options the contract depends on", () => {
+  assert.throws(
+    () => lookup.getPrice("test-peak-off-peak", 6, "2025-03-01T12:00:00Z"),
+    /offPeakHours option is required/,
+  );
+  assert.throws(
+    () => lookup.getPrice("test-tempo", 6, "2025-03-01T12:00:00Z"),
+    /dayType option is required/,
+  );
+  assert.throws(
+    () => lookup.getPrice("test-tempo", 9, "2025-03-01T12:00:00Z"),
+    /Subscribed power 9 not available/,
+  );
+});
+
+test("getPrice returns null outside of the contract periods", () => {
+  assert.strictEqual(
+    lookup.getPrice("test-tempo", 6, "2024-12-01T12:00:00Z", {
+      dayType: "red",
+    }),
+    null,
+  );
+});
+
+test("getPrice reads the day type from the tempo calendar", () => {
+  const { getPrice } = createPriceLookup(
+    {
+      "test-tempo": {
+        6: [
+          price("consumption", 6586, "06:00,06:30,07:00,07:30", "red"),
+          price("consumption", 1552, "06:00,06:30,07:00,07:30", "blue"),
+          price("subscription", 155200),
+        ],
+      },
+    },
+    { tempoCalendar: { "2025-03-03": "red" } },
+  );
+
+  assert.strictEqual(
+    getPrice("test-tempo", 6, "2025-03-03T07:00:00+01:00").consumption.price,
+    6586,
+  );
+  assert.strictEqual(
+    getPrice("test-tempo", 6, "2025-03-03T07:00:00+01:00", {
+      dayType: "blue",
+    }).consumption.price,
+    1552,
+  );
+  assert.throws(
+    () => getPrice("test-tempo", 6, "2025-03-04T07:00:00+01:00"),
+    /no tempo calendar colour for 2025-03-04/,
+  );
+});
+
+test("getPrice gives early morning slots the colour of the previous tempo day", () => {
+  const { getPrice } = createPriceLookup(
+    {
+      "test-tempo": {
+        6: [
+          {
+            ...price("consumption", 1518, "00:00,00:30,22:00", "red"),
+            day_start: "06:00",
+          },
+          {
+            ...price("consumption", 1288, "00:00,00:30,22:00", "blue"),
+            day_start: "06:00",
+          },
+          price("subscription", 155200),
+        ],
+      },
+    },
+    { tempoCalendar: { "2025-03-03": "red", "2025-03-04": "blue" } },
+  );
+
+  // 00:30 on March 4th still belongs to the red day of March 3rd
+  assert.strictEqual(
+    getPrice("test-tempo", 6, "2025-03-04T00:30:00+01:00").consumption.price,
+    1518,
+  );
+  assert.strictEqual(
+    getPrice("test-tempo", 6, "2025-03-04T22:00:00+01:00").consumption.price,
+    1288,
+  );
+});
+
+test("getDayTypeDate moves times before the day start to the previous date", () => {
+  assert.strictEqual(getDayTypeDate("2025-03-01", 330, "06:00"), "2025-02-28");
+  assert.strictEqual(getDayTypeDate("2025-03-01", 360, "06:00"), "2025-03-01");
+  assert.strictEqual(getDayTypeDate("2025-03-01", 330, null), "2025-03-01");
+});
+
+test("getPrice resolves weekday, weekend and holiday prices from the date", () => {
+  const { getPrice } = createPriceLookup({
+    "test-week-end": {
+      6: [
+        price("consumption", 2500, null, "weekday"),
+        price("consumption", 1500, null, "weekend"),
+        price("subscription", 155200),
+      ],
+    },
+  });
+
+  assert.strictEqual(
+    getPrice("test-week-end", 6, "2025-03-03T12:00:00+01:00").consumption.price,
+    2500,
+  );
+  assert.strictEqual(
+    getPrice("test-week-end", 6, "2025-03-01T12:00:00+01:00").consumption.price,
+    1500,
+  );
+  // Without holiday prices, May 1st (a Thursday) is priced as a weekday
+  assert.strictEqual(
+    getPrice("test-week-end", 6, "2025-05-01T12:00:00+02:00").consumption.price,
+    2500,
+  );
+});
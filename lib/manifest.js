@@ -0,0 +1,428 @@
+const fs = require("fs");
+const path = require("path");
+const { createCsvConverter, createJsonConverter } = require("./converters");
+const { DAY_TYPES } = require("./day-types");
+const { validateSpotFormula, createSpotConverter } = require("./spot");
+const { validateIndexRule, createIndexedConverter } = require("./indexed");
+const { readTaxRates } = require("./taxes");
+const { ENERGIES } = require("./gas");
+const { CONTRACT_KINDS, getContractValue } = require("./kinds");
+const {
+  createFeedInConverter,
+  createProductionConverter,
+} = require("./production");
+
+const MANIFEST_FILE = "manifest.json";
+
+const FORMATS = [
+  "csv",
+  "json",
+  "spot",
+  "indexed",
+  "feed-in",
+  "production",
+  "script",
+];
+// Feed-in contracts only give production prices, bought back per kWh: they have no subscription
+const PRODUCTION_FORMATS = ["feed-in", "production"];
+// Gas offers have no hour slots nor day types: only plain price files describe them
+const GAS_FORMATS = ["csv", "json"];
+const TAX_MODES = ["HT", "TTC"];
+const PRICE_UNITS = ["euro", "euro/10000"];
+const SUBSCRIPTION_PERIODS = ["year", "month"];
+
+/**
+ * Reads the manifest.json file of a contract directory
+ * @param {string} dir - Contract directory
+ * @returns {Object} - Parsed manifest
+ */
+function readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid ${manifestPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Validates the known gaps declared by a manifest
+ * @param {Array} allowedGaps - Allow-list entries: { start_date, end_date, powers?, reason }
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateAllowedGaps(allowedGaps) {
+  if (!Array.isArray(allowedGaps)) {
+    throw new Error("Invalid allowed_gaps in manifest: expected an array");
+  }
+
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  for (const gap of allowedGaps) {
+    if (!dateRegex.test(gap.start_date) || !dateRegex.test(gap.end_date)) {
+      throw new Error(
+        "Invalid allowed_gaps in manifest: start_date and end_date must be YYYY-MM-DD",
+      );
+    }
+    if (typeof gap.reason !== "string" || gap.reason.length === 0) {
+      throw new Error(
+        `Allowed gap ${gap.start_date} → ${gap.end_date} in manifest must give a reason`,
+      );
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validates the day dimensions of a consumption mapping: its day_type, the local time at which that day begins
+ * (day_start) and the months it applies to
+ * @param {Object} mapping - Consumption mapping: { column, hour_slots, day_type, day_start?, months? }
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateConsumptionMapping(mapping) {
+  if (mapping.day_type != null && !DAY_TYPES.includes(mapping.day_type)) {
+    throw new Error(
+      `Invalid day_type '${mapping.day_type}' for column ${mapping.column}: expected one of '${DAY_TYPES.join("', '")}'`,
+    );
+  }
+
+  if (mapping.months !== undefined && mapping.months !== null) {
+    if (
+      !Array.isArray(mapping.months) ||
+      mapping.months.length === 0 ||
+      mapping.months.some(
+        (month) => !Number.isInteger(month) || month < 1 || month > 12,
+      )
+    ) {
+      throw new Error(
+        `Invalid months for column ${mapping.column}: expected a list of months from 1 to 12`,
+      );
+    }
+  }
+
+  if (mapping.day_start === undefined || mapping.day_start === null) {
+    return true;
+  }
+  if (!/^([01]\d|2[0-3]):[03]0$/.test(mapping.day_start)) {
+    throw new Error(
+      `Invalid day_start '${mapping.day_start}' for column ${mapping.column}: expected a half-hour HH:MM`,
+    );
+  }
+  if (!mapping.day_type) {
+    throw new Error(
+      `Column ${mapping.column} declares a day_start without a day_type`,
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Validates the energy of a manifest, gas offers being limited to the dimensions of gas prices
+ * @param {Object} manifest - Manifest declaring an energy
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateEnergy(manifest) {
+  if (!ENERGIES.includes(manifest.energy)) {
+    throw new Error(
+      `Invalid energy in manifest: expected one of '${ENERGIES.join("', '")}', got '${manifest.energy}'`,
+    );
+  }
+  if (manifest.energy !== "gas") return true;
+
+  if (!GAS_FORMATS.includes(manifest.format)) {
+    throw new Error(
+      `Gas manifests must use one of the formats '${GAS_FORMATS.join("', '")}', got '${manifest.format}'`,
+    );
+  }
+  for (const mapping of manifest.consumption || []) {
+    if (
+      mapping.hour_slots != null ||
+      mapping.day_type != null ||
+      mapping.day_start != null ||
+      mapping.months != null
+    ) {
+      throw new Error(
+        `Gas column ${mapping.column} cannot declare hour_slots, day_type, day_start or months`,
+      );
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validates the manifest of a feed-in contract, whose production prices have no subscription
+ * @param {Object} manifest - Manifest with a "feed-in" or "production" format
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateProduction(manifest) {
+  if (manifest.kind !== "feed-in") {
+    throw new Error(
+      `Manifest with format '${manifest.format}' must declare the 'feed-in' kind, got '${manifest.kind}'`,
+    );
+  }
+  if (!manifest.units || !PRICE_UNITS.includes(manifest.units.price)) {
+    throw new Error(
+      `Invalid units in manifest: expected price in '${PRICE_UNITS.join("', '")}'`,
+    );
+  }
+  if (manifest.format === "production") return true;
+
+  if (typeof manifest.source !== "string") {
+    throw new Error("Manifest with format 'feed-in' must declare a 'source'");
+  }
+  if (typeof manifest.production?.column !== "string") {
+    throw new Error(
+      "Manifest with format 'feed-in' must declare a 'production.column'",
+    );
+  }
+  if (
+    !Number.isInteger(manifest.contract_years) ||
+    manifest.contract_years <= 0
+  ) {
+    throw new Error(
+      `Invalid contract_years '${manifest.contract_years}' in manifest: expected a number of years`,
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Validates a contract manifest
+ * @param {Object} manifest - Manifest to validate
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateManifest(manifest) {
+  // The contract kind used to be declared as the `contract` value of the generated prices (i.e. "edf-tempo")
+  if (manifest.contract !== undefined) {
+    throw new Error(
+      "The 'contract' field of manifests is replaced by 'kind' (i.e. \"tempo\" instead of \"edf-tempo\")",
+    );
+  }
+
+  for (const field of ["provider", "offer", "kind", "format"]) {
+    if (typeof manifest[field] !== "string" || manifest[field].length === 0) {
+      throw new Error(`Missing required field '${field}' in manifest`);
+    }
+  }
+
+  if (!CONTRACT_KINDS.includes(manifest.kind)) {
+    throw new Error(
+      `Invalid kind in manifest: expected one of '${CONTRACT_KINDS.join("', '")}', got '${manifest.kind}'`,
+    );
+  }
+
+  if (!FORMATS.includes(manifest.format)) {
+    throw new Error(
+      `Invalid format in manifest: expected one of '${FORMATS.join("', '")}', got '${manifest.format}'`,
+    );
+  }
+
+  if (manifest.allowed_gaps !== undefined) {
+    validateAllowedGaps(manifest.allowed_gaps);
+  }
+
+  if (manifest.energy !== undefined) {
+    validateEnergy(manifest);
+  }
+
+  if (manifest.format === "script") {
+    if (typeof manifest.script !== "string") {
+      throw new Error("Manifest with format 'script' must declare a 'script'");
+    }
+    return true;
+  }
+
+  // Offers indexed on another contract only read units for their own subscription file
+  if (manifest.format === "indexed") {
+    validateIndexRule(manifest.index);
+    if (!manifest.sources?.subscription) return true;
+  }
+
+  const { units } = manifest;
+  if (PRODUCTION_FORMATS.includes(manifest.format)) {
+    return validateProduction(manifest);
+  }
+  if (
+    !units ||
+    !PRICE_UNITS.includes(units.price) ||
+    !SUBSCRIPTION_PERIODS.includes(units.subscription)
+  ) {
+    throw new Error(
+      `Invalid units in manifest: expected price in '${PRICE_UNITS.join("', '")}' and subscription in '${SUBSCRIPTION_PERIODS.join("', '")}'`,
+    );
+  }
+
+  if (manifest.format === "csv") {
+    if (typeof manifest.source !== "string") {
+      throw new Error("Manifest with format 'csv' must declare a 'source'");
+    }
+    if (!TAX_MODES.includes(manifest.tax)) {
+      throw new Error(
+        `Invalid tax in manifest: expected 'HT' or 'TTC', got '${manifest.tax}'`,
+      );
+    }
+    if (
+      !Array.isArray(manifest.consumption) ||
+      manifest.consumption.length === 0
+    ) {
+      throw new Error("Manifest with format 'csv' must declare consumption columns");
+    }
+    for (const column of [...manifest.consumption, manifest.subscription]) {
+      if (!column || typeof column.column !== "string") {
+        throw new Error("Every manifest price mapping must declare a 'column'");
+      }
+    }
+    for (const mapping of manifest.consumption) {
+      validateConsumptionMapping(mapping);
+    }
+  }
+
+  if (manifest.format === "spot") {
+    validateSpotFormula(manifest.formula);
+  }
+
+  return true;
+}
+
+/**
+ * Creates the converter described by a contract manifest
+ * @param {string} dir - Contract directory holding the manifest and its source files
+ * @param {Object} manifest - Validated manifest
+ * @param {Object} [options] - Build options
+ * @param {string} [options.spotPrices] - Day-ahead price file used by spot-indexed offers instead of the checked-in one
+ * @param {Object} [options.contracts] - Contracts already processed, which indexed offers follow
+ * @returns {Function} - Function returning prices grouped by subscribed power
+ */
+function createManifestConverter(dir, manifest, options = {}) {
+  switch (manifest.format) {
+    case "csv":
+      return createCsvConverter(dir, {
+        file: manifest.source,
+        contract: getContractValue(manifest.kind),
+        units: manifest.units,
+        // Price columns are named after the HT/TTC choice, e.g. PART_FIXE_TTC, and TTC prices also read the HT
+        // columns when the CSV has them
+        consumption: manifest.consumption.map((mapping) => ({
+          column: `${mapping.column}_${manifest.tax}`,
+          ht_column: manifest.tax === "TTC" ? `${mapping.column}_HT` : null,
+          hour_slots: mapping.hour_slots ?? null,
+          day_type: mapping.day_type ?? null,
+          day_start: mapping.day_start ?? null,
+          months: mapping.months ?? null,
+        })),
+        energy: manifest.energy,
+        subscription: {
+          column: `${manifest.subscription.column}_${manifest.tax}`,
+          ht_column:
+            manifest.tax === "TTC"
+              ? `${manifest.subscription.column}_HT`
+              : null,
+        },
+      });
+
+    case "json":
+      return createJsonConverter(dir, {
+        ...manifest.sources,
+        units: manifest.units,
+      });
+
+    case "spot":
+      return createSpotConverter(dir, {
+        contract: getContractValue(manifest.kind),
+        formula: manifest.formula,
+        spotPrices: options.spotPrices,
+        subscription: manifest.sources?.subscription,
+        units: manifest.units,
+      });
+
+    case "indexed":
+      return createIndexedConverter(dir, {
+        contract: getContractValue(manifest.kind),
+        index: manifest.index,
+        contracts: options.contracts || {},
+        taxRates: readTaxRates(),
+        subscription: manifest.sources?.subscription,
+        units: manifest.units,
+      });
+
+    case "feed-in":
+      return createFeedInConverter(dir, {
+        file: manifest.source,
+        contract: getContractValue(manifest.kind),
+        column: manifest.production.column,
+        contractYears: manifest.contract_years,
+        units: manifest.units,
+      });
+
+    case "production":
+      return createProductionConverter(dir, {
+        ...manifest.sources,
+        units: manifest.units,
+      });
+
+    case "script": {
+      // Escape hatch for exotic formats: the script has to be declared explicitly, and lie in the contract directory
+      const scriptPath = path.resolve(dir, manifest.script);
+      const relativePath = path.relative(path.resolve(dir), scriptPath);
+      if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+        throw new Error(
+          `Script '${manifest.script}' must be inside the contract directory ${dir}`,
+        );
+      }
+      return require(scriptPath);
+    }
+
+    default:
+      throw new Error(`Unsupported manifest format '${manifest.format}'`);
+  }
+}
+
+/**
+ * Gives the kind of the manifest to every generated price, right after its `contract` field. Prices read from JSON
+ * sources or generated by a script give their own contract, which must be the one of the manifest kind
+ * @param {Object} prices - Object with subscribed power as keys and arrays of price objects as values
+ * @param {string} kind - Contract kind declared by the manifest
+ * @returns {Object} - Prices with their kind
+ */
+function addContractKind(prices, kind) {
+  const contract = getContractValue(kind);
+  const result = {};
+  for (const [power, powerPrices] of Object.entries(prices)) {
+    result[power] = powerPrices.map((price) => {
+      // Offers indexed on another contract copy its prices: the kind of the followed contract is replaced
+      const { contract: priceContract, kind: followedKind, ...fields } = price;
+      if (priceContract !== contract) {
+        throw new Error(
+          `Price of ${power} from ${price.start_date} has contract '${priceContract}', expected '${contract}' for the '${kind}' kind`,
+        );
+      }
+      return { contract, kind, ...fields };
+    });
+  }
+  return result;
+}
+
+/**
+ * Reads, validates and runs the manifest of a contract directory
+ * @param {string} dir - Contract directory
+ * @param {Object} [options] - Build options, see createManifestConverter
+ * @returns {Object} - Object with subscribed power as keys and arrays of price objects as values
+ */
+function convertContract(dir, options) {
+  const manifest = readManifest(dir);
+  validateManifest(manifest);
+  return addContractKind(
+    createManifestConverter(dir, manifest, options)(),
+    manifest.kind,
+  );
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  readManifest,
+  validateManifest,
+  createManifestConverter,
+  convertContract,
+};
@@ -0,0 +1,369 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { validateManifest, convertContract } = require("./manifest");
+const { createPriceLookup } = require("./lookup");
+const { createSchemaValidator } = require("./schemas");
+const { checkTimeline } = require("./timeline");
+const { createContractDir } = require("./test-helpers");
+
+const validate = createSchemaValidator();
+
+const csvManifest = {
+  provider: "edf",
+  offer: "Tarif Bleu",
+  kind: "base",
+  format: "csv",
+  source: "Option_Base.csv",
+  tax: "TTC",
+  units: { price: "euro", subscription: "year" },
+  consumption: [{ column: "PART_VARIABLE", hour_slots: null, day_type: null }],
+  subscription: { column: "PART_FIXE" },
+};
+
+test("validateManifest accepts a complete csv manifest", () => {
+  assert.strictEqual(validateManifest(csvManifest), true);
+});
+
+test("validateManifest rejects unknown formats and tax modes", () => {
+  assert.throws(
+    () => validateManifest({ ...csvManifest, format: "xml" }),
+    /Invalid format/,
+  );
+  assert.throws(
+    () => validateManifest({ ...csvManifest, tax: "HTVA" }),
+    /Invalid tax/,
+  );
+  assert.throws(
+    () => validateManifest({ ...csvManifest, units: { price: "euro" } }),
+    /Invalid units/,
+  );
+});
+
+test("convertContract reads the column matching the manifest tax mode", (t) => {
+  const csv = [
+    "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_HT;PART_FIXE_TTC;PART_VARIABLE_HT;PART_VARIABLE_TTC",
+    "01/02/2025;;6;120;186,24;0,1;0,2016",
+  ].join("\n");
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify({ ...csvManifest, tax: "HT" }),
+    "Option_Base.csv": csv,
+  });
+
+  const [consumption, subscription] = convertContract(dir)["6"];
+
+  assert.strictEqual(consumption.price, 1000);
+  assert.strictEqual(subscription.price, 100000);
+});
+
+test("convertContract only runs a script declared by the manifest", (t) => {
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify({
+      provider: "test",
+      offer: "Exotic",
+      kind: "base",
+      format: "script",
+      script: "exotic.js",
+    }),
+    "exotic.js":
+      'module.exports = () => ({ 6: [{ contract: "base", price: 1 }] });',
+  });
+
+  assert.deepStrictEqual(convertContract(dir), {
+    6: [{ contract: "base", kind: "base", price: 1 }],
+  });
+});
+
+test("convertContract rejects a script outside of the contract directory", (t) => {
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify({
+      provider: "test",
+      offer: "Exotic",
+      kind: "base",
+      format: "script",
+      script: "../exotic.js",
+    }),
+  });
+  assert.throws(
+    () => convertContract(dir),
+    /Script '\.\.\/exotic\.js' must be inside the contract directory/,
+  );
+});
+
+test("validateManifest checks the contract kind", () => {
+  assert.throws(
+    () => validateManifest({ ...csvManifest, kind: "edf-tempo" }),
+    /Invalid kind in manifest/,
+  );
+  assert.throws(
+    () => validateManifest({ ...csvManifest, kind: undefined }),
+    /Missing required field 'kind'/,
+  );
+  assert.throws(
+    () => validateManifest({ ...csvManifest, contract: "base" }),
+    /replaced by 'kind'/,
+  );
+});
+
+test("convertContract gives the kind of the manifest to every price", (t) => {
+  const csv = [
+    "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_TTC;PART_VARIABLE_HCBleu_TTC",
+    "01/02/2025;;6;186,24;0,1288",
+  ].join("\n");
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify({
+      ...csvManifest,
+      kind: "tempo",
+      source: "Option_Tempo.csv",
+      consumption: [
+        {
+          column: "PART_VARIABLE_HCBleu",
+          hour_slots: "22:00,22:30",
+          day_type: "blue",
+          day_start: "06:00",
+        },
+      ],
+    }),
+    "Option_Tempo.csv": csv,
+  });
+
+  const prices = convertContract(dir)[6];
+  // Tempo prices keep the legacy contract value read by existing installs
+  assert.deepStrictEqual(
+    prices.map(({ contract, kind }) => [contract, kind]),
+    [
+      ["edf-tempo", "tempo"],
+      ["edf-tempo", "tempo"],
+    ],
+  );
+});
+
+test("convertContract rejects prices of another contract than the manifest kind", (t) => {
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify({
+      provider: "test",
+      offer: "Exotic",
+      kind: "peak-off-peak",
+      format: "script",
+      script: "exotic.js",
+    }),
+    "exotic.js":
+      'module.exports = () => ({ 6: [{ contract: "base", start_date: "2025-02-01" }] });',
+  });
+
+  assert.throws(
+    () => convertContract(dir),
+    /Price of 6 from 2025-02-01 has contract 'base', expected 'peak-off-peak'/,
+  );
+});
+
+test("validateManifest checks the day_start of consumption mappings", () => {
+  const tempoColumn = {
+    column: "PART_VARIABLE_HCBleu",
+    hour_slots: "00:00,22:00",
+    day_type: "blue",
+  };
+  const withDayStart = (mapping) =>
+    validateManifest({ ...csvManifest, consumption: [mapping] });
+
+  assert.strictEqual(
+    withDayStart({ ...tempoColumn, day_start: "06:00" }),
+    true,
+  );
+  assert.throws(
+    () => withDayStart({ ...tempoColumn, day_start: "6h" }),
+    /Invalid day_start '6h'/,
+  );
+  assert.throws(
+    () => withDayStart({ ...tempoColumn, day_type: null, day_start: "06:00" }),
+    /declares a day_start without a day_type/,
+  );
+});
+
+test("convertContract emits weekday / weekend and seasonal prices", (t) => {
+  const csv = [
+    "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_TTC;PART_VARIABLE_SEMAINE_TTC;PART_VARIABLE_WEEK_END_TTC",
+    "01/02/2025;;6;186,24;0,25;0,15",
+  ].join("\n");
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify({
+      ...csvManifest,
+      kind: "week-end",
+      source: "Option_Week_End.csv",
+      consumption: [
+        {
+          column: "PART_VARIABLE_SEMAINE",
+          hour_slots: null,
+          day_type: "weekday",
+        },
+        {
+          column: "PART_VARIABLE_WEEK_END",
+          hour_slots: null,
+          day_type: "weekend",
+          months: [4, 5, 6, 7, 8, 9, 10],
+        },
+      ],
+    }),
+    "Option_Week_End.csv": csv,
+  });
+
+  const [weekday, weekend] = convertContract(dir)[6];
+  assert.strictEqual(weekday.day_type, "weekday");
+  assert.strictEqual(weekday.months, undefined);
+  assert.strictEqual(weekend.price, 1500);
+  assert.deepStrictEqual(weekend.months, [4, 5, 6, 7, 8, 9, 10]);
+});
+
+test("validateManifest rejects unknown day types and months", () => {
+  const withMapping = (mapping) =>
+    validateManifest({
+      ...csvManifest,
+      consumption: [{ column: "PART_VARIABLE", hour_slots: null, ...mapping }],
+    });
+
+  assert.throws(
+    () => withMapping({ day_type: "sunday" }),
+    /Invalid day_type 'sunday'/,
+  );
+  assert.throws(
+    () => withMapping({ day_type: "weekend", months: [0, 13] }),
+    /Invalid months for column PART_VARIABLE/,
+  );
+});
+
+test("an EJP manifest prices mobile peak days from 07:00 to 01:00", (t) => {
+  // Layout of the EDF open data EJP grid: normal (HN) and mobile peak (PM) prices
+  const manifest = {
+    provider: "edf",
+    offer: "Tarif Bleu EJP",
+    kind: "ejp",
+    format: "csv",
+    source: "Option_EJP.csv",
+    tax: "TTC",
+    units: { price: "euro", subscription: "year" },
+    consumption: [
+      {
+        column: "PART_VARIABLE_HN",
+        hour_slots: null,
+        day_type: "normal",
+        day_start: "07:00",
+      },
+      {
+        column: "PART_VARIABLE_HN",
+        hour_slots:
+          "01:00,01:30,02:00,02:30,03:00,03:30,04:00,04:30,05:00,05:30,06:00,06:30",
+        day_type: "peak",
+        day_start: "07:00",
+      },
+      {
+        column: "PART_VARIABLE_PM",
+        hour_slots:
+          "00:00,00:30,07:00,07:30,08:00,08:30,09:00,09:30,10:00,10:30,11:00,11:30,12:00,12:30,13:00,13:30,14:00,14:30,15:00,15:30,16:00,16:30,17:00,17:30,18:00,18:30,19:00,19:30,20:00,20:30,21:00,21:30,22:00,22:30,23:00,23:30",
+        day_type: "peak",
+        day_start: "07:00",
+      },
+    ],
+    subscription: { column: "PART_FIXE" },
+  };
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify(manifest),
+    "Option_EJP.csv": [
+      "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_TTC;PART_VARIABLE_HN_TTC;PART_VARIABLE_PM_TTC",
+      "01/02/2025;;6;186,24;0,15;0,9",
+    ].join("\n"),
+  });
+  const { getPrice } = createPriceLookup(
+    { "edf-ejp": convertContract(dir) },
+    {
+      ejpCalendar: {
+        "2025-03-02": "normal",
+        "2025-03-03": "peak",
+        "2025-03-04": "normal",
+      },
+    },
+  );
+  const priceAt = (datetime) =>
+    getPrice("edf-ejp", 6, datetime).consumption.price;
+
+  assert.strictEqual(priceAt("2025-03-03T06:30:00+01:00"), 1500);
+  assert.strictEqual(priceAt("2025-03-03T07:00:00+01:00"), 9000);
+  // 00:30 on March 4th is still the peak day of March 3rd, 01:00 is off-peak
+  assert.strictEqual(priceAt("2025-03-04T00:30:00+01:00"), 9000);
+  assert.strictEqual(priceAt("2025-03-04T01:00:00+01:00"), 1500);
+  assert.strictEqual(priceAt("2025-03-04T12:00:00+01:00"), 1500);
+});
+
+test("a gas manifest groups prices by consumption band and tariff zone", (t) => {
+  const manifest = {
+    provider: "cre",
+    offer: "Prix repère de vente de gaz",
+    kind: "base",
+    energy: "gas",
+    format: "csv",
+    source: "Prix_Repere_Gaz.csv",
+    tax: "TTC",
+    units: { price: "euro", subscription: "year" },
+    consumption: [
+      { column: "PART_VARIABLE", hour_slots: null, day_type: null },
+    ],
+    subscription: { column: "PART_FIXE" },
+  };
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify(manifest),
+    "Prix_Repere_Gaz.csv": [
+      "DATE_DEBUT;DATE_FIN;ZONE;TRANCHE;PART_FIXE_HT;PART_FIXE_TTC;PART_VARIABLE_HT;PART_VARIABLE_TTC",
+      "01/01/2026;;1;B1;220,8;276,48;0,0856;0,1221",
+      "01/01/2026;;2;B1;235,2;293,76;0,0875;0,1244",
+    ].join("\n"),
+  });
+  const contracts = { "cre-prix-repere-gaz": convertContract(dir) };
+
+  assert.deepStrictEqual(Object.keys(contracts["cre-prix-repere-gaz"]), ["B1"]);
+  assert.strictEqual(validate("contracts.schema.json", contracts), true);
+  assert.deepStrictEqual(checkTimeline(contracts).violations, []);
+
+  const { getPrice } = createPriceLookup(contracts);
+  const prices = getPrice("cre-prix-repere-gaz", "B1", "2026-02-01T12:00", {
+    zone: 2,
+  });
+  assert.strictEqual(prices.consumption.price, 1244);
+  assert.strictEqual(prices.consumption.price_ht, 875);
+  assert.strictEqual(prices.subscription.price, 244800);
+  assert.throws(
+    () => getPrice("cre-prix-repere-gaz", "B1", "2026-02-01T12:00"),
+    /depend on the gas tariff zone: the zone option is required/,
+  );
+});
+
+test("validateManifest keeps electricity dimensions out of gas manifests", () => {
+  const gasManifest = { ...csvManifest, energy: "gas" };
+
+  assert.strictEqual(validateManifest(gasManifest), true);
+  assert.throws(
+    () => validateManifest({ ...csvManifest, energy: "water" }),
+    /Invalid energy in manifest/,
+  );
+  assert.throws(
+    () =>
+      validateManifest({
+        ...gasManifest,
+        consumption: [
+          {
+            column: "PART_VARIABLE",
+            hour_slots: "TO_REPLACE_PEAK",
+            day_type: null,
+          },
+        ],
+      }),
+    /Gas column PART_VARIABLE cannot declare hour_slots/,
+  );
+  assert.throws(
+    () =>
+      validateManifest({
+        ...gasManifest,
+        format: "spot",
+        formula: { margin: 0, turpe: 0, accise: 0, vat: 0.2 },
+      }),
+    /Gas manifests must use one of the formats 'csv', 'json'/,
+  );
+});
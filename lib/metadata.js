@@ -0,0 +1,26 @@
+const fs = require("fs");
+const path = require("path");
+
+// Optional file of a contract folder describing the offer to users (display names, provider, offer page...)
+const METADATA_FILE = "metadata.json";
+
+/**
+ * Reads the metadata.json file of a contract directory
+ * @param {string} dir - Contract directory
+ * @returns {Object|null} - Parsed metadata, see metadata.schema.json, or null when the directory has none
+ */
+function readMetadata(dir) {
+  const metadataPath = path.join(dir, METADATA_FILE);
+  if (!fs.existsSync(metadataPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid ${metadataPath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  METADATA_FILE,
+  readMetadata,
+};
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { METADATA_FILE, readMetadata } = require("./metadata");
+const { listFiles } = require("./provenance");
+const { createSchemaValidator } = require("./schemas");
+const { createTempDir } = require("./test-helpers");
+
+const validate = createSchemaValidator();
+
+const CONTRACTS_DIR = path.join(__dirname, "..", "contracts");
+
+test("every metadata.json of the contract folders matches metadata.schema.json", () => {
+  const metadataDirs = listFiles(CONTRACTS_DIR)
+    .filter((filePath) => path.basename(filePath) === METADATA_FILE)
+    .map((filePath) => path.dirname(filePath));
+
+  assert.ok(metadataDirs.length > 0);
+  for (const dir of metadataDirs) {
+    assert.strictEqual(
+      validate(
+        "metadata.schema.json",
+        readMetadata(dir),
+        path.relative(CONTRACTS_DIR, path.join(dir, METADATA_FILE)),
+      ),
+      true,
+    );
+  }
+});
+
+test("readMetadata gives null without metadata.json and names invalid files", (t) => {
+  const dir = createTempDir(t);
+  assert.strictEqual(readMetadata(dir), null);
+
+  fs.writeFileSync(path.join(dir, METADATA_FILE), "{ name: }");
+  assert.throws(() => readMetadata(dir), /Invalid .*metadata\.json/);
+});
@@ -0,0 +1,184 @@
+const fs = require("fs");
+const path = require("path");
+const { toMinutes, formatMinutes } = require("./lookup");
+const { LEGACY_GRANULARITY, serializeHourSlots } = require("./slots");
+
+const OFF_PEAK_SCHEDULES_PATH = path.join(
+  __dirname,
+  "..",
+  "schedules",
+  "off-peak-schedules.json",
+);
+
+const PEAK_PLACEHOLDER = "TO_REPLACE_PEAK";
+const OFF_PEAK_PLACEHOLDER = "TO_REPLACE_OFF_PEAK";
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validates an off-peak schedule of the catalogue
+ * @param {Object} schedule - { id, label, periods: [{ months?, ranges: [{ start, end }] }] }
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateOffPeakSchedule(schedule) {
+  for (const field of ["id", "label"]) {
+    if (typeof schedule[field] !== "string" || schedule[field].length === 0) {
+      throw new Error(`Missing required field '${field}' in off-peak schedule`);
+    }
+  }
+  if (!Array.isArray(schedule.periods) || schedule.periods.length === 0) {
+    throw new Error(`Off-peak schedule '${schedule.id}' must declare periods`);
+  }
+
+  for (const period of schedule.periods) {
+    if (!Array.isArray(period.ranges) || period.ranges.length === 0) {
+      throw new Error(
+        `Every period of off-peak schedule '${schedule.id}' must declare ranges`,
+      );
+    }
+    for (const { start, end } of period.ranges) {
+      if (
+        !TIME_REGEX.test(start) ||
+        !TIME_REGEX.test(end) ||
+        start === end ||
+        toMinutes(start) % LEGACY_GRANULARITY !== 0 ||
+        toMinutes(end) % LEGACY_GRANULARITY !== 0
+      ) {
+        throw new Error(
+          `Invalid range ${start} → ${end} in off-peak schedule '${schedule.id}': expected distinct half-hour times (HH:MM)`,
+        );
+      }
+    }
+  }
+
+  // Seasonal schedules give the months of every period, each month once
+  const seasonal = schedule.periods.some((period) => period.months);
+  if (schedule.periods.length > 1 || seasonal) {
+    const months = schedule.periods.flatMap((period) => period.months || []);
+    const allMonths = [...months].sort((a, b) => a - b).join(",");
+    if (allMonths !== "1,2,3,4,5,6,7,8,9,10,11,12") {
+      throw new Error(
+        `The periods of off-peak schedule '${schedule.id}' must cover each month once`,
+      );
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Reads and validates the off-peak schedules catalogue
+ * @param {string} [filePath] - Catalogue file, defaults to schedules/off-peak-schedules.json
+ * @returns {Array} - Off-peak schedules
+ */
+function readOffPeakSchedules(filePath = OFF_PEAK_SCHEDULES_PATH) {
+  const schedules = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+  const ids = new Set();
+  for (const schedule of schedules) {
+    validateOffPeakSchedule(schedule);
+    if (ids.has(schedule.id)) {
+      throw new Error(`Duplicate off-peak schedule '${schedule.id}'`);
+    }
+    ids.add(schedule.id);
+  }
+
+  return schedules;
+}
+
+/**
+ * Finds an off-peak schedule of the catalogue
+ * @param {Array} schedules - Off-peak schedules
+ * @param {string} id - Schedule id (i.e. "22h-6h")
+ * @returns {Object} - Off-peak schedule
+ */
+function findOffPeakSchedule(schedules, id) {
+  const schedule = schedules.find((item) => item.id === id);
+  if (!schedule) {
+    throw new Error(
+      `Unknown off-peak schedule '${id}': expected one of '${schedules.map((item) => item.id).join("', '")}'`,
+    );
+  }
+  return schedule;
+}
+
+/**
+ * Gives the off-peak ranges of a schedule at a date, to use as the offPeakHours option of getPrice
+ * @param {Object} schedule - Off-peak schedule
+ * @param {string} date - ISO date
+ * @returns {Array} - Ranges { start, end }, end excluded, may wrap past midnight
+ */
+function getOffPeakHours(schedule, date) {
+  const month = Number(date.slice(5, 7));
+  const period = schedule.periods.find(
+    (item) => !item.months || item.months.includes(month),
+  );
+  return period.ranges;
+}
+
+/**
+ * Gives the half-hour slots of a day outside of off-peak ranges
+ * @param {Array} ranges - Off-peak ranges
+ * @returns {string} - Comma separated half-hour slot starts
+ */
+function getPeakHourSlots(ranges) {
+  const offPeak = serializeHourSlots({
+    granularity: LEGACY_GRANULARITY,
+    ranges,
+  }).split(",");
+
+  const slots = [];
+  for (let minutes = 0; minutes < 24 * 60; minutes += LEGACY_GRANULARITY) {
+    const slot = formatMinutes(minutes);
+    if (!offPeak.includes(slot)) slots.push(slot);
+  }
+  return slots.join(",");
+}
+
+/**
+ * Replaces the TO_REPLACE_PEAK / TO_REPLACE_OFF_PEAK placeholders of every price with the slots of an off-peak
+ * schedule. Prices of seasonal schedules are split per period, with the months they apply to.
+ * @param {Object} contracts - Contract keys mapped to prices grouped by subscribed power
+ * @param {Object} schedule - Off-peak schedule
+ * @returns {Object} - Contracts with concrete hour slots
+ */
+function materializeOffPeakHours(contracts, schedule) {
+  const result = {};
+
+  for (const [contractKey, contractData] of Object.entries(contracts)) {
+    result[contractKey] = {};
+    for (const [power, prices] of Object.entries(contractData)) {
+      result[contractKey][power] = prices.flatMap((price) => {
+        if (
+          price.hour_slots !== PEAK_PLACEHOLDER &&
+          price.hour_slots !== OFF_PEAK_PLACEHOLDER
+        ) {
+          return [price];
+        }
+
+        return schedule.periods.map((period) => ({
+          ...price,
+          hour_slots:
+            price.hour_slots === OFF_PEAK_PLACEHOLDER
+              ? serializeHourSlots({
+                  granularity: LEGACY_GRANULARITY,
+                  ranges: period.ranges,
+                })
+              : getPeakHourSlots(period.ranges),
+          ...(period.months ? { months: period.months } : {}),
+        }));
+      });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  OFF_PEAK_SCHEDULES_PATH,
+  validateOffPeakSchedule,
+  readOffPeakSchedules,
+  findOffPeakSchedule,
+  getOffPeakHours,
+  materializeOffPeakHours,
+};
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  validateOffPeakSchedule,
+  readOffPeakSchedules,
+  findOffPeakSchedule,
+  getOffPeakHours,
+  materializeOffPeakHours,
+} = require("./off-peak-schedules");
+const { createPriceLookup } = require("./lookup");
+
+const seasonal = {
+  id: "seasonal",
+  label: "Seasonal",
+  periods: [
+    {
+      months: [1, 2, 3, 11, 12],
+      ranges: [{ start: "23:00", end: "07:00" }],
+    },
+    {
+      months: [4, 5, 6, 7, 8, 9, 10],
+      ranges: [
+        { start: "02:00", end: "06:00" },
+        { start: "11:00", end: "15:00" },
+      ],
+    },
+  ],
+};
+
+/**
+ * Builds a peak-off-peak price object
+ * @param {string} price_type - "consumption" or "subscription"
+ * @param {number} price - Integer price
+ * @param {string|null} hour_slots - Hour slots
+ * @returns {Object} - Price object
+ */
+function price(price_type, price, hour_slots = null) {
+  return {
+    contract: "peak-off-peak",
+    price_type,
+    currency: "euro",
+    start_date: "2025-02-01",
+    end_date: null,
+    price,
+    hour_slots,
+    day_type: null,
+  };
+}
+
+const contracts = {
+  "test-peak-off-peak": {
+    6: [
+      price("consumption", 1696, "TO_REPLACE_OFF_PEAK"),
+      price("consumption", 2146, "TO_REPLACE_PEAK"),
+      price("subscription", 155200),
+    ],
+  },
+};
+
+test("the catalogue holds valid schedules", () => {
+  const schedules = readOffPeakSchedules();
+
+  assert.ok(schedules.length > 0);
+  assert.deepStrictEqual(
+    getOffPeakHours(findOffPeakSchedule(schedules, "22h-6h"), "2025-07-01"),
+    [{ start: "22:00", end: "06:00" }],
+  );
+  assert.throws(
+    () => findOffPeakSchedule(schedules, "21h-5h"),
+    /Unknown off-peak schedule '21h-5h'/,
+  );
+});
+
+test("validateOffPeakSchedule requires seasonal periods to cover each month once", () => {
+  assert.strictEqual(validateOffPeakSchedule(seasonal), true);
+  assert.throws(
+    () =>
+      validateOffPeakSchedule({
+        ...seasonal,
+        periods: [seasonal.periods[0]],
+      }),
+    /must cover each month once/,
+  );
+  assert.throws(
+    () =>
+      validateOffPeakSchedule({
+        ...seasonal,
+        periods: [{ ranges: [{ start: "22:15", end: "06:15" }] }],
+      }),
+    /Invalid range 22:15 → 06:15/,
+  );
+});
+
+test("materializeOffPeakHours replaces the placeholders with the schedule slots", () => {
+  const [offPeak, peak, subscription] = materializeOffPeakHours(contracts, {
+    id: "0h-8h",
+    label: "00:00 - 08:00",
+    periods: [{ ranges: [{ start: "00:00", end: "08:00" }] }],
+  })["test-peak-off-peak"][6];
+
+  assert.strictEqual(
+    offPeak.hour_slots,
+    "00:00,00:30,01:00,01:30,02:00,02:30,03:00,03:30,04:00,04:30,05:00,05:30,06:00,06:30,07:00,07:30",
+  );
+  assert.strictEqual(peak.hour_slots.split(",").length, 32);
+  assert.strictEqual(peak.hour_slots.split(",")[0], "08:00");
+  assert.deepStrictEqual(subscription, contracts["test-peak-off-peak"][6][2]);
+});
+
+test("materialized seasonal prices apply in their months only", () => {
+  const { getPrice } = createPriceLookup(
+    materializeOffPeakHours(contracts, seasonal),
+  );
+
+  // 12:00 is off-peak in summer only
+  assert.strictEqual(
+    getPrice("test-peak-off-peak", 6, "2025-07-01T12:00:00+02:00").consumption
+      .price,
+    1696,
+  );
+  assert.strictEqual(
+    getPrice("test-peak-off-peak", 6, "2025-12-01T12:00:00+01:00").consumption
+      .price,
+    2146,
+  );
+});
@@ -0,0 +1,784 @@
+const fs = require("fs");
+const zlib = require("zlib");
+
+// Minimal PDF reader extracting the positioned text of each page: enough for the tariff grids published as PDF
+// (uncompressed or FlateDecode streams, object streams, Type0 / simple fonts with ToUnicode maps). PDF strings and
+// stream data are handled as latin1 strings, one character per byte.
+
+const WHITESPACE = "\x00\t\n\f\r ";
+const DELIMITERS = "()<>[]{}/%";
+
+/**
+ * Reference to an indirect object
+ */
+class PdfRef {
+  /**
+   * @param {number} num - Object number
+   * @param {number} gen - Generation number
+   */
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+/**
+ * Operator of a content stream (i.e. Tj), or keyword of the file syntax (i.e. obj)
+ */
+class PdfOperator {
+  /**
+   * @param {string} name - Operator
+   */
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+/**
+ * String of bytes, kept apart from names which are parsed as plain strings
+ */
+class PdfString {
+  /**
+   * @param {string} bytes - Bytes as a latin1 string
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+/**
+ * Tokenizer and object parser over a latin1 string
+ */
+class PdfLexer {
+  /**
+   * @param {string} data - PDF syntax as a latin1 string
+   * @param {number} [pos] - Start position
+   */
+  constructor(data, pos = 0) {
+    this.data = data;
+    this.pos = pos;
+  }
+
+  /**
+   * Skips whitespace and comments
+   */
+  skipSpace() {
+    const { data } = this;
+    while (this.pos < data.length) {
+      const char = data[this.pos];
+      if (WHITESPACE.includes(char)) {
+        this.pos++;
+      } else if (char === "%") {
+        while (
+          this.pos < data.length &&
+          data[this.pos] !== "\n" &&
+          data[this.pos] !== "\r"
+        ) {
+          this.pos++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Reads the next object or operator
+   * @returns {*} - Number, boolean, null, name (string), PdfString, array, dictionary (object), PdfRef or
+   * PdfOperator, undefined at the end of the data
+   */
+  next() {
+    this.skipSpace();
+    const { data } = this;
+    if (this.pos >= data.length) return undefined;
+
+    const char = data[this.pos];
+    if (char === "/") return this.readName();
+    if (char === "(") return this.readLiteralString();
+    if (char === "[") {
+      this.pos++;
+      return this.readArray();
+    }
+    if (char === "<") {
+      if (data[this.pos + 1] === "<") {
+        this.pos += 2;
+        return this.readDictionary();
+      }
+      return this.readHexString();
+    }
+    if (char === "]" || char === ">" || char === ")") {
+      this.pos += char === ">" && data[this.pos + 1] === ">" ? 2 : 1;
+      return new PdfOperator(char === ">" ? ">>" : char);
+    }
+
+    const start = this.pos;
+    while (
+      this.pos < data.length &&
+      !WHITESPACE.includes(data[this.pos]) &&
+      !DELIMITERS.includes(data[this.pos])
+    ) {
+      this.pos++;
+    }
+    // Unexpected delimiter ({ or }): skip it
+    if (this.pos === start) {
+      this.pos++;
+      return new PdfOperator(char);
+    }
+
+    const token = data.slice(start, this.pos);
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      return this.readNumberOrRef(Number(token));
+    }
+    if (token === "true") return true;
+    if (token === "false") return false;
+    if (token === "null") return null;
+    return new PdfOperator(token);
+  }
+
+  /**
+   * Reads a number, or an indirect reference when it is followed by a generation number and R
+   * @param {number} number - Number already read
+   * @returns {number|PdfRef} - Number or reference
+   */
+  readNumberOrRef(number) {
+    if (!Number.isInteger(number) || number < 0) return number;
+
+    const match = /^\s+(\d+)\s+R(?![^\s\x00()<>[\]{}/%])/.exec(
+      this.data.slice(this.pos, this.pos + 32),
+    );
+    if (!match) return number;
+    this.pos += match[0].length;
+    return new PdfRef(number, Number(match[1]));
+  }
+
+  /**
+   * Reads a name, without its leading slash
+   * @returns {string} - Name, with its #xx escapes decoded
+   */
+  readName() {
+    const { data } = this;
+    const start = ++this.pos;
+    while (
+      this.pos < data.length &&
+      !WHITESPACE.includes(data[this.pos]) &&
+      !DELIMITERS.includes(data[this.pos])
+    ) {
+      this.pos++;
+    }
+    return data
+      .slice(start, this.pos)
+      .replace(/#([0-9a-fA-F]{2})/g, (_, hex) =>
+        String.fromCharCode(parseInt(hex, 16)),
+      );
+  }
+
+  /**
+   * Reads a literal string: (...) with balanced parentheses and backslash escapes
+   * @returns {PdfString} - String
+   */
+  readLiteralString() {
+    const { data } = this;
+    const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+    let bytes = "";
+    let depth = 1;
+    this.pos++;
+
+    while (this.pos < data.length) {
+      const char = data[this.pos++];
+      if (char === "\\") {
+        const escaped = data[this.pos++];
+        if (escapes[escaped]) {
+          bytes += escapes[escaped];
+        } else if (/[0-7]/.test(escaped)) {
+          let octal = escaped;
+          while (octal.length < 3 && /[0-7]/.test(data[this.pos])) {
+            octal += data[this.pos++];
+          }
+          bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (escaped === "\r") {
+          // Line continuation
+          if (data[this.pos] === "\n") this.pos++;
+        } else if (escaped !== "\n") {
+          bytes += escaped;
+        }
+      } else if (char === "(") {
+        depth++;
+        bytes += char;
+      } else if (char === ")") {
+        if (--depth === 0) break;
+        bytes += char;
+      } else {
+        bytes += char;
+      }
+    }
+
+    return new PdfString(bytes);
+  }
+
+  /**
+   * Reads a hexadecimal string: <...>
+   * @returns {PdfString} - String
+   */
+  readHexString() {
+    const end = this.data.indexOf(">", this.pos);
+    let hex = this.data.slice(this.pos + 1, end).replace(/\s/g, "");
+    this.pos = end + 1;
+    if (hex.length % 2 === 1) hex += "0";
+
+    let bytes = "";
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    }
+    return new PdfString(bytes);
+  }
+
+  /**
+   * Reads the items of an array, after its opening bracket
+   * @returns {Array} - Items
+   */
+  readArray() {
+    const items = [];
+    for (;;) {
+      const item = this.next();
+      if (item === undefined) return items;
+      if (item instanceof PdfOperator && item.name === "]") return items;
+      items.push(item);
+    }
+  }
+
+  /**
+   * Reads the entries of a dictionary, after its opening brackets
+   * @returns {Object} - Keys (names) mapped to their values
+   */
+  readDictionary() {
+    const dictionary = {};
+    for (;;) {
+      const key = this.next();
+      if (key === undefined) return dictionary;
+      if (key instanceof PdfOperator && key.name === ">>") return dictionary;
+      dictionary[key] = this.next();
+    }
+  }
+}
+
+/**
+ * Decodes the data of a stream
+ * @param {Object} dictionary - Stream dictionary
+ * @param {string} data - Raw stream data
+ * @returns {string|null} - Decoded data, or null for filters this reader does not support (i.e. images)
+ */
+function decodeStream(dictionary, data) {
+  const filters = [].concat(dictionary.Filter || []);
+  let decoded = data;
+  for (const filter of filters) {
+    if (filter !== "FlateDecode") return null;
+    const buffer = Buffer.from(decoded, "latin1");
+    try {
+      decoded = zlib.inflateSync(buffer).toString("latin1");
+    } catch {
+      // Some producers leave garbage after the compressed data
+      decoded = zlib
+        .inflateSync(buffer, { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+        .toString("latin1");
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Parses a PDF document
+ * @param {Buffer} buffer - PDF file content
+ * @returns {Object} - Document exposing resolve(value), getStream(value) and pages: [{ resources, contents }]
+ */
+function parsePdf(buffer) {
+  const data = buffer.toString("latin1");
+  if (!data.startsWith("%PDF-")) {
+    throw new Error("Not a PDF file: missing %PDF- header");
+  }
+
+  // Indirect objects, later definitions (incremental updates) replacing earlier ones
+  const objects = new Map();
+  const objectRegex = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+  while ((match = objectRegex.exec(data))) {
+    const lexer = new PdfLexer(data, objectRegex.lastIndex);
+    const value = lexer.next();
+    const object = { value, stream: null };
+
+    lexer.skipSpace();
+    if (data.startsWith("stream", lexer.pos)) {
+      let start = lexer.pos + "stream".length;
+      if (data[start] === "\r") start++;
+      if (data[start] === "\n") start++;
+      const length = value.Length;
+      const end =
+        typeof length === "number" &&
+        data.startsWith("endstream", data.indexOf("e", start + length))
+          ? start + length
+          : data.indexOf("endstream", start);
+      object.stream = data.slice(start, end);
+      objectRegex.lastIndex = end;
+    } else {
+      objectRegex.lastIndex = lexer.pos;
+    }
+    objects.set(Number(match[1]), object);
+  }
+
+  // Objects compressed in object streams
+  for (const { value, stream } of [...objects.values()]) {
+    if (value?.Type !== "ObjStm" || stream === null) continue;
+    const decoded = decodeStream(value, stream);
+    if (decoded === null) continue;
+
+    const header = new PdfLexer(decoded);
+    const entries = [];
+    for (let i = 0; i < value.N; i++) {
+      entries.push([header.next(), header.next()]);
+    }
+    for (const [num, offset] of entries) {
+      if (objects.has(num)) continue;
+      const lexer = new PdfLexer(decoded, value.First + offset);
+      objects.set(num, { value: lexer.next(), stream: null });
+    }
+  }
+
+  /**
+   * Resolves a value that may be an indirect reference
+   * @param {*} value - Value or reference
+   * @returns {*} - Value
+   */
+  const resolve = (value) =>
+    value instanceof PdfRef ? (objects.get(value.num)?.value ?? null) : value;
+
+  /**
+   * Gives the decoded data of a stream object
+   * @param {PdfRef} ref - Reference to the stream object
+   * @returns {string|null} - Decoded data
+   */
+  const getStream = (ref) => {
+    const object = ref instanceof PdfRef ? objects.get(ref.num) : null;
+    if (!object || object.stream === null) return null;
+    return decodeStream(object.value, object.stream);
+  };
+
+  const catalog = [...objects.values()].find(
+    (object) => object.value?.Type === "Catalog",
+  );
+  if (!catalog) {
+    throw new Error("Invalid PDF file: no document catalog");
+  }
+
+  const pages = [];
+  /**
+   * Collects the pages of a page tree node, with their inherited resources
+   * @param {Object} node - Page tree node
+   * @param {Object} resources - Resources inherited from the parent nodes
+   */
+  const collectPages = (node, resources) => {
+    const nodeResources = resolve(node.Resources) || resources;
+    if (node.Type === "Page") {
+      const contents = [].concat(node.Contents || []);
+      pages.push({
+        resources: nodeResources,
+        contents: contents.map(getStream).filter(Boolean).join("\n"),
+      });
+      return;
+    }
+    for (const kid of resolve(node.Kids) || []) {
+      collectPages(resolve(kid), nodeResources);
+    }
+  };
+  collectPages(resolve(catalog.value.Pages), {});
+
+  return { resolve, getStream, pages };
+}
+
+/**
+ * Parses a ToUnicode CMap
+ * @param {string} cmap - CMap program
+ * @returns {Object} - { codeLength, map }: byte length of the codes and codes (numbers) mapped to their text
+ */
+function parseToUnicode(cmap) {
+  const map = new Map();
+  let codeLength = 1;
+
+  /**
+   * Decodes a UTF-16BE destination string
+   * @param {string} bytes - Bytes as a latin1 string
+   * @returns {string} - Text
+   */
+  const toText = (bytes) =>
+    Buffer.from(bytes, "latin1").swap16().toString("utf16le");
+  /**
+   * Reads a code from its bytes
+   * @param {string} bytes - Bytes as a latin1 string
+   * @returns {number} - Code
+   */
+  const toCode = (bytes) =>
+    [...bytes].reduce((code, char) => code * 256 + char.charCodeAt(0), 0);
+
+  const lexer = new PdfLexer(cmap);
+  const operands = [];
+  for (let token = lexer.next(); token !== undefined; token = lexer.next()) {
+    if (!(token instanceof PdfOperator)) {
+      operands.push(token);
+      continue;
+    }
+    if (token.name === "endcodespacerange" && operands[0]) {
+      codeLength = operands[0].bytes.length;
+    } else if (token.name === "endbfchar") {
+      for (let i = 0; i + 1 < operands.length; i += 2) {
+        map.set(toCode(operands[i].bytes), toText(operands[i + 1].bytes));
+      }
+    } else if (token.name === "endbfrange") {
+      for (let i = 0; i + 2 < operands.length; i += 3) {
+        const low = toCode(operands[i].bytes);
+        const high = toCode(operands[i + 1].bytes);
+        const destination = operands[i + 2];
+        for (let code = low; code <= high; code++) {
+          if (Array.isArray(destination)) {
+            map.set(code, toText(destination[code - low]?.bytes || ""));
+          } else {
+            // The last byte of the destination increments with the code
+            const base = destination.bytes;
+            const last = base.charCodeAt(base.length - 1) + code - low;
+            map.set(
+              code,
+              toText(base.slice(0, -1) + String.fromCharCode(last & 0xff)),
+            );
+          }
+        }
+      }
+    }
+    operands.length = 0;
+  }
+
+  return { codeLength, map };
+}
+
+/**
+ * Reads the font of a Tf operator: how to split its strings into codes, decode them and measure them
+ * @param {Object} font - Font dictionary
+ * @param {Object} pdf - Parsed document, see parsePdf
+ * @returns {Object} - { decode(bytes) => [{ text, width, isSpace }] }, widths in thousandths of the font size
+ */
+function readFont(font, pdf) {
+  const { resolve } = pdf;
+  const isType0 = font.Subtype === "Type0";
+  const toUnicodeStream = font.ToUnicode ? pdf.getStream(font.ToUnicode) : null;
+  const toUnicode = toUnicodeStream ? parseToUnicode(toUnicodeStream) : null;
+  const codeLength = isType0 ? 2 : 1;
+
+  const widths = new Map();
+  let defaultWidth = isType0 ? 1000 : 500;
+  if (isType0) {
+    const descendant = resolve(resolve(font.DescendantFonts)?.[0]) || {};
+    defaultWidth = descendant.DW ?? 1000;
+    const w = resolve(descendant.W) || [];
+    for (let i = 0; i < w.length;) {
+      const first = resolve(w[i]);
+      const next = resolve(w[i + 1]);
+      if (Array.isArray(next)) {
+        next.forEach((width, index) =>
+          widths.set(first + index, resolve(width)),
+        );
+        i += 2;
+      } else {
+        for (let code = first; code <= next; code++) {
+          widths.set(code, resolve(w[i + 2]));
+        }
+        i += 3;
+      }
+    }
+  } else {
+    const firstChar = resolve(font.FirstChar) ?? 0;
+    (resolve(font.Widths) || []).forEach((width, index) =>
+      widths.set(firstChar + index, resolve(width)),
+    );
+  }
+
+  return {
+    decode(bytes) {
+      const glyphs = [];
+      for (let i = 0; i < bytes.length; i += codeLength) {
+        let code = 0;
+        for (let j = 0; j < codeLength; j++) {
+          code = code * 256 + (bytes.charCodeAt(i + j) || 0);
+        }
+        const text =
+          toUnicode?.map.get(code) ??
+          (isType0 ? "" : String.fromCharCode(code));
+        glyphs.push({
+          text,
+          width: widths.get(code) ?? defaultWidth,
+          // Word spacing only applies to the single-byte code 32
+          isSpace: codeLength === 1 && code === 32,
+        });
+      }
+      return glyphs;
+    },
+  };
+}
+
+/**
+ * Multiplies two transformation matrices [a, b, c, d, e, f]
+ * @param {Array} m1 - First matrix
+ * @param {Array} m2 - Second matrix
+ * @returns {Array} - m1 × m2
+ */
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5],
+  ];
+}
+
+/**
+ * Runs the text operators of a content stream
+ * @param {string} content - Decoded content stream
+ * @param {Object} resources - Resources of the content
+ * @param {Object} pdf - Parsed document, see parsePdf
+ * @param {Array} ctm - Initial transformation matrix
+ * @param {Array} items - Words { x, y, endX, size, text } the shown strings are added to
+ */
+function runContent(content, resources, pdf, ctm, items) {
+  const { resolve } = pdf;
+  const fonts = resolve(resources?.Font) || {};
+  const xObjects = resolve(resources?.XObject) || {};
+  const fontCache = new Map();
+
+  let state = { ctm, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0 };
+  const stack = [];
+  let font = null;
+  let fontSize = 0;
+  let textMatrix = [1, 0, 0, 1, 0, 0];
+  let lineMatrix = textMatrix;
+
+  /**
+   * Moves to the start of a line
+   * @param {number} tx - Horizontal offset
+   * @param {number} ty - Vertical offset
+   */
+  const moveLine = (tx, ty) => {
+    lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+
+  /**
+   * Shows the strings (and kerning adjustments) of a Tj / TJ operator, one text item per word
+   * @param {Array} parts - PdfString and numbers
+   */
+  const show = (parts) => {
+    if (!font) return;
+    let word = null;
+    const flush = () => {
+      if (!word) return;
+      const end = multiply(textMatrix, state.ctm);
+      items.push({
+        x: word.start[4],
+        y: word.start[5],
+        endX: end[4],
+        size: fontSize * Math.hypot(word.start[2], word.start[3]),
+        text: word.text,
+      });
+      word = null;
+    };
+    const advance = (tx) => {
+      textMatrix = multiply([1, 0, 0, 1, tx, 0], textMatrix);
+    };
+
+    for (const part of parts) {
+      if (typeof part === "number") {
+        // Large negative adjustments separate words
+        if (part < -200) flush();
+        advance((-part / 1000) * fontSize * state.scale);
+        continue;
+      }
+      for (const glyph of font.decode(part.bytes)) {
+        if (/^\s*$/.test(glyph.text)) {
+          flush();
+        } else {
+          word = word || { start: multiply(textMatrix, state.ctm), text: "" };
+          word.text += glyph.text;
+        }
+        advance(
+          ((glyph.width / 1000) * fontSize +
+            state.charSpacing +
+            (glyph.isSpace ? state.wordSpacing : 0)) *
+            state.scale,
+        );
+      }
+    }
+    flush();
+  };
+
+  const lexer = new PdfLexer(content);
+  const operands = [];
+  for (let token = lexer.next(); token !== undefined; token = lexer.next()) {
+    if (!(token instanceof PdfOperator)) {
+      operands.push(token);
+      continue;
+    }
+
+    const numbers = operands.map(Number);
+    switch (token.name) {
+      case "q":
+        stack.push(state);
+        state = { ...state };
+        break;
+      case "Q":
+        state = stack.pop() || state;
+        break;
+      case "cm":
+        state.ctm = multiply(numbers, state.ctm);
+        break;
+      case "BT":
+        textMatrix = [1, 0, 0, 1, 0, 0];
+        lineMatrix = textMatrix;
+        break;
+      case "Tf": {
+        const name = operands[0];
+        if (!fontCache.has(name)) {
+          const fontDictionary = resolve(fonts[name]);
+          fontCache.set(
+            name,
+            fontDictionary ? readFont(fontDictionary, pdf) : null,
+          );
+        }
+        font = fontCache.get(name);
+        fontSize = numbers[1];
+        break;
+      }
+      case "Tc":
+        state.charSpacing = numbers[0];
+        break;
+      case "Tw":
+        state.wordSpacing = numbers[0];
+        break;
+      case "Tz":
+        state.scale = numbers[0] / 100;
+        break;
+      case "TL":
+        state.leading = numbers[0];
+        break;
+      case "Td":
+        moveLine(numbers[0], numbers[1]);
+        break;
+      case "TD":
+        state.leading = -numbers[1];
+        moveLine(numbers[0], numbers[1]);
+        break;
+      case "Tm":
+        textMatrix = numbers;
+        lineMatrix = numbers;
+        break;
+      case "T*":
+        moveLine(0, -state.leading);
+        break;
+      case "Tj":
+        show([operands[0]]);
+        break;
+      case "TJ":
+        show(operands[0] || []);
+        break;
+      case "'":
+        moveLine(0, -state.leading);
+        show([operands[0]]);
+        break;
+      case '"':
+        state.wordSpacing = numbers[0];
+        state.charSpacing = numbers[1];
+        moveLine(0, -state.leading);
+        show([operands[2]]);
+        break;
+      case "Do": {
+        const ref = xObjects[operands[0]];
+        const xObject = resolve(ref);
+        if (xObject?.Subtype !== "Form") break;
+        const formContent = pdf.getStream(ref);
+        if (formContent === null) break;
+        runContent(
+          formContent,
+          resolve(xObject.Resources) || resources,
+          pdf,
+          multiply(resolve(xObject.Matrix) || [1, 0, 0, 1, 0, 0], state.ctm),
+          items,
+        );
+        break;
+      }
+      case "BI": {
+        // Inline image: skip its binary data
+        const end = content.indexOf("EI", lexer.pos);
+        lexer.pos = end === -1 ? content.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+    operands.length = 0;
+  }
+}
+
+/**
+ * Extracts the positioned text of every page of a PDF file
+ * @param {string|Buffer} file - PDF file path or content
+ * @returns {Array} - One array per page of words { x, y, endX, size, text }, in PDF units (y upwards)
+ */
+function extractPdfText(file) {
+  const pdf = parsePdf(Buffer.isBuffer(file) ? file : fs.readFileSync(file));
+  return pdf.pages.map((page) => {
+    const items = [];
+    runContent(page.contents, page.resources, pdf, [1, 0, 0, 1, 0, 0], items);
+    return items;
+  });
+}
+
+/**
+ * Groups the text items of a page into lines, top to bottom: items on the same baseline form a line, and items
+ * closer than the gap are joined (words split in several strings, i.e. "1" and "er")
+ * @param {Array} items - Text items of a page, see extractPdfText
+ * @param {Object} [options] - Options
+ * @param {number} [options.tolerance] - Highest baseline difference within a line, 2 units by default
+ * @param {number} [options.gap] - Highest space between joined items, 0.5 unit by default
+ * @returns {Array} - Lines { y, words: [{ x, endX, text }] }, left to right
+ */
+function groupLines(items, { tolerance = 2, gap = 0.5 } = {}) {
+  const lines = [];
+  for (const item of [...items].sort((a, b) => b.y - a.y || a.x - b.x)) {
+    const line = lines.find(
+      (candidate) => Math.abs(candidate.y - item.y) <= tolerance,
+    );
+    if (line) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, items: [item] });
+    }
+  }
+
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map(({ y, items: lineItems }) => {
+      const words = [];
+      for (const item of lineItems.sort((a, b) => a.x - b.x)) {
+        const word = words[words.length - 1];
+        if (word && item.x - word.endX <= gap) {
+          word.text += item.text;
+          word.endX = Math.max(word.endX, item.endX);
+        } else {
+          words.push({ x: item.x, endX: item.endX, text: item.text });
+        }
+      }
+      return { y, words };
+    });
+}
+
+module.exports = {
+  parsePdf,
+  parseToUnicode,
+  extractPdfText,
+  groupLines,
+};
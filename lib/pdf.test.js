@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const {
+  parsePdf,
+  parseToUnicode,
+  extractPdfText,
+  groupLines,
+} = require("./pdf");
+
+/**
+ * Builds a one page PDF showing a content stream with a Helvetica font whose glyphs are all 500 units wide
+ * @param {string} content - Page content stream, stored FlateDecode compressed
+ * @returns {Buffer} - PDF file content
+ */
+function createPdf(content) {
+  const stream = zlib.deflateSync(Buffer.from(content, "latin1"));
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 4 0 R >> >> >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 5 0 R >>",
+    `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /FirstChar 32 /Widths [${new Array(95).fill(500).join(" ")}] >>`,
+  ];
+
+  const chunks = [Buffer.from("%PDF-1.4\n", "latin1")];
+  objects.forEach((object, index) => {
+    chunks.push(Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`));
+  });
+  chunks.push(
+    Buffer.from(
+      `5 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`,
+    ),
+    stream,
+    Buffer.from("\nendstream\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n"),
+  );
+  return Buffer.concat(chunks);
+}
+
+test("extractPdfText gives the words of each page with their position", () => {
+  const pdf = createPdf(
+    "BT /F1 10 Tf 50 700 Td (Tarif 12,07) Tj 100 0 Td [(0,1) -10 (9398)] TJ 0 -20 Td (3) Tj ET",
+  );
+
+  assert.strictEqual(parsePdf(pdf).pages.length, 1);
+  const [words] = extractPdfText(pdf);
+  assert.deepStrictEqual(
+    words.map(({ x, y, text }) => [x, y, text]),
+    [
+      [50, 700, "Tarif"],
+      [80, 700, "12,07"],
+      // Small kerning adjustments stay within the word
+      [150, 700, "0,19398"],
+      [150, 680, "3"],
+    ],
+  );
+  assert.strictEqual(words[1].endX, 105);
+});
+
+test("groupLines sorts words into lines, top to bottom", () => {
+  const lines = groupLines([
+    { x: 150, y: 680, endX: 155, text: "3" },
+    { x: 80, y: 700.5, endX: 95, text: "1" },
+    { x: 95, y: 700, endX: 105, text: "er" },
+    { x: 50, y: 700, endX: 75, text: "Tarif" },
+  ]);
+
+  assert.deepStrictEqual(lines, [
+    {
+      y: 700.5,
+      words: [
+        { x: 50, endX: 75, text: "Tarif" },
+        // Strings shown next to each other form a single word
+        { x: 80, endX: 105, text: "1er" },
+      ],
+    },
+    { y: 680, words: [{ x: 150, endX: 155, text: "3" }] },
+  ]);
+});
+
+test("parseToUnicode reads the text of glyph codes", () => {
+  const { codeLength, map } = parseToUnicode(
+    [
+      "1 begincodespacerange <0000> <FFFF> endcodespacerange",
+      "1 beginbfchar <0003> <0020> endbfchar",
+      "2 beginbfrange <0010> <0012> <0041> <0020> <0021> [<20AC> <00E9>] endbfrange",
+    ].join("\n"),
+  );
+
+  assert.strictEqual(codeLength, 2);
+  assert.deepStrictEqual(Object.fromEntries(map), {
+    3: " ",
+    16: "A",
+    17: "B",
+    18: "C",
+    32: "€",
+    33: "é",
+  });
+});
@@ -0,0 +1,92 @@
+const { getEnergy } = require("./gas");
+const { getPriceKind } = require("./kinds");
+
+// Regulated tariff (TRV) contract key used as a reference for each contract kind, edf-base for the others
+const TRV_REFERENCES = {
+  base: "edf-base",
+  "peak-off-peak": "edf-peak-off-peak",
+  tempo: "edf-tempo",
+  ejp: "edf-ejp",
+};
+const DEFAULT_REFERENCE = "edf-base";
+
+// Accepted ratios between a subscription price and the TRV. TTC subscriptions are at least 1.2 times their HT price
+// (VAT and CTA), so an HT price typed as a TTC one falls below 0.85 times the TRV, and a yearly price typed as a
+// monthly one is 12 times too high. Market offers have stayed within 0.95 and 1.25 times the TRV so far
+const DEFAULT_LOWEST_RATIO = 0.85;
+const DEFAULT_HIGHEST_RATIO = 1.5;
+
+/**
+ * Finds the subscription price of a contract in force at a date
+ * @param {Array} prices - Prices of a subscribed power
+ * @param {string} date - ISO date
+ * @returns {Object|undefined} - Subscription price
+ */
+function findSubscription(prices, date) {
+  return prices.find(
+    (price) =>
+      price.price_type === "subscription" &&
+      price.start_date <= date &&
+      (price.end_date === null || date <= price.end_date),
+  );
+}
+
+/**
+ * Flags the subscription prices implausibly far from the regulated tariff of the same contract kind, subscribed
+ * power and start date (i.e. yearly prices typed as monthly ones, or prices in euros instead of euros × 10000)
+ * @param {Object} contracts - Contract keys mapped to prices grouped by subscribed power
+ * @param {Object} [options] - Options
+ * @param {number} [options.lowest] - Lowest accepted ratio between a price and the TRV, 0.85 by default
+ * @param {number} [options.highest] - Highest accepted ratio between a price and the TRV, 1.5 by default
+ * @returns {Array} - Warnings { contractKey, power, start_date, price, reference, referencePrice, message }
+ */
+function checkSubscriptionPlausibility(
+  contracts,
+  { lowest = DEFAULT_LOWEST_RATIO, highest = DEFAULT_HIGHEST_RATIO } = {},
+) {
+  const warnings = [];
+
+  for (const [contractKey, contractData] of Object.entries(contracts)) {
+    for (const [power, prices] of Object.entries(contractData)) {
+      for (const price of prices) {
+        // The regulated tariffs are electricity tariffs
+        if (
+          price.price_type !== "subscription" ||
+          getEnergy(price) !== "electricity"
+        ) {
+          continue;
+        }
+
+        const reference =
+          TRV_REFERENCES[getPriceKind(price)] || DEFAULT_REFERENCE;
+        const referencePrices = contracts[reference]?.[power];
+        if (reference === contractKey || !referencePrices) continue;
+
+        const referencePrice = findSubscription(
+          referencePrices,
+          price.start_date,
+        );
+        if (!referencePrice) continue;
+
+        const ratio = price.price / referencePrice.price;
+        if (ratio >= lowest && ratio <= highest) continue;
+
+        warnings.push({
+          contractKey,
+          power,
+          start_date: price.start_date,
+          price: price.price,
+          reference,
+          referencePrice: referencePrice.price,
+          message: `${contractKey} ${power} kVA subscription from ${price.start_date} is ${price.price}, ${ratio.toFixed(2)} times the ${reference} price (${referencePrice.price}): check its units`,
+        });
+      }
+    }
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  checkSubscriptionPlausibility,
+};
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkSubscriptionPlausibility } = require("./plausibility");
+
+/**
+ * Builds a subscription price object
+ * @param {string} contract - Contract type
+ * @param {string} start_date - ISO date
+ * @param {number} price - Integer monthly price
+ * @returns {Object} - Price object
+ */
+function subscription(contract, start_date, price) {
+  return {
+    contract,
+    price_type: "subscription",
+    currency: "euro",
+    start_date,
+    end_date: null,
+    price,
+    hour_slots: null,
+    day_type: null,
+    period: "month",
+  };
+}
+
+const contracts = {
+  "edf-base": { 6: [subscription("base", "2025-08-01", 154950)] },
+  "edf-peak-off-peak": {
+    6: [subscription("peak-off-peak", "2025-08-01", 158300)],
+  },
+  "octopus-base": { 6: [subscription("base", "2025-11-01", 154500)] },
+  // HT price typed as a TTC one
+  "typo-base": { 6: [subscription("base", "2025-11-01", 127000)] },
+  // Yearly price typed as a monthly one
+  "typo-peak-off-peak": {
+    6: [subscription("peak-off-peak", "2025-11-01", 1899600)],
+    // No TRV price for this power
+    36: [subscription("peak-off-peak", "2025-11-01", 1899600)],
+  },
+};
+
+test("checkSubscriptionPlausibility flags prices far from the TRV of the same contract type", () => {
+  const warnings = checkSubscriptionPlausibility(contracts);
+
+  assert.deepStrictEqual(
+    warnings.map(({ contractKey, power, reference, referencePrice }) => [
+      contractKey,
+      power,
+      reference,
+      referencePrice,
+    ]),
+    [
+      ["typo-base", "6", "edf-base", 154950],
+      ["typo-peak-off-peak", "6", "edf-peak-off-peak", 158300],
+    ],
+  );
+  assert.match(warnings[0].message, /0\.82 times the edf-base price/);
+  assert.match(warnings[1].message, /12\.00 times the edf-peak-off-peak price/);
+});
+
+test("checkSubscriptionPlausibility ignores prices before the TRV and accepts other ratios", () => {
+  assert.deepStrictEqual(
+    checkSubscriptionPlausibility({
+      ...contracts,
+      "old-base": { 6: [subscription("base", "2020-01-01", 500000)] },
+      "typo-base": {},
+      "typo-peak-off-peak": {},
+    }),
+    [],
+  );
+  assert.strictEqual(
+    checkSubscriptionPlausibility(contracts, { lowest: 0.5, highest: 20 })
+      .length,
+    0,
+  );
+});
@@ -0,0 +1,167 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  convertToIsoDate,
+  parseDecimal,
+  convertPrice,
+  convertJsonEntries,
+  readTable,
+} = require("./converters");
+const { createSourceTracer } = require("./provenance");
+
+// Installed power bands of production prices, in kWc: "<min>-<max>", max included
+const POWER_BAND_REGEX = /^(\d+)-(\d+)$/;
+
+/**
+ * Gives the key of an installed power band
+ * @param {string} min - Lower bound in kWc, excluded (0 for the first band)
+ * @param {string} max - Upper bound in kWc, included
+ * @returns {string} - Band key (i.e. "3-9")
+ */
+function getPowerBand(min, max) {
+  const band = `${Number(min)}-${Number(max)}`;
+  const match = band.match(POWER_BAND_REGEX);
+  if (!match || Number(match[1]) >= Number(match[2])) {
+    throw new Error(
+      `Invalid installed power band '${min}' → '${max}': expected kWc bounds, lower than upper`,
+    );
+  }
+  return band;
+}
+
+/**
+ * Finds the band of an installed power among the bands of a feed-in contract
+ * @param {Array} bands - Band keys (i.e. the keys of a feed-in contract)
+ * @param {number} installedPower - Installed power in kWc
+ * @returns {string|null} - Band key, or null when no band holds the installed power
+ */
+function findPowerBand(bands, installedPower) {
+  return (
+    bands.find((band) => {
+      const match = band.match(POWER_BAND_REGEX);
+      return (
+        match &&
+        installedPower > Number(match[1]) &&
+        installedPower <= Number(match[2])
+      );
+    }) || null
+  );
+}
+
+/**
+ * Creates a converter reading the EDF OA (obligation d'achat) feed-in tariff grid: one row per quarter of request
+ * and installed power band (DATE_DEBUT;DATE_FIN;PUISSANCE_MIN;PUISSANCE_MAX;<tariff columns>). A tariff applies to
+ * the installations whose connection request falls in the quarter, for the whole length of their contract.
+ * @param {string} dir - Contract directory holding the CSV file
+ * @param {Object} descriptor - Converter descriptor
+ * @param {string} descriptor.file - CSV file or XLSX workbook name
+ * @param {string} descriptor.contract - Value of the `contract` field of the generated prices
+ * @param {string} descriptor.column - Tariff column (i.e. TARIF_SURPLUS)
+ * @param {number} descriptor.contractYears - Length of the purchase contracts, in years
+ * @param {Object} descriptor.units - Source units, see convertPrice
+ * @returns {Function} - Function returning production prices grouped by installed power band
+ */
+function createFeedInConverter(dir, descriptor) {
+  const { file, contract, column, contractYears, units } = descriptor;
+
+  return function convertFeedIn() {
+    try {
+      const filePath = path.join(dir, file);
+      const { headers, rows, rowNumbers } = readTable(filePath);
+      const trace = createSourceTracer(filePath);
+
+      const dateDebutIndex = headers.indexOf("DATE_DEBUT");
+      const dateFinIndex = headers.indexOf("DATE_FIN");
+      const minIndex = headers.indexOf("PUISSANCE_MIN");
+      const maxIndex = headers.indexOf("PUISSANCE_MAX");
+      const tariffIndex = headers.indexOf(column);
+      if (
+        [
+          dateDebutIndex,
+          dateFinIndex,
+          minIndex,
+          maxIndex,
+          tariffIndex,
+        ].includes(-1)
+      ) {
+        throw new Error("Required columns not found in CSV");
+      }
+
+      const result = {};
+      for (const [rowIndex, columns] of rows.entries()) {
+        const startDate = columns[dateDebutIndex];
+        const endDate = columns[dateFinIndex];
+        const tariff = columns[tariffIndex];
+        // Bands without a tariff in this column (i.e. no surplus resale above 100 kWc)
+        if (!startDate || !tariff) continue;
+
+        const band = getPowerBand(columns[minIndex], columns[maxIndex]);
+        if (!result[band]) {
+          result[band] = [];
+        }
+        result[band].push({
+          contract,
+          price_type: "production",
+          currency: "euro",
+          start_date: convertToIsoDate(startDate),
+          end_date: endDate ? convertToIsoDate(endDate) : null,
+          price: convertPrice(parseDecimal(tariff), "production", units),
+          hour_slots: null,
+          day_type: null,
+          contract_years: contractYears,
+          source: trace({ row: rowNumbers[rowIndex] }),
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`Error processing ${file}:`, error.message);
+      throw error;
+    }
+  };
+}
+
+/**
+ * Creates a converter reading the hand-maintained production.json file of a surplus resale offer: installed power
+ * bands mapped to their production prices, valid during their periods like consumption prices
+ * @param {string} dir - Contract directory holding the JSON file
+ * @param {Object} descriptor - Converter descriptor
+ * @param {string} [descriptor.production] - Production prices file name
+ * @param {Object} descriptor.units - Source units, see convertPrice
+ * @returns {Function} - Function returning production prices grouped by installed power band
+ */
+function createProductionConverter(dir, descriptor) {
+  const { production = "production.json", units } = descriptor;
+
+  return function convertProduction() {
+    try {
+      const productionPath = path.join(dir, production);
+      const productionData = JSON.parse(
+        fs.readFileSync(productionPath, "utf-8"),
+      );
+      const trace = createSourceTracer(productionPath);
+
+      const result = {};
+      for (const [band, prices] of Object.entries(productionData)) {
+        if (!POWER_BAND_REGEX.test(band)) {
+          throw new Error(
+            `Invalid installed power band '${band}': expected '<min>-<max>' in kWc`,
+          );
+        }
+        result[band] = convertJsonEntries(prices, units, trace, [band]);
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`Error processing ${production}:`, error.message);
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  getPowerBand,
+  findPowerBand,
+  createFeedInConverter,
+  createProductionConverter,
+};
@@ -0,0 +1,202 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const {
+  getPowerBand,
+  findPowerBand,
+  createProductionConverter,
+} = require("./production");
+const { validateManifest, convertContract } = require("./manifest");
+const { createPriceLookup } = require("./lookup");
+const { createSchemaValidator } = require("./schemas");
+const { checkTimeline } = require("./timeline");
+const { createContractDir } = require("./test-helpers");
+
+const validate = createSchemaValidator();
+
+// Manifest of the EDF OA (obligation d'achat) surplus tariffs, one CSV row per quarter and installed power band
+const oaSurplusManifest = {
+  provider: "edf",
+  offer: "Obligation d'achat solaire - vente en surplus",
+  kind: "feed-in",
+  format: "feed-in",
+  source: "Tarifs_OA_Solaire.csv",
+  contract_years: 20,
+  units: { price: "euro" },
+  production: { column: "TARIF_SURPLUS" },
+};
+
+/**
+ * Converts the EDF OA surplus manifest with the given tariff rows
+ * @param {Object} t - Context of the running test
+ * @param {Array} rows - CSV rows below the header
+ * @returns {Object} - Contracts holding the edf-oa-surplus contract
+ */
+function convertOaSurplus(t, rows) {
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify(oaSurplusManifest),
+    "Tarifs_OA_Solaire.csv": [
+      "DATE_DEBUT;DATE_FIN;PUISSANCE_MIN;PUISSANCE_MAX;TARIF_SURPLUS;TARIF_TOTALITE",
+      ...rows,
+    ].join("\n"),
+  });
+  return { "edf-oa-surplus": convertContract(dir) };
+}
+
+test("getPowerBand and findPowerBand read installed power bands in kWc", () => {
+  assert.strictEqual(getPowerBand("0", "3"), "0-3");
+  assert.strictEqual(getPowerBand("09", "36"), "9-36");
+  assert.throws(() => getPowerBand("9", "3"), /Invalid installed power band/);
+
+  const bands = ["0-3", "3-9", "9-36"];
+  assert.strictEqual(findPowerBand(bands, 3), "0-3");
+  assert.strictEqual(findPowerBand(bands, 6.5), "3-9");
+  assert.strictEqual(findPowerBand(bands, 100), null);
+});
+
+test("the EDF OA manifest groups feed-in tariffs by installed power band", (t) => {
+  const contracts = convertOaSurplus(t, [
+    "01/11/2025;31/01/2026;0;9;0,04;0,0731",
+    "01/11/2025;31/01/2026;9;100;0,04;0,0635",
+    // No surplus resale above 100 kWc
+    "01/11/2025;31/01/2026;100;500;;0,0952",
+    "01/02/2026;;0;9;0,0386;0,0705",
+    "01/02/2026;;9;100;0,0386;0,0613",
+  ]);
+
+  assert.deepStrictEqual(Object.keys(contracts["edf-oa-surplus"]), [
+    "0-9",
+    "9-100",
+  ]);
+  const { source, ...price } = contracts["edf-oa-surplus"]["0-9"][0];
+  assert.deepStrictEqual(price, {
+    contract: "feed-in",
+    kind: "feed-in",
+    price_type: "production",
+    currency: "euro",
+    start_date: "2025-11-01",
+    end_date: "2026-01-31",
+    price: 400,
+    hour_slots: null,
+    day_type: null,
+    contract_years: 20,
+  });
+  // Line 2 of the grid, the header being line 1
+  assert.strictEqual(source.row, 2);
+  assert.strictEqual(validate("contracts.schema.json", contracts), true);
+  assert.deepStrictEqual(checkTimeline(contracts).violations, []);
+});
+
+test("getProductionPrice keeps the tariff of the connection request quarter", (t) => {
+  const contracts = convertOaSurplus(t, [
+    "01/11/2025;31/01/2026;0;9;0,04;0,0731",
+    "01/02/2026;;0;9;0,0386;0,0705",
+  ]);
+  const { getProductionPrice } = createPriceLookup(contracts);
+
+  const priceAt = (datetime, requestDate) =>
+    getProductionPrice("edf-oa-surplus", "0-9", datetime, { requestDate })
+      .price;
+  assert.strictEqual(priceAt("2026-06-01T12:00", "2026-01-15"), 400);
+  assert.strictEqual(priceAt("2026-06-01T12:00", "2026-02-15"), 386);
+  // Energy injected before the request is not bought
+  assert.strictEqual(
+    getProductionPrice("edf-oa-surplus", "0-9", "2025-12-01T12:00", {
+      requestDate: "2026-01-15",
+    }),
+    null,
+  );
+  // The 20-year purchase contract ends on the anniversary of the request
+  assert.strictEqual(priceAt("2046-01-14T12:00", "2026-01-15"), 400);
+  assert.strictEqual(
+    getProductionPrice("edf-oa-surplus", "0-9", "2046-01-15T12:00", {
+      requestDate: "2026-01-15",
+    }),
+    null,
+  );
+  assert.throws(
+    () => getProductionPrice("edf-oa-surplus", "0-9", "2026-06-01T12:00"),
+    /the requestDate option is required/,
+  );
+  assert.throws(
+    () =>
+      getProductionPrice("edf-oa-surplus", "36-100", "2026-06-01T12:00", {
+        requestDate: "2026-01-15",
+      }),
+    /Installed power band 36-100 has no production price/,
+  );
+});
+
+test("createProductionConverter reads surplus resale offers valid by period", (t) => {
+  const dir = createContractDir(t, {
+    "production.json": JSON.stringify({
+      "0-9": [
+        {
+          contract: "feed-in",
+          kind: "feed-in",
+          price_type: "production",
+          currency: "euro",
+          start_date: "2025-01-01",
+          end_date: "2025-12-31",
+          price: 0.1,
+          hour_slots: null,
+          day_type: null,
+        },
+        {
+          contract: "feed-in",
+          kind: "feed-in",
+          price_type: "production",
+          currency: "euro",
+          start_date: "2026-01-01",
+          end_date: null,
+          price: 0.08,
+          hour_slots: null,
+          day_type: null,
+        },
+      ],
+    }),
+  });
+  const contracts = {
+    "test-surplus": createProductionConverter(dir, {
+      units: { price: "euro" },
+    })(),
+  };
+
+  assert.strictEqual(validate("contracts.schema.json", contracts), true);
+  const { getProductionPrice } = createPriceLookup(contracts);
+  assert.strictEqual(
+    getProductionPrice("test-surplus", "0-9", "2025-07-01T12:00").price,
+    1000,
+  );
+  assert.strictEqual(
+    getProductionPrice("test-surplus", "0-9", "2026-07-01T12:00").price,
+    800,
+  );
+});
+
+test("validateManifest requires the feed-in kind and tariff column", () => {
+  const feedInManifest = {
+    provider: "edf",
+    offer: "Obligation d'achat solaire",
+    kind: "feed-in",
+    format: "feed-in",
+    source: "Tarifs_OA_Solaire.csv",
+    contract_years: 20,
+    units: { price: "euro" },
+    production: { column: "TARIF_SURPLUS" },
+  };
+
+  assert.strictEqual(validateManifest(feedInManifest), true);
+  assert.throws(
+    () => validateManifest({ ...feedInManifest, kind: "base" }),
+    /must declare the 'feed-in' kind/,
+  );
+  assert.throws(
+    () => validateManifest({ ...feedInManifest, production: undefined }),
+    /must declare a 'production.column'/,
+  );
+  assert.throws(
+    () => validateManifest({ ...feedInManifest, contract_years: 0 }),
+    /Invalid contract_years/,
+  );
+});
@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Source paths are given relative to the repository, so that they read the same in every build
+const ROOT_DIR = path.join(__dirname, "..");
+
+/**
+ * Computes the SHA-256 checksum of a file
+ * @param {string} filePath - Path of the file
+ * @returns {string} - Hexadecimal checksum
+ */
+function hashFile(filePath) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
+
+/**
+ * Gives the path of a source file as written in the provenance of prices and in the build manifest
+ * @param {string} filePath - Path of the file
+ * @returns {string} - Path relative to the repository with forward slashes, file name only for files outside of it
+ * (i.e. day-ahead prices given to the build), which would otherwise expose the filesystem of the builder
+ */
+function getSourcePath(filePath) {
+  const relativePath = path.relative(ROOT_DIR, path.resolve(filePath));
+  if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+    return path.basename(filePath);
+  }
+  return relativePath.split(path.sep).join("/");
+}
+
+/**
+ * Creates the function giving the provenance of the prices read from a source file. The checksum of the file is only
+ * given once, by the build manifest, to keep contracts.json small
+ * @param {string} filePath - Path of the source file
+ * @returns {Function} - trace(location) returning the `source` field of a price: { file, row | pointer }, where
+ * location is { row } (row number of a CSV or XLSX table, the header row being 1) or { pointer } (JSON pointer of a
+ * JSON entry)
+ */
+function createSourceTracer(filePath) {
+  const file = getSourcePath(filePath);
+  return (location) => ({ file, ...location });
+}
+
+/**
+ * Gives the JSON pointer of a value, escaping its reference tokens
+ * @param {...(string|number)} tokens - Keys and indexes from the document root
+ * @returns {string} - JSON pointer (i.e. "/6/0")
+ */
+function toJsonPointer(...tokens) {
+  return tokens
+    .map(
+      (token) => `/${String(token).replace(/~/g, "~0").replace(/\//g, "~1")}`,
+    )
+    .join("");
+}
+
+/**
+ * Recursively lists the files of a directory, hidden files excluded
+ * @param {string} dir - Directory
+ * @param {Array} results - Array to store results
+ * @returns {Array} - File paths, sorted
+ */
+function listFiles(dir, results = []) {
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (file.startsWith(".")) continue;
+    const filePath = path.join(dir, file);
+    if (fs.statSync(filePath).isDirectory()) {
+      listFiles(filePath, results);
+    } else {
+      results.push(filePath);
+    }
+  }
+  return results;
+}
+
+/**
+ * Describes the inputs and outputs of a build with their checksums, so that any released price can be traced back to
+ * the files it was built from
+ * @param {Array} inputs - Paths of the files read by the build
+ * @param {Array} outputs - Paths of the files written by the build
+ * @returns {Object} - { inputs, outputs } lists of { file, bytes, sha256 }, sorted by file
+ */
+function createBuildManifest(inputs, outputs) {
+  /**
+   * Describes the files of a list
+   * @param {Array} files - File paths
+   * @returns {Array} - { file, bytes, sha256 } sorted by file, duplicates removed
+   */
+  const describe = (files) =>
+    [...new Set(files.map((filePath) => path.resolve(filePath)))]
+      .map((filePath) => ({
+        file: getSourcePath(filePath),
+        bytes: fs.statSync(filePath).size,
+        sha256: hashFile(filePath),
+      }))
+      .sort((a, b) => (a.file < b.file ? -1 : 1));
+
+  return { inputs: describe(inputs), outputs: describe(outputs) };
+}
+
+module.exports = {
+  hashFile,
+  getSourcePath,
+  createSourceTracer,
+  toJsonPointer,
+  listFiles,
+  createBuildManifest,
+};
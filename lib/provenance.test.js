@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  hashFile,
+  getSourcePath,
+  createSourceTracer,
+  toJsonPointer,
+  createBuildManifest,
+} = require("./provenance");
+const { createTempDir } = require("./test-helpers");
+
+const EDF_BASE_CSV = path.join(
+  __dirname,
+  "..",
+  "contracts",
+  "edf",
+  "base",
+  "Option_Base.csv",
+);
+
+test("createSourceTracer gives the file relative to the repository", () => {
+  const trace = createSourceTracer(EDF_BASE_CSV);
+
+  assert.deepStrictEqual(trace({ row: 2 }), {
+    file: "contracts/edf/base/Option_Base.csv",
+    row: 2,
+  });
+  assert.match(hashFile(EDF_BASE_CSV), /^[0-9a-f]{64}$/);
+
+  // Files given to the build from elsewhere only give their name
+  const outside = path.join(os.tmpdir(), "Day_Ahead_FR.csv");
+  assert.strictEqual(getSourcePath(outside), "Day_Ahead_FR.csv");
+});
+
+test("toJsonPointer escapes the reference tokens", () => {
+  assert.strictEqual(toJsonPointer("6", 0), "/6/0");
+  assert.strictEqual(toJsonPointer("a/b", "c~d"), "/a~1b/c~0d");
+});
+
+test("createBuildManifest lists the files once with their size and checksum", (t) => {
+  const dir = createTempDir(t);
+  const output = path.join(dir, "contracts.json");
+  fs.writeFileSync(output, "{}");
+
+  const manifest = createBuildManifest([EDF_BASE_CSV, EDF_BASE_CSV], [output]);
+
+  assert.deepStrictEqual(
+    manifest.inputs.map(({ file }) => file),
+    ["contracts/edf/base/Option_Base.csv"],
+  );
+  assert.deepStrictEqual(manifest.outputs, [
+    {
+      file: "contracts.json",
+      bytes: 2,
+      sha256:
+        "44136fa355b3678a1146ad16f7e8649e94fb4fc21fe77e8310c060f61caaff8a",
+    },
+  ]);
+});
@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv2020 = require("ajv/dist/2020");
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "schemas");
+
+/**
+ * Loads every JSON Schema of the schemas directory
+ * @returns {Ajv2020} - Ajv instance with all schemas registered under their file name
+ */
+function loadSchemas() {
+  const ajv = new Ajv2020({ allErrors: true });
+
+  for (const file of fs.readdirSync(SCHEMAS_DIR)) {
+    if (!file.endsWith(".schema.json")) continue;
+
+    ajv.addSchema(
+      JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), "utf-8")),
+    );
+  }
+
+  return ajv;
+}
+
+/**
+ * Formats Ajv errors as a readable message
+ * @param {Array} errors - Ajv validation errors
+ * @param {number} [max] - Maximum number of errors to include
+ * @returns {string} - One line per error
+ */
+function formatErrors(errors, max = 10) {
+  const lines = errors
+    .slice(0, max)
+    .map((error) => `${error.instancePath || "/"} ${error.message}`);
+  if (errors.length > max) {
+    lines.push(`... and ${errors.length - max} more errors`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Creates a validator for the published schemas
+ * @returns {Function} - validate(schemaFile, data, label) returning true or throwing the validation errors
+ */
+function createSchemaValidator() {
+  const ajv = loadSchemas();
+
+  return function validate(schemaFile, data, label = schemaFile) {
+    const validateSchema = ajv.getSchema(schemaFile);
+    if (!validateSchema) {
+      throw new Error(`Unknown schema '${schemaFile}'`);
+    }
+
+    if (!validateSchema(data)) {
+      throw new Error(
+        `${label} does not match ${schemaFile}:\n${formatErrors(validateSchema.errors)}`,
+      );
+    }
+
+    return true;
+  };
+}
+
+module.exports = {
+  SCHEMAS_DIR,
+  createSchemaValidator,
+};
@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSchemaValidator } = require("./schemas");
+
+const validate = createSchemaValidator();
+
+const subscription = {
+  contract: "peak-off-peak",
+  price_type: "subscription",
+  currency: "euro",
+  start_date: "2025-02-01",
+  end_date: null,
+  price: 155200,
+  hour_slots: null,
+  day_type: null,
+};
+
+test("subscription.schema.json accepts subscription prices per power", () => {
+  assert.strictEqual(
+    validate("subscription.schema.json", { 6: [subscription] }),
+    true,
+  );
+});
+
+test("price.schema.json rejects subscription prices with hour slots", () => {
+  assert.throws(
+    () =>
+      validate("price.schema.json", {
+        ...subscription,
+        hour_slots: "TO_REPLACE_PEAK",
+      }),
+    /hour_slots must be equal to constant/,
+  );
+});
+
+test("contract.schema.json rejects peak-off-peak prices without placeholder", () => {
+  assert.throws(
+    () =>
+      validate("contract.schema.json", [
+        { ...subscription, price_type: "consumption", price: 1696 },
+      ]),
+    /hour_slots must be string/,
+  );
+});
+
+test("price.schema.json accepts peak-off-peak prices with the slots of a schedule", () => {
+  assert.strictEqual(
+    validate("price.schema.json", {
+      ...subscription,
+      price_type: "consumption",
+      price: 1696,
+      hour_slots: "00:00,00:30,23:00,23:30",
+    }),
+    true,
+  );
+});
+
+test("price.schema.json requires the day start of tempo prices", () => {
+  const tempo = {
+    ...subscription,
+    contract: "edf-tempo",
+    price_type: "consumption",
+    price: 1288,
+    hour_slots: "00:00,22:00",
+    day_type: "blue",
+  };
+
+  assert.strictEqual(
+    validate("price.schema.json", { ...tempo, day_start: "06:00" }),
+    true,
+  );
+  assert.throws(
+    () => validate("price.schema.json", tempo),
+    /must have required property 'day_start'/,
+  );
+});
+
+test("price schemas only accept half-hour slots", () => {
+  const tempo = {
+    ...subscription,
+    contract: "edf-tempo",
+    price_type: "consumption",
+    price: 1288,
+    hour_slots: "00:00,10:15",
+    day_type: "blue",
+    day_start: "06:00",
+  };
+
+  assert.throws(
+    () => validate("price.schema.json", tempo),
+    /hour_slots must match pattern/,
+  );
+  assert.throws(
+    () =>
+      validate("price.v2.schema.json", {
+        ...tempo,
+        hour_slots: {
+          granularity: 30,
+          ranges: [{ start: "22:00", end: "06:15" }],
+        },
+      }),
+    /end must match pattern/,
+  );
+});
+
+test("price.schema.json pairs the contract kind with its contract", () => {
+  assert.strictEqual(
+    validate("price.schema.json", { ...subscription, kind: "peak-off-peak" }),
+    true,
+  );
+  assert.strictEqual(
+    validate("price.schema.json", {
+      ...subscription,
+      contract: "edf-tempo",
+      kind: "tempo",
+    }),
+    true,
+  );
+  assert.throws(
+    () => validate("price.schema.json", { ...subscription, kind: "base" }),
+    /kind must be equal to constant/,
+  );
+  assert.throws(
+    () =>
+      validate("contracts.schema.json", { "edf-base": { 6: [subscription] } }),
+    /must have required property 'kind'/,
+  );
+});
+
+test("metadata.schema.json requires display names in French and English", () => {
+  const metadata = {
+    name: { fr: "Tarif Bleu EDF – Option Base", en: "EDF Blue Tariff" },
+    provider: { name: "EDF", url: "https://www.edf.fr" },
+    green: false,
+    regulated: true,
+    price_lock_end_date: null,
+  };
+
+  assert.strictEqual(validate("metadata.schema.json", metadata), true);
+  assert.strictEqual(
+    validate("metadata.schema.json", {
+      ...metadata,
+      regulated: false,
+      price_lock_end_date: "2027-11-30",
+    }),
+    true,
+  );
+  assert.throws(
+    () =>
+      validate("metadata.schema.json", { ...metadata, name: { fr: "Base" } }),
+    /must have required property 'en'/,
+  );
+  assert.throws(
+    () =>
+      validate("metadata.schema.json", {
+        ...metadata,
+        offer_url: "www.edf.fr",
+      }),
+    /offer_url must match pattern/,
+  );
+});
@@ -0,0 +1,315 @@
+const {
+  LOCAL_DATETIME_REGEX,
+  createPriceLookup,
+  toLocalDateTime,
+  fromLocalDateTime,
+} = require("./lookup");
+
+const ENERGY_UNITS = ["W", "Wh", "kWh"];
+
+/**
+ * Parses a number that may use a comma as decimal separator
+ * @param {string|number} value - Value to parse
+ * @returns {number} - Parsed number (NaN if invalid)
+ */
+function parseNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string" || value.trim() === "") return NaN;
+  return Number(value.trim().replace(",", "."));
+}
+
+/**
+ * Reads the raw [datetime, value] pairs of a CSV load curve. Lines that are not a datetime
+ * followed by a number (headers, Enedis metadata lines) are ignored.
+ * @param {string} content - CSV content, separated by ';' or ','
+ * @returns {Array} - Array of [datetime string, value string] pairs
+ */
+function readCsvPairs(content) {
+  const pairs = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const separator = line.includes(";") ? ";" : ",";
+    const [datetime, value] = line.split(separator);
+    if (
+      !Number.isNaN(Date.parse(datetime)) &&
+      !Number.isNaN(parseNumber(value))
+    ) {
+      pairs.push([datetime, value]);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Reads the datetime of a load curve point. Datetimes without offset (i.e. "2025-01-31 23:30:00") are local times
+ * of the time zone of the contract prices, not of the machine running the simulation
+ * @param {string|number|Date} datetime - Datetime of the point
+ * @param {string} [timeZone] - Time zone of the contract prices
+ * @returns {Date} - Instant (invalid date if the datetime is not one)
+ */
+function parsePointDate(datetime, timeZone) {
+  if (typeof datetime === "string" && LOCAL_DATETIME_REGEX.test(datetime)) {
+    return fromLocalDateTime(datetime, timeZone);
+  }
+  return new Date(datetime);
+}
+
+/**
+ * Gives the interval of a load curve: the most common step between its points, so that missing or duplicated
+ * readings do not change it
+ * @param {Array} points - Points { date }, sorted by date
+ * @returns {number} - Interval in minutes, the shortest of the most common steps, 30 for fewer than two points
+ */
+function getMostCommonInterval(points) {
+  const counts = new Map();
+  for (let i = 1; i < points.length; i++) {
+    const step = (points[i].date - points[i - 1].date) / 60000;
+    if (step > 0) counts.set(step, (counts.get(step) || 0) + 1);
+  }
+  if (counts.size === 0) return 30;
+
+  const [interval] = [...counts].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+  return interval;
+}
+
+/**
+ * Parses a consumption load curve (i.e. an Enedis / Linky export)
+ * @param {string|Array} content - CSV content (datetime;value lines) or JSON: array of
+ * { datetime, value } objects or [datetime, value] pairs, as an array or a JSON string
+ * @param {Object} [options] - Options
+ * @param {string} [options.format] - "csv" or "json" (guessed from the content if omitted)
+ * @param {string} [options.unit] - "W" (average power over the interval), "Wh" or "kWh" (energy). Defaults to "Wh"
+ * @param {number} [options.intervalMinutes] - Interval between points, the most common step between them if omitted
+ * @param {string} [options.timestamp] - "start" or "end": whether a timestamp marks the start or the end of its
+ * interval (Enedis load curves use "end"). Defaults to "start"
+ * @param {string} [options.timeZone] - Time zone of the datetimes without offset (defaults to Europe/Paris)
+ * @returns {Array} - Points { start: Date, wh } sorted by start, energy in Wh. kWh and W readings are rounded to the
+ * nearest Wh, Wh readings are kept as given
+ */
+function parseLoadCurve(content, options = {}) {
+  const { unit = "Wh", timestamp = "start", timeZone } = options;
+  if (!ENERGY_UNITS.includes(unit)) {
+    throw new Error(
+      `Invalid load curve unit: expected one of '${ENERGY_UNITS.join("', '")}', got '${unit}'`,
+    );
+  }
+
+  const format =
+    options.format ||
+    (Array.isArray(content) || /^\s*[[{]/.test(content) ? "json" : "csv");
+
+  let pairs;
+  if (format === "csv") {
+    pairs = readCsvPairs(content);
+  } else {
+    const data = typeof content === "string" ? JSON.parse(content) : content;
+    pairs = data.map((point) =>
+      Array.isArray(point) ? point : [point.datetime, point.value],
+    );
+  }
+
+  const points = pairs
+    .map(([datetime, value]) => {
+      const date = parsePointDate(datetime, timeZone);
+      const number = parseNumber(value);
+      if (Number.isNaN(date.getTime()) || Number.isNaN(number)) {
+        throw new Error(`Invalid load curve point '${datetime}': '${value}'`);
+      }
+      return { date, value: number };
+    })
+    .sort((a, b) => a.date - b.date);
+
+  const intervalMinutes =
+    options.intervalMinutes || getMostCommonInterval(points);
+  const intervalMs = intervalMinutes * 60000;
+
+  return points.map(({ date, value }) => {
+    let wh = value;
+    if (unit === "kWh") {
+      wh = Math.round(value * 1000);
+    } else if (unit === "W") {
+      wh = Math.round((value * intervalMinutes) / 60);
+    }
+
+    return {
+      start:
+        timestamp === "end" ? new Date(date.getTime() - intervalMs) : date,
+      wh,
+    };
+  });
+}
+
+/**
+ * Gives the number of days of a month
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {number} - Number of days
+ */
+function daysInMonth(month) {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+}
+
+/**
+ * Simulates the bill of a contract for a consumption load curve.
+ * Amounts use the integer price units of contracts.json (euros multiplied by 10000): consumption costs
+ * are accumulated exactly and only rounded once per month and slot.
+ * @param {Object} contracts - Contract keys mapped to prices grouped by subscribed power
+ * @param {Object} options - Options
+ * @param {string} options.contractKey - Contract key (i.e. "edf-tempo")
+ * @param {string|number} options.power - Subscribed power in kVA, or consumption band for gas ("B0", "B1", "B2I")
+ * @param {Array} options.loadCurve - Points { start: Date, wh } as returned by parseLoadCurve
+ * @param {Array} [options.offPeakHours] - Off-peak schedule for TO_REPLACE placeholders: [{ start: "22:00", end: "06:00" }]
+ * @param {Object|Function} [options.dayTypes] - Tempo / EJP day type of each date: object mapping ISO dates to day types, or
+ * function (date) => day type.
+ * Slots before the day_start of the prices (tempo: 00:00 to 06:00) take the colour of the previous date
+ * @param {string} [options.timeZone] - Time zone of the contract prices (defaults to Europe/Paris)
+ * @param {number} [options.zone] - Gas tariff zone (1 to 6), required for gas prices
+ * @param {Object} [options.production] - Energy injected by a solar installation, paid back by a feed-in contract and
+ * netted against the bill: { contractKey, band, loadCurve, requestDate? }, see getProductionPrice
+ * @returns {Object} - { months, totals } with per-month subscription, consumption per slot / day type, production
+ * when given, and totals
+ */
+function simulateBill(contracts, options) {
+  const {
+    contractKey,
+    power,
+    loadCurve,
+    offPeakHours,
+    dayTypes = {},
+    timeZone,
+    zone,
+    production,
+  } = options;
+  // Tempo colours and EJP days are resolved by the lookup, which knows the day an early morning slot belongs to
+  const { getPrice, getProductionPrice } = createPriceLookup(contracts, {
+    tempoCalendar: dayTypes,
+    ejpCalendar: dayTypes,
+  });
+
+  const months = new Map();
+  const getMonth = (month) => {
+    if (!months.has(month)) {
+      months.set(month, {
+        energyWh: 0,
+        // Sum of the monthly subscription price of every covered day
+        subscriptionDays: 0,
+        days: new Set(),
+        slots: new Map(),
+        productionWh: 0,
+        productionRevenue: 0,
+      });
+    }
+    return months.get(month);
+  };
+
+  for (const point of loadCurve) {
+    const { date } = toLocalDateTime(point.start, timeZone);
+    const prices = getPrice(contractKey, power, point.start, {
+      offPeakHours,
+      timeZone,
+      zone,
+    });
+    if (!prices || !prices.consumption) {
+      throw new Error(
+        `No price for contract '${contractKey}' at ${point.start.toISOString()}`,
+      );
+    }
+
+    const month = getMonth(date.slice(0, 7));
+    month.energyWh += point.wh;
+
+    if (!month.days.has(date)) {
+      month.days.add(date);
+      month.subscriptionDays += prices.subscription.price;
+    }
+
+    const { hour_slots, day_type } = prices.consumption;
+    const slotKey = `${hour_slots}|${day_type}`;
+    if (!month.slots.has(slotKey)) {
+      month.slots.set(slotKey, { hour_slots, day_type, energyWh: 0, cost: 0 });
+    }
+    const slot = month.slots.get(slotKey);
+    slot.energyWh += point.wh;
+    // price is per kWh: price × Wh is the cost in thousandths of price units
+    slot.cost += prices.consumption.price * point.wh;
+  }
+
+  for (const point of production ? production.loadCurve : []) {
+    const { date } = toLocalDateTime(point.start, timeZone);
+    const price = getProductionPrice(
+      production.contractKey,
+      production.band,
+      point.start,
+      { requestDate: production.requestDate, timeZone },
+    );
+    if (!price) {
+      throw new Error(
+        `No production price for contract '${production.contractKey}' at ${point.start.toISOString()}`,
+      );
+    }
+
+    const month = getMonth(date.slice(0, 7));
+    month.productionWh += point.wh;
+    month.productionRevenue += price.price * point.wh;
+  }
+
+  const totals = {
+    energy_wh: 0,
+    subscription: 0,
+    consumption: 0,
+    ...(production ? { production_wh: 0, production: 0 } : {}),
+    total: 0,
+  };
+  const result = [...months.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, data]) => {
+      const slots = [...data.slots.values()].map((slot) => ({
+        hour_slots: slot.hour_slots,
+        day_type: slot.day_type,
+        energy_wh: slot.energyWh,
+        cost: Math.round(slot.cost / 1000),
+      }));
+      const subscription = Math.round(
+        data.subscriptionDays / daysInMonth(month),
+      );
+      const consumption = slots.reduce((sum, slot) => sum + slot.cost, 0);
+
+      // Injected energy is paid back: its revenue comes off the bill
+      const revenue = Math.round(data.productionRevenue / 1000);
+      const total = subscription + consumption - revenue;
+
+      totals.energy_wh += data.energyWh;
+      totals.subscription += subscription;
+      totals.consumption += consumption;
+      if (production) {
+        totals.production_wh += data.productionWh;
+        totals.production += revenue;
+      }
+      totals.total += total;
+
+      return {
+        month,
+        days: data.days.size,
+        energy_wh: data.energyWh,
+        subscription,
+        consumption: { total: consumption, slots },
+        ...(production
+          ? {
+              production: { energy_wh: data.productionWh, revenue },
+            }
+          : {}),
+        total,
+      };
+    });
+
+  return { months: result, totals };
+}
+
+module.exports = {
+  parseLoadCurve,
+  simulateBill,
+};
@@ -0,0 +1,226 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseLoadCurve, simulateBill } = require("./simulate");
+
+/**
+ * Builds a price object valid from 2025-01-01
+ * @param {string} price_type - "consumption" or "subscription"
+ * @param {number} price - Integer price
+ * @param {string|null} hour_slots - Hour slots
+ * @returns {Object} - Price object
+ */
+function price(price_type, price, hour_slots = null) {
+  return {
+    contract: "peak-off-peak",
+    price_type,
+    currency: "euro",
+    start_date: "2025-01-01",
+    end_date: null,
+    price,
+    hour_slots,
+    day_type: null,
+  };
+}
+
+const contracts = {
+  "test-peak-off-peak": {
+    6: [
+      price("consumption", 1696, "TO_REPLACE_OFF_PEAK"),
+      price("consumption", 2146, "TO_REPLACE_PEAK"),
+      price("subscription", 155000),
+    ],
+  },
+};
+
+test("parseLoadCurve reads Enedis CSV exports in average power", () => {
+  const csv = [
+    "Identifiant PRM;Type de donnees;Date de debut;Date de fin;Grandeur physique;Grandeur metier;Etape metier;Unite",
+    "12345678901234;Courbe de charge;2025-01-31;2025-02-01;Energie active;Consommation;Comptage Brut;W",
+    "Horodate;Valeur",
+    "2025-01-31T23:30:00+01:00;1201",
+    "2025-02-01T00:00:00+01:00;800",
+  ].join("\n");
+
+  const points = parseLoadCurve(csv, { unit: "W", timestamp: "end" });
+
+  assert.deepStrictEqual(
+    points.map((point) => [point.start.toISOString(), point.wh]),
+    [
+      ["2025-01-31T22:00:00.000Z", 601],
+      ["2025-01-31T22:30:00.000Z", 400],
+    ],
+  );
+});
+
+test("parseLoadCurve takes the most common step as the interval", () => {
+  // The 00:30 reading is missing: the first step is one hour
+  const points = parseLoadCurve(
+    [
+      ["2025-02-01T00:00:00Z", 1000],
+      ["2025-02-01T01:00:00Z", 1000],
+      ["2025-02-01T01:30:00Z", 1000],
+      ["2025-02-01T02:00:00Z", 1000],
+    ],
+    { unit: "W", timestamp: "end" },
+  );
+
+  assert.deepStrictEqual(
+    points.map((point) => [point.start.toISOString(), point.wh]),
+    [
+      ["2025-01-31T23:30:00.000Z", 500],
+      ["2025-02-01T00:30:00.000Z", 500],
+      ["2025-02-01T01:00:00.000Z", 500],
+      ["2025-02-01T01:30:00.000Z", 500],
+    ],
+  );
+});
+
+test("parseLoadCurve reads datetimes without offset in Paris time on any machine", (t) => {
+  // As on a CI runner
+  const machineTimeZone = process.env.TZ;
+  process.env.TZ = "UTC";
+  t.after(() => {
+    if (machineTimeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = machineTimeZone;
+  });
+
+  const points = parseLoadCurve(
+    [
+      "Horodate;Valeur",
+      "2025-01-31 23:30:00;1200",
+      "2025-07-01T12:00;800",
+      // Second occurrence of 02:30 when clocks go back
+      "2025-10-26T02:30:00;400",
+    ].join("\n"),
+    { unit: "W", timestamp: "end", intervalMinutes: 30 },
+  );
+
+  assert.deepStrictEqual(
+    points.map((point) => [point.start.toISOString(), point.wh]),
+    [
+      ["2025-01-31T22:00:00.000Z", 600],
+      ["2025-07-01T09:30:00.000Z", 400],
+      ["2025-10-26T01:00:00.000Z", 200],
+    ],
+  );
+  assert.strictEqual(
+    parseLoadCurve([["2025-07-01T12:00", 1]], {
+      timeZone: "America/New_York",
+    })[0].start.toISOString(),
+    "2025-07-01T16:00:00.000Z",
+  );
+});
+
+test("parseLoadCurve reads JSON points in kWh", () => {
+  const points = parseLoadCurve(
+    JSON.stringify([{ datetime: "2025-01-01T00:00:00Z", value: 0.25 }]),
+    { unit: "kWh" },
+  );
+
+  assert.strictEqual(points[0].wh, 250);
+});
+
+test("simulateBill splits costs per month and slot with prorated subscriptions", () => {
+  const loadCurve = parseLoadCurve(
+    [
+      // Off-peak on January 31st and peak on February 1st (Paris time)
+      ["2025-01-31T22:00:00Z", 1000],
+      ["2025-01-31T23:00:00Z", 3000],
+      ["2025-02-01T12:00:00Z", 2000],
+    ],
+    { unit: "Wh", intervalMinutes: 60 },
+  );
+
+  const { months, totals } = simulateBill(contracts, {
+    contractKey: "test-peak-off-peak",
+    power: 6,
+    loadCurve,
+    offPeakHours: [{ start: "22:00", end: "06:00" }],
+  });
+
+  assert.deepStrictEqual(months[0], {
+    month: "2025-01",
+    days: 1,
+    energy_wh: 1000,
+    // One day out of 31
+    subscription: 5000,
+    consumption: {
+      total: 1696,
+      slots: [
+        {
+          hour_slots: "TO_REPLACE_OFF_PEAK",
+          day_type: null,
+          energy_wh: 1000,
+          cost: 1696,
+        },
+      ],
+    },
+    total: 6696,
+  });
+  assert.deepStrictEqual(
+    months[1].consumption.slots.map((slot) => [slot.hour_slots, slot.cost]),
+    [
+      ["TO_REPLACE_OFF_PEAK", 5088],
+      ["TO_REPLACE_PEAK", 4292],
+    ],
+  );
+  assert.strictEqual(months[1].subscription, Math.round(155000 / 28));
+  assert.strictEqual(totals.energy_wh, 6000);
+  assert.strictEqual(
+    totals.total,
+    totals.subscription + totals.consumption,
+  );
+});
+
+test("simulateBill fails when the load curve is outside of the contract periods", () => {
+  assert.throws(
+    () =>
+      simulateBill(contracts, {
+        contractKey: "test-peak-off-peak",
+        power: 6,
+        loadCurve: [{ start: new Date("2024-06-01T12:00:00Z"), wh: 100 }],
+        offPeakHours: [{ start: "22:00", end: "06:00" }],
+      }),
+    /No price for contract 'test-peak-off-peak'/,
+  );
+});
+
+test("simulateBill nets the production bought back against the bill", () => {
+  const production = {
+    contract: "feed-in",
+    price_type: "production",
+    currency: "euro",
+    start_date: "2025-01-01",
+    end_date: null,
+    price: 400,
+    hour_slots: null,
+    day_type: null,
+  };
+
+  const { months, totals } = simulateBill(
+    { ...contracts, "test-surplus": { "0-9": [production] } },
+    {
+      contractKey: "test-peak-off-peak",
+      power: 6,
+      loadCurve: [{ start: new Date("2025-01-31T22:00:00Z"), wh: 1000 }],
+      offPeakHours: [{ start: "22:00", end: "06:00" }],
+      production: {
+        contractKey: "test-surplus",
+        band: "0-9",
+        loadCurve: [
+          { start: new Date("2025-01-15T11:00:00Z"), wh: 2500 },
+          { start: new Date("2025-01-15T12:00:00Z"), wh: 1500 },
+        ],
+      },
+    },
+  );
+
+  assert.deepStrictEqual(months[0].production, {
+    energy_wh: 4000,
+    revenue: 1600,
+  });
+  assert.strictEqual(months[0].total, 5000 + 1696 - 1600);
+  assert.strictEqual(totals.production_wh, 4000);
+  assert.strictEqual(totals.production, 1600);
+  assert.strictEqual(totals.total, 5096);
+});
@@ -0,0 +1,124 @@
+const { toMinutes, formatMinutes } = require("./lookup");
+
+// Legacy hour_slots strings list half-hour slot starts
+const LEGACY_GRANULARITY = 30;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Legacy placeholders mapped to the references of the structured format
+const PLACEHOLDER_REFS = {
+  TO_REPLACE_PEAK: "peak",
+  TO_REPLACE_OFF_PEAK: "off_peak",
+};
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Parses legacy hour slots into the structured format
+ * @param {string|null} hourSlots - null, comma separated half-hour slot starts (HH:MM) or a TO_REPLACE placeholder
+ * @returns {Object|null} - null (all day), { ref: "peak" | "off_peak" } for placeholders, or
+ * { granularity: 30, ranges: [{ start, end }] } with ranges end excluded, wrapping past midnight when end <= start
+ */
+function parseHourSlots(hourSlots) {
+  if (hourSlots === null) return null;
+
+  if (PLACEHOLDER_REFS[hourSlots]) {
+    return { ref: PLACEHOLDER_REFS[hourSlots] };
+  }
+
+  const starts = [
+    ...new Set(
+      hourSlots.split(",").map((slot) => {
+        const time = slot.trim();
+        if (
+          !TIME_REGEX.test(time) ||
+          toMinutes(time) % LEGACY_GRANULARITY !== 0
+        ) {
+          throw new Error(
+            `Invalid hour slot '${time}': expected a half-hour start (HH:MM)`,
+          );
+        }
+        return toMinutes(time);
+      }),
+    ),
+  ].sort((a, b) => a - b);
+
+  // Merge consecutive slots into ranges
+  const ranges = [];
+  for (const start of starts) {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === start) {
+      last.end = start + LEGACY_GRANULARITY;
+    } else {
+      ranges.push({ start, end: start + LEGACY_GRANULARITY });
+    }
+  }
+
+  // A range running until midnight continues with the one starting at midnight, i.e. 22:00 → 06:00
+  const first = ranges[0];
+  const last = ranges[ranges.length - 1];
+  if (ranges.length > 1 && first.start === 0 && last.end === MINUTES_PER_DAY) {
+    ranges.shift();
+    last.end = first.end;
+  }
+
+  return {
+    granularity: LEGACY_GRANULARITY,
+    ranges: ranges.map(({ start, end }) => ({
+      start: formatMinutes(start),
+      end: formatMinutes(end % MINUTES_PER_DAY),
+    })),
+  };
+}
+
+/**
+ * Serializes structured hour slots into the legacy format
+ * @param {Object|null} slots - Structured hour slots, see parseHourSlots
+ * @returns {string|null} - null, comma separated half-hour slot starts sorted by time, or a TO_REPLACE placeholder
+ */
+function serializeHourSlots(slots) {
+  if (slots === null) return null;
+
+  if (slots.ref) {
+    const placeholder = Object.keys(PLACEHOLDER_REFS).find(
+      (key) => PLACEHOLDER_REFS[key] === slots.ref,
+    );
+    if (!placeholder) {
+      throw new Error(`Unknown hour slots reference '${slots.ref}'`);
+    }
+    return placeholder;
+  }
+
+  if (slots.granularity !== LEGACY_GRANULARITY) {
+    throw new Error(
+      `Hour slots with a ${slots.granularity} minutes granularity have no legacy format`,
+    );
+  }
+
+  const starts = new Set();
+  for (const range of slots.ranges) {
+    const start = toMinutes(range.start);
+    let end = toMinutes(range.end);
+    if (start % LEGACY_GRANULARITY !== 0 || end % LEGACY_GRANULARITY !== 0) {
+      throw new Error(
+        `Hour slots range ${range.start} → ${range.end} is not aligned on ${LEGACY_GRANULARITY} minutes`,
+      );
+    }
+    // Ranges wrap past midnight when they end before they start, an end equal to the start covers the whole day
+    if (end <= start) end += MINUTES_PER_DAY;
+
+    for (let minutes = start; minutes < end; minutes += LEGACY_GRANULARITY) {
+      starts.add(minutes % MINUTES_PER_DAY);
+    }
+  }
+
+  return [...starts]
+    .sort((a, b) => a - b)
+    .map(formatMinutes)
+    .join(",");
+}
+
+module.exports = {
+  LEGACY_GRANULARITY,
+  parseHourSlots,
+  serializeHourSlots,
+};
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseHourSlots, serializeHourSlots } = require("./slots");
+
+const TEMPO_OFF_PEAK =
+  "00:00,00:30,01:00,01:30,02:00,02:30,03:00,03:30,04:00,04:30,05:00,05:30,22:00,22:30,23:00,23:30";
+
+test("parseHourSlots merges half hours into ranges wrapping past midnight", () => {
+  assert.deepStrictEqual(parseHourSlots(TEMPO_OFF_PEAK), {
+    granularity: 30,
+    ranges: [{ start: "22:00", end: "06:00" }],
+  });
+  assert.deepStrictEqual(parseHourSlots("12:00,12:30,02:00,01:30"), {
+    granularity: 30,
+    ranges: [
+      { start: "01:30", end: "02:30" },
+      { start: "12:00", end: "13:00" },
+    ],
+  });
+});
+
+test("parseHourSlots maps placeholders to references", () => {
+  assert.deepStrictEqual(parseHourSlots("TO_REPLACE_OFF_PEAK"), {
+    ref: "off_peak",
+  });
+  assert.deepStrictEqual(parseHourSlots("TO_REPLACE_PEAK"), { ref: "peak" });
+  assert.strictEqual(parseHourSlots(null), null);
+  assert.throws(() => parseHourSlots("06:15"), /Invalid hour slot '06:15'/);
+});
+
+test("serializeHourSlots gives back the legacy strings", () => {
+  for (const hourSlots of [
+    TEMPO_OFF_PEAK,
+    "06:00,06:30,07:00",
+    "TO_REPLACE_PEAK",
+    "TO_REPLACE_OFF_PEAK",
+    null,
+  ]) {
+    assert.strictEqual(
+      serializeHourSlots(parseHourSlots(hourSlots)),
+      hourSlots,
+    );
+  }
+});
+
+test("serializeHourSlots rejects slots the legacy format cannot express", () => {
+  assert.throws(
+    () =>
+      serializeHourSlots({
+        granularity: 15,
+        ranges: [{ start: "22:00", end: "06:00" }],
+      }),
+    /15 minutes granularity have no legacy format/,
+  );
+  assert.throws(
+    () => serializeHourSlots({ ref: "weekend" }),
+    /Unknown hour slots reference 'weekend'/,
+  );
+});
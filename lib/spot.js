@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  convertToIsoDate,
+  toPriceUnits,
+  convertJsonEntries,
+  readCsv,
+} = require("./converters");
+const { createSourceTracer } = require("./provenance");
+
+// Components of a spot-indexed price, in euros per kWh (VAT is a rate)
+const FORMULA_FIELDS = ["margin", "turpe", "accise", "vat"];
+
+/**
+ * Reads an hourly day-ahead price file (DATE;HEURE;PRIX with DD/MM/YYYY or YYYY-MM-DD local dates, HH:00 local
+ * hour starts and prices in euros per MWh). The two 02:00 hours of the autumn time change are averaged.
+ * @param {string} csvPath - Path to the CSV file
+ * @returns {Array} - Hourly prices { date, hour, price, row } sorted by date and hour, price in euros per MWh, row
+ * being the line of the hour in the file (its first line for the autumn hour)
+ */
+function readSpotPrices(csvPath) {
+  const { headers, rows, rowNumbers } = readCsv(csvPath);
+
+  const dateIndex = headers.indexOf("DATE");
+  const hourIndex = headers.indexOf("HEURE");
+  const priceIndex = headers.indexOf("PRIX");
+  if (dateIndex === -1 || hourIndex === -1 || priceIndex === -1) {
+    throw new Error("Required columns not found in CSV");
+  }
+
+  const hours = new Map();
+  for (const [rowIndex, columns] of rows.entries()) {
+    const dateStr = columns[dateIndex].trim();
+    const hour = columns[hourIndex].trim();
+    const price = Number(columns[priceIndex].trim().replace(",", "."));
+
+    const date = dateStr.includes("/") ? convertToIsoDate(dateStr) : dateStr;
+    if (!/^([01]\d|2[0-3]):00$/.test(hour) || Number.isNaN(price)) {
+      throw new Error(
+        `Invalid spot price on ${dateStr} ${hour}: '${columns[priceIndex]}'`,
+      );
+    }
+
+    const key = `${date} ${hour}`;
+    if (!hours.has(key)) {
+      hours.set(key, { date, hour, prices: [], row: rowNumbers[rowIndex] });
+    }
+    hours.get(key).prices.push(price);
+  }
+
+  return [...hours.keys()].sort().map((key) => {
+    const { date, hour, prices, row } = hours.get(key);
+    return {
+      date,
+      hour,
+      price: prices.reduce((sum, price) => sum + price, 0) / prices.length,
+      row,
+    };
+  });
+}
+
+/**
+ * Validates the formula of a spot-indexed offer
+ * @param {Object} formula - { margin, turpe, accise, vat }: euros per kWh, VAT rate (i.e. 0.2)
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateSpotFormula(formula) {
+  if (!formula || typeof formula !== "object") {
+    throw new Error("Spot-indexed offers must declare a 'formula'");
+  }
+  for (const field of FORMULA_FIELDS) {
+    if (typeof formula[field] !== "number" || formula[field] < 0) {
+      throw new Error(
+        `Invalid formula field '${field}': expected a positive number, got '${formula[field]}'`,
+      );
+    }
+  }
+  return true;
+}
+
+/**
+ * Computes the consumption price of an hour: (spot + margin + TURPE + accise) × (1 + VAT)
+ * @param {number} spotPrice - Day-ahead price in euros per MWh
+ * @param {Object} formula - { margin, turpe, accise, vat }
+ * @returns {number} - Integer price per kWh (euros multiplied by 10000), negative when the spot price is deeply negative
+ */
+function computeSpotPrice(spotPrice, formula) {
+  const { margin, turpe, accise, vat } = formula;
+  return toPriceUnits((spotPrice / 1000 + margin + turpe + accise) * (1 + vat));
+}
+
+/**
+ * Computes the consumption price of an hour excluding taxes: spot + margin + TURPE
+ * @param {number} spotPrice - Day-ahead price in euros per MWh
+ * @param {Object} formula - { margin, turpe, accise, vat }
+ * @returns {number} - Integer price per kWh (euros multiplied by 10000)
+ */
+function computeSpotPriceHt(spotPrice, formula) {
+  const { margin, turpe } = formula;
+  return toPriceUnits(spotPrice / 1000 + margin + turpe);
+}
+
+/**
+ * Creates a converter for a spot-indexed offer: one consumption price per hour of the day-ahead price file,
+ * valid that day only, and the subscription prices of a subscription.json file
+ * @param {string} dir - Contract directory holding the subscription file
+ * @param {Object} descriptor - Converter descriptor
+ * @param {string} descriptor.contract - Value of the `contract` field of the generated prices
+ * @param {Object} descriptor.formula - Price formula, see computeSpotPrice
+ * @param {string} [descriptor.spotPrices] - Day-ahead price file given to the build: the repository holds none
+ * @param {string} [descriptor.subscription] - Subscription file name, power mapped to subscription prices
+ * @param {Object} descriptor.units - Units of the subscription file, see convertPrice
+ * @returns {Function} - Function returning prices grouped by subscribed power
+ */
+function createSpotConverter(dir, descriptor) {
+  const {
+    contract,
+    formula,
+    spotPrices,
+    subscription = "subscription.json",
+    units,
+  } = descriptor;
+
+  return function convertSpot() {
+    if (!spotPrices) {
+      throw new Error(
+        "Spot-indexed offers need the day-ahead prices of the build: run it with --spot-prices <file>",
+      );
+    }
+    try {
+      const hours = readSpotPrices(spotPrices);
+      if (hours.length === 0) {
+        throw new Error("No day-ahead prices in the file");
+      }
+
+      const subscriptionPath = path.join(dir, subscription);
+      const subscriptionData = JSON.parse(
+        fs.readFileSync(subscriptionPath, "utf-8"),
+      );
+      const traceSpot = createSourceTracer(spotPrices);
+      const traceSubscription = createSourceTracer(subscriptionPath);
+
+      const consumptionPrices = hours.map(({ date, hour, price, row }) => ({
+        contract,
+        price_type: "consumption",
+        currency: "euro",
+        start_date: date,
+        end_date: date,
+        price: computeSpotPrice(price, formula),
+        price_ht: computeSpotPriceHt(price, formula),
+        hour_slots: `${hour},${hour.slice(0, 2)}:30`,
+        day_type: null,
+        source: traceSpot({ row }),
+      }));
+
+      const result = {};
+      for (const power of Object.keys(subscriptionData)) {
+        result[power] = [
+          ...consumptionPrices,
+          ...convertJsonEntries(
+            subscriptionData[power],
+            units,
+            traceSubscription,
+            [power],
+          ),
+        ];
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`Error processing ${spotPrices}:`, error.message);
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  readSpotPrices,
+  validateSpotFormula,
+  computeSpotPrice,
+  computeSpotPriceHt,
+  createSpotConverter,
+};
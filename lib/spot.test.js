@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const {
+  readSpotPrices,
+  validateSpotFormula,
+  computeSpotPrice,
+  computeSpotPriceHt,
+} = require("./spot");
+const { convertContract } = require("./manifest");
+const { createPriceLookup } = require("./lookup");
+const { createContractDir } = require("./test-helpers");
+
+const formula = { margin: 0.01, turpe: 0.04, accise: 0.03, vat: 0.2 };
+
+test("readSpotPrices sorts the hours and averages the repeated autumn hour", (t) => {
+  const dir = createContractDir(t, {
+    "spot.csv": [
+      "DATE;HEURE;PRIX",
+      "26/10/2025;03:00;40",
+      "2025-10-26;02:00;50,5",
+      "2025-10-26;02:00;-10,5",
+    ].join("\n"),
+  });
+
+  assert.deepStrictEqual(readSpotPrices(path.join(dir, "spot.csv")), [
+    { date: "2025-10-26", hour: "02:00", price: 20, row: 3 },
+    { date: "2025-10-26", hour: "03:00", price: 40, row: 2 },
+  ]);
+});
+
+test("computeSpotPrice adds the formula components to the spot price", () => {
+  // (0.1 + 0.01 + 0.04 + 0.03) × 1.2 = 0.216 €/kWh
+  assert.strictEqual(computeSpotPrice(100, formula), 2160);
+  // The accise and VAT are left out of the HT price: 0.1 + 0.01 + 0.04 €/kWh
+  assert.strictEqual(computeSpotPriceHt(100, formula), 1500);
+  // Deeply negative spot prices give negative prices
+  assert.strictEqual(computeSpotPrice(-200, formula), -1440);
+  assert.throws(
+    () => validateSpotFormula({ ...formula, turpe: undefined }),
+    /Invalid formula field 'turpe'/,
+  );
+});
+
+test("spot manifests emit one price per hour that the lookup resolves", (t) => {
+  const spotDir = createContractDir(t, {
+    "Day_Ahead_FR.csv": [
+      "DATE;HEURE;PRIX",
+      "2025-03-01;12:00;100",
+      "2025-03-01;13:00;-200",
+    ].join("\n"),
+  });
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify({
+      provider: "test",
+      offer: "Spot",
+      kind: "spot-indexed",
+      format: "spot",
+      units: { price: "euro/10000", subscription: "month" },
+      formula,
+      sources: { subscription: "subscription.json" },
+    }),
+    "subscription.json": JSON.stringify({
+      6: [
+        {
+          contract: "spot-indexed",
+          price_type: "subscription",
+          currency: "euro",
+          start_date: "2025-01-01",
+          end_date: null,
+          price: 150000,
+          hour_slots: null,
+          day_type: null,
+        },
+      ],
+    }),
+  });
+
+  const prices = convertContract(dir, {
+    spotPrices: path.join(spotDir, "Day_Ahead_FR.csv"),
+  });
+  assert.strictEqual(prices[6].length, 3);
+  assert.strictEqual(prices[6][0].hour_slots, "12:00,12:30");
+
+  const { getPrice } = createPriceLookup({ "test-spot": prices });
+  assert.strictEqual(
+    getPrice("test-spot", 6, "2025-03-01T13:45:00+01:00").consumption.price,
+    -1440,
+  );
+  assert.strictEqual(
+    getPrice("test-spot", 6, "2025-03-01T14:00:00+01:00").consumption,
+    null,
+  );
+});
+
+test("spot manifests need the day-ahead prices of the build", (t) => {
+  const dir = createContractDir(t, {
+    "manifest.json": JSON.stringify({
+      provider: "test",
+      offer: "Spot",
+      kind: "spot-indexed",
+      format: "spot",
+      units: { price: "euro/10000", subscription: "month" },
+      formula,
+      sources: { subscription: "subscription.json" },
+    }),
+  });
+  const spotDir = createContractDir(t, {
+    "Day_Ahead_FR.csv": "DATE;HEURE;PRIX",
+  });
+
+  assert.throws(() => convertContract(dir), /run it with --spot-prices/);
+  assert.throws(
+    () =>
+      convertContract(dir, {
+        spotPrices: path.join(spotDir, "Day_Ahead_FR.csv"),
+      }),
+    /No day-ahead prices in the file/,
+  );
+});
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+const { toPriceUnits } = require("./converters");
+const { getEnergy } = require("./gas");
+
+const TAX_RATES_PATH = path.join(__dirname, "..", "taxes", "tax-rates.json");
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates the dated periods of a tax: sorted, neither overlapping nor leaving gaps, only the last one open-ended
+ * @param {Array} periods - Periods { start_date, end_date, [field] }
+ * @param {string} field - Field holding the value of the tax
+ * @param {string} name - Name of the tax, for error messages
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateTaxPeriods(periods, field, name) {
+  if (!Array.isArray(periods) || periods.length === 0) {
+    throw new Error(`Tax rates must declare the periods of ${name}`);
+  }
+
+  periods.forEach((period, index) => {
+    if (
+      !DATE_REGEX.test(period.start_date) ||
+      (period.end_date !== null && !DATE_REGEX.test(period.end_date))
+    ) {
+      throw new Error(
+        `Invalid ${name} period ${period.start_date} → ${period.end_date}: expected YYYY-MM-DD dates`,
+      );
+    }
+    if (typeof period[field] !== "number" || period[field] < 0) {
+      throw new Error(
+        `Invalid ${name} from ${period.start_date}: expected a positive '${field}'`,
+      );
+    }
+
+    const next = periods[index + 1];
+    if (!next) return;
+    if (
+      period.end_date === null ||
+      new Date(`${period.end_date}T00:00:00Z`).getTime() + 86400000 !==
+        new Date(`${next.start_date}T00:00:00Z`).getTime()
+    ) {
+      throw new Error(
+        `The ${name} period starting on ${next.start_date} must follow the one ending on ${period.end_date}`,
+      );
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Reads and validates the tax rates table
+ * @param {string} [filePath] - Table file, defaults to taxes/tax-rates.json
+ * @returns {Object} - { accise: [{ start_date, end_date, euros_per_mwh }],
+ * vat: { consumption: [{ start_date, end_date, rate }], subscription: [...] } }
+ */
+function readTaxRates(filePath = TAX_RATES_PATH) {
+  const rates = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+  validateTaxPeriods(rates.accise, "euros_per_mwh", "accise");
+  validateTaxPeriods(rates.vat?.consumption, "rate", "consumption VAT");
+  validateTaxPeriods(rates.vat?.subscription, "rate", "subscription VAT");
+
+  return rates;
+}
+
+/**
+ * Gives the value of a tax at a date
+ * @param {Array} periods - Periods of the tax
+ * @param {string} field - Field holding the value of the tax
+ * @param {string} date - ISO date
+ * @returns {number|null} - Value of the tax, null when the table does not cover the date
+ */
+function getTaxValue(periods, field, date) {
+  const period = periods.find(
+    (item) =>
+      item.start_date <= date &&
+      (item.end_date === null || date <= item.end_date),
+  );
+  return period ? period[field] : null;
+}
+
+/**
+ * Splits a price into its tax components, using the rates in force on its start date. Consumption prices carry
+ * the accise, subscription prices the CTA (Contribution Tarifaire d'Acheminement), which is only known when the
+ * price gives its price_ht. Prices without price_ht have their HT part deduced from the rates.
+ * @param {Object} price - Price entry
+ * @param {Object} rates - Tax rates, see readTaxRates
+ * @returns {Object|null} - { ht, accise, cta, vat, ttc } in price units (cta is null when unknown), or null when
+ * the table does not cover the start date of the price, for gas prices, whose taxes it does not give, and for
+ * production prices, bought back without accise
+ */
+function getTaxBreakdown(price, rates) {
+  if (getEnergy(price) !== "electricity" || price.price_type === "production") {
+    return null;
+  }
+
+  const vatRate = getTaxValue(
+    rates.vat[price.price_type],
+    "rate",
+    price.start_date,
+  );
+  if (vatRate === null) return null;
+
+  const ttc = price.price;
+  // Price excluding VAT
+  const beforeVat = Math.round(ttc / (1 + vatRate));
+
+  if (price.price_type === "subscription") {
+    const hasHt = price.price_ht !== undefined;
+    const ht = hasHt ? price.price_ht : beforeVat;
+    const cta = hasHt ? beforeVat - ht : null;
+    return { ht, accise: 0, cta, vat: ttc - beforeVat, ttc };
+  }
+
+  const accisePerMwh = getTaxValue(
+    rates.accise,
+    "euros_per_mwh",
+    price.start_date,
+  );
+  if (accisePerMwh === null) return null;
+
+  const accise = toPriceUnits(accisePerMwh / 1000);
+  const ht = price.price_ht ?? beforeVat - accise;
+  return { ht, accise, cta: 0, vat: ttc - ht - accise, ttc };
+}
+
+/**
+ * Computes the TTC price of a price entry from its HT part, with the taxes in force on its start date
+ * @param {Object} price - Price entry, giving its price_type and start_date
+ * @param {Object} components - { ht, cta }: HT price and, for subscriptions, CTA (null when included in ht)
+ * @param {Object} rates - Tax rates, see readTaxRates
+ * @returns {number|null} - Integer TTC price, or null when the table does not cover the start date of the price
+ */
+function computeTtcPrice(price, { ht, cta }, rates) {
+  const vatRate = getTaxValue(
+    rates.vat[price.price_type],
+    "rate",
+    price.start_date,
+  );
+  if (vatRate === null) return null;
+
+  if (price.price_type === "subscription") {
+    return Math.round((ht + (cta ?? 0)) * (1 + vatRate));
+  }
+
+  const accisePerMwh = getTaxValue(
+    rates.accise,
+    "euros_per_mwh",
+    price.start_date,
+  );
+  if (accisePerMwh === null) return null;
+
+  // Accise rates are not rounded to price units here: 29.98 €/MWh is 299.8
+  return Math.round((ht + accisePerMwh * 10) * (1 + vatRate));
+}
+
+/**
+ * Recomputes the TTC price of every price covered by the tax tables with other tax rates, i.e. to simulate an
+ * accise increase without re-entering every offer. HT prices and CTA are kept, other prices are left unchanged.
+ * @param {Object} contracts - Contract keys mapped to prices grouped by subscribed power
+ * @param {Object} rates - Tax rates to apply, see readTaxRates
+ * @param {Object} [publishedRates] - Tax rates the prices were published with, defaults to taxes/tax-rates.json
+ * @returns {Object} - Contracts with recomputed prices
+ */
+function applyTaxRates(contracts, rates, publishedRates = readTaxRates()) {
+  const result = {};
+
+  for (const [contractKey, contractData] of Object.entries(contracts)) {
+    result[contractKey] = {};
+    for (const [power, prices] of Object.entries(contractData)) {
+      result[contractKey][power] = prices.map((price) => {
+        const breakdown = getTaxBreakdown(price, publishedRates);
+        const ttc = breakdown && computeTtcPrice(price, breakdown, rates);
+        return ttc === null ? price : { ...price, price: ttc };
+      });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  TAX_RATES_PATH,
+  readTaxRates,
+  getTaxBreakdown,
+  computeTtcPrice,
+  applyTaxRates,
+};
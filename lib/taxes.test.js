@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { readTaxRates, getTaxBreakdown, applyTaxRates } = require("./taxes");
+const { createTempDir } = require("./test-helpers");
+
+const rates = readTaxRates();
+
+/**
+ * Builds an EDF base price object
+ * @param {string} price_type - "consumption" or "subscription"
+ * @param {string} start_date - ISO date
+ * @param {number} price - Integer TTC price
+ * @param {number} [price_ht] - Integer HT price
+ * @returns {Object} - Price object
+ */
+function price(price_type, start_date, price, price_ht) {
+  return {
+    contract: "base",
+    price_type,
+    currency: "euro",
+    start_date,
+    end_date: null,
+    price,
+    ...(price_ht !== undefined ? { price_ht } : {}),
+    hour_slots: null,
+    day_type: null,
+  };
+}
+
+test("getTaxBreakdown splits consumption prices into HT, accise and VAT", () => {
+  assert.deepStrictEqual(
+    getTaxBreakdown(price("consumption", "2025-08-01", 1952, 1327), rates),
+    { ht: 1327, accise: 300, cta: 0, vat: 325, ttc: 1952 },
+  );
+  // Without price_ht, the HT part is deduced from the rates
+  assert.deepStrictEqual(
+    getTaxBreakdown(price("consumption", "2025-02-01", 2016), rates),
+    { ht: 1343, accise: 337, cta: 0, vat: 336, ttc: 2016 },
+  );
+  // Gas prices have other taxes
+  assert.strictEqual(
+    getTaxBreakdown(
+      {
+        ...price("consumption", "2025-08-01", 1221, 856),
+        energy: "gas",
+        zone: 1,
+      },
+      rates,
+    ),
+    null,
+  );
+  // Production prices are bought back without accise
+  assert.strictEqual(
+    getTaxBreakdown(price("production", "2025-08-01", 400), rates),
+    null,
+  );
+  // Older prices also include local taxes the table does not know
+  assert.strictEqual(
+    getTaxBreakdown(price("consumption", "2022-08-01", 1740, 1374), rates),
+    null,
+  );
+});
+
+test("getTaxBreakdown gives the CTA of subscriptions with an HT price", () => {
+  assert.deepStrictEqual(
+    getTaxBreakdown(price("subscription", "2025-08-01", 154950, 110700), rates),
+    { ht: 110700, accise: 0, cta: 18425, vat: 25825, ttc: 154950 },
+  );
+  assert.strictEqual(
+    getTaxBreakdown(price("subscription", "2025-08-01", 154950), rates).cta,
+    null,
+  );
+});
+
+test("applyTaxRates recomputes TTC prices with simulated rates", () => {
+  const simulated = {
+    ...rates,
+    accise: rates.accise.map((period) =>
+      period.end_date === null ? { ...period, euros_per_mwh: 40 } : period,
+    ),
+  };
+  const contracts = {
+    "edf-base": {
+      6: [
+        price("consumption", "2025-08-01", 1952, 1327),
+        price("consumption", "2022-08-01", 1740, 1374),
+        price("subscription", "2025-08-01", 154950, 110700),
+      ],
+    },
+  };
+
+  const result = applyTaxRates(contracts, simulated, rates);
+
+  assert.deepStrictEqual(
+    result["edf-base"][6].map((p) => p.price),
+    // (1327 + 400) × 1.2, the 2022 price is not covered, the subscription has no accise
+    [2072, 1740, 154950],
+  );
+  assert.strictEqual(result["edf-base"][6][0].price_ht, 1327);
+});
+
+test("readTaxRates rejects periods that do not follow each other", (t) => {
+  const dir = createTempDir(t);
+  const filePath = path.join(dir, "tax-rates.json");
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify({
+      ...rates,
+      accise: [
+        { start_date: "2024-02-01", end_date: "2025-01-31", euros_per_mwh: 21 },
+        { start_date: "2025-03-01", end_date: null, euros_per_mwh: 33.7 },
+      ],
+    }),
+  );
+
+  assert.throws(
+    () => readTaxRates(filePath),
+    /accise period starting on 2025-03-01 must follow the one ending on 2025-01-31/,
+  );
+});
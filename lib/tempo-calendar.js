@@ -0,0 +1,126 @@
+const { readCsv, convertToIsoDate } = require("./converters");
+
+// Colours as published by RTE / EDF, mapped to the day_type values of the prices
+const TEMPO_COLOURS = {
+  BLEU: "blue",
+  BLANC: "white",
+  ROUGE: "red",
+};
+
+// Maximum number of days per season (September 1st to August 31st)
+const SEASON_LIMITS = { red: 22, white: 43 };
+
+/**
+ * Reads a tempo calendar CSV file (DATE;COULEUR with DD/MM/YYYY or YYYY-MM-DD dates and BLEU / BLANC / ROUGE colours)
+ * @param {string} csvPath - Path to the CSV file
+ * @returns {Object} - ISO dates mapped to their day_type ("blue", "white", "red"), sorted by date
+ */
+function readTempoCalendar(csvPath) {
+  const { headers, rows, rowNumbers } = readCsv(csvPath);
+
+  const dateIndex = headers.indexOf("DATE");
+  const colourIndex = headers.indexOf("COULEUR");
+  if (dateIndex === -1 || colourIndex === -1) {
+    throw new Error("Required columns not found in CSV");
+  }
+
+  const entries = [];
+  for (const [rowIndex, columns] of rows.entries()) {
+    if (columns.length < headers.length) {
+      throw new Error(
+        `Line ${rowNumbers[rowIndex]} of ${csvPath} has ${columns.length} columns, expected ${headers.length}`,
+      );
+    }
+    const dateStr = columns[dateIndex].trim();
+    const colourStr = columns[colourIndex].trim().toUpperCase();
+
+    const date = dateStr.includes("/") ? convertToIsoDate(dateStr) : dateStr;
+    const colour = TEMPO_COLOURS[colourStr];
+    if (!colour) {
+      throw new Error(`Invalid tempo colour '${colourStr}' on ${dateStr}`);
+    }
+    entries.push([date, colour]);
+  }
+
+  entries.sort(([a], [b]) => a.localeCompare(b));
+
+  const calendar = {};
+  for (const [date, colour] of entries) {
+    if (calendar[date]) {
+      throw new Error(`Duplicate tempo day ${date}`);
+    }
+    calendar[date] = colour;
+  }
+
+  return calendar;
+}
+
+/**
+ * Gives the tempo season of a date (seasons run from September 1st to August 31st)
+ * @param {string} date - ISO date
+ * @returns {string} - Season label, i.e. "2024-2025"
+ */
+function getSeason(date) {
+  const year = Number(date.slice(0, 4));
+  const startYear = Number(date.slice(5, 7)) >= 9 ? year : year - 1;
+  return `${startYear}-${startYear + 1}`;
+}
+
+/**
+ * Validates a tempo calendar against the rules of the tempo option
+ * @param {Object} calendar - ISO dates mapped to their day_type
+ * @returns {boolean} - True if valid, throws error if invalid
+ */
+function validateTempoCalendar(calendar) {
+  const seasons = {};
+
+  for (const [date, colour] of Object.entries(calendar)) {
+    // Dates such as 2025-02-30 are rolled over by Date: they must give back the same date
+    const day = new Date(`${date}T00:00:00Z`);
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+      Number.isNaN(day.getTime()) ||
+      day.toISOString().slice(0, 10) !== date
+    ) {
+      throw new Error(`Invalid tempo date '${date}': expected YYYY-MM-DD`);
+    }
+
+    const month = Number(date.slice(5, 7));
+    const weekDay = day.getUTCDay();
+
+    if (colour === "red" && month > 3 && month < 11) {
+      throw new Error(`Red tempo day ${date} outside of November to March`);
+    }
+    if (colour === "red" && (weekDay === 0 || weekDay === 6)) {
+      throw new Error(`Red tempo day ${date} on a weekend`);
+    }
+    if (colour === "white" && weekDay === 0) {
+      throw new Error(`White tempo day ${date} on a Sunday`);
+    }
+
+    const season = getSeason(date);
+    seasons[season] = seasons[season] || { red: 0, white: 0 };
+    if (colour in seasons[season]) {
+      seasons[season][colour] += 1;
+    }
+  }
+
+  for (const [season, counts] of Object.entries(seasons)) {
+    for (const [colour, limit] of Object.entries(SEASON_LIMITS)) {
+      if (counts[colour] > limit) {
+        throw new Error(
+          `Tempo season ${season} has ${counts[colour]} ${colour} days, at most ${limit} expected`,
+        );
+      }
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  TEMPO_COLOURS,
+  readTempoCalendar,
+  getSeason,
+  validateTempoCalendar,
+};
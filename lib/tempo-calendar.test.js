@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  readTempoCalendar,
+  getSeason,
+  validateTempoCalendar,
+} = require("./tempo-calendar");
+const { createTempDir } = require("./test-helpers");
+
+/**
+ * Writes a tempo calendar CSV in a temporary directory
+ * @param {Object} t - Context of the running test
+ * @param {Array} lines - CSV lines, header included
+ * @returns {string} - File path
+ */
+function writeCalendar(t, lines) {
+  const dir = createTempDir(t);
+  const csvPath = path.join(dir, "Tempo_Calendar.csv");
+  fs.writeFileSync(csvPath, lines.join("\n"));
+  return csvPath;
+}
+
+test("readTempoCalendar maps colours to day types sorted by date", (t) => {
+  const calendar = readTempoCalendar(
+    writeCalendar(t, [
+      "DATE;COULEUR",
+      "06/01/2025;ROUGE",
+      "2025-01-04;blanc",
+      "05/01/2025;BLEU",
+    ]),
+  );
+
+  assert.deepStrictEqual(Object.entries(calendar), [
+    ["2025-01-04", "white"],
+    ["2025-01-05", "blue"],
+    ["2025-01-06", "red"],
+  ]);
+});
+
+test("readTempoCalendar rejects unknown colours and duplicate days", (t) => {
+  assert.throws(
+    () =>
+      readTempoCalendar(writeCalendar(t, ["DATE;COULEUR", "06/01/2025;VERT"])),
+    /Invalid tempo colour 'VERT'/,
+  );
+  assert.throws(
+    () =>
+      readTempoCalendar(
+        writeCalendar(t, [
+          "DATE;COULEUR",
+          "06/01/2025;BLEU",
+          "2025-01-06;BLEU",
+        ]),
+      ),
+    /Duplicate tempo day 2025-01-06/,
+  );
+  assert.throws(
+    () =>
+      readTempoCalendar(writeCalendar(t, ["DATE;COLOR", "06/01/2025;BLEU"])),
+    /Required columns not found/,
+  );
+  assert.throws(
+    () =>
+      readTempoCalendar(
+        writeCalendar(t, ["DATE;COULEUR", "05/01/2025;BLEU", "06/01/2025"]),
+      ),
+    /Line 3 of .*Tempo_Calendar\.csv has 1 columns, expected 2/,
+  );
+});
+
+test("getSeason starts tempo seasons on September 1st", () => {
+  assert.strictEqual(getSeason("2024-08-31"), "2023-2024");
+  assert.strictEqual(getSeason("2024-09-01"), "2024-2025");
+});
+
+test("validateTempoCalendar enforces the tempo rules", () => {
+  assert.strictEqual(
+    validateTempoCalendar({ "2025-01-06": "red", "2025-01-04": "white" }),
+    true,
+  );
+  assert.throws(
+    () => validateTempoCalendar({ "2025-06-02": "red" }),
+    /outside of November to March/,
+  );
+  assert.throws(
+    () => validateTempoCalendar({ "2025-01-04": "red" }),
+    /on a weekend/,
+  );
+  assert.throws(
+    () => validateTempoCalendar({ "2025-01-05": "white" }),
+    /on a Sunday/,
+  );
+  assert.throws(
+    () => validateTempoCalendar({ "2025-02-30": "blue" }),
+    /Invalid tempo date '2025-02-30'/,
+  );
+  assert.throws(
+    () => validateTempoCalendar({ "2025-13-01": "blue" }),
+    /Invalid tempo date '2025-13-01'/,
+  );
+
+  // 23 working days of December 2024 and January 2025 coloured red
+  const calendar = {};
+  for (let day = 2; Object.keys(calendar).length < 23; day++) {
+    const date = new Date(Date.UTC(2024, 11, day)).toISOString().slice(0, 10);
+    const weekDay = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (weekDay !== 0 && weekDay !== 6) calendar[date] = "red";
+  }
+  assert.throws(
+    () => validateTempoCalendar(calendar),
+    /Tempo season 2024-2025 has 23 red days, at most 22 expected/,
+  );
+});
@@ -0,0 +1,30 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Creates a temporary directory, removed once the test ends
+ * @param {Object} t - Context of the running test
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "energy-contracts-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Creates a temporary contract directory holding the given files, removed once the test ends
+ * @param {Object} t - Context of the running test
+ * @param {Object} files - File names mapped to their content
+ * @returns {string} - Directory path
+ */
+function createContractDir(t, files) {
+  const dir = createTempDir(t);
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+module.exports = { createTempDir, createContractDir };
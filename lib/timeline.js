@@ -0,0 +1,177 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts an ISO date (YYYY-MM-DD) to a day number
+ * @param {string} date - ISO date
+ * @returns {number} - Days since epoch
+ */
+function toDayNumber(date) {
+  return Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+}
+
+/**
+ * Adds days to an ISO date
+ * @param {string} date - ISO date (YYYY-MM-DD)
+ * @param {number} days - Number of days to add (can be negative)
+ * @returns {string} - ISO date
+ */
+function addDays(date, days) {
+  return new Date((toDayNumber(date) + days) * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Groups the prices of a power level by the dimensions that must form a single timeline
+ * @param {Array} prices - Price objects of one power level
+ * @returns {Map} - Map of group label to prices
+ */
+function groupTimelines(prices) {
+  const groups = new Map();
+
+  for (const price of prices) {
+    const label = [
+      price.price_type,
+      price.hour_slots && `hour_slots=${price.hour_slots}`,
+      price.day_type && `day_type=${price.day_type}`,
+      price.months && `months=${price.months.join(",")}`,
+      price.zone && `zone=${price.zone}`,
+    ]
+      .filter(Boolean)
+      .join(" ");
+    if (!groups.has(label)) {
+      groups.set(label, []);
+    }
+    groups.get(label).push(price);
+  }
+
+  return groups;
+}
+
+/**
+ * Tells if a gap is covered by an allow-list entry
+ * @param {Object} gap - Missing days: { start_date, end_date } (both inclusive)
+ * @param {string} power - Subscribed power
+ * @param {Array} allowedGaps - Allow-list entries: { start_date, end_date, powers?, reason }
+ * @returns {boolean} - True if the gap is allowed
+ */
+function isAllowedGap(gap, power, allowedGaps) {
+  return allowedGaps.some(
+    (allowed) =>
+      allowed.start_date <= gap.start_date &&
+      allowed.end_date >= gap.end_date &&
+      (!allowed.powers || allowed.powers.map(String).includes(power)),
+  );
+}
+
+/**
+ * Checks that the price periods of every contract form a clean timeline.
+ * End dates are inclusive: a period ending on 2025-01-31 is followed by one starting on 2025-02-01.
+ * @param {Object} contracts - Contracts data as produced by processAllContracts
+ * @param {Object} [options] - Options
+ * @param {Object} [options.allowedGaps] - Contract key mapped to its known gaps: { start_date, end_date, powers?, reason }
+ * @returns {Object} - { violations, allowedGaps, conventions } where conventions maps each contract key to the
+ * end_date convention observed between consecutive periods: "inclusive", "exclusive", "mixed" or "unknown"
+ */
+function checkTimeline(contracts, { allowedGaps = {} } = {}) {
+  const violations = [];
+  const allowed = [];
+  const conventions = {};
+
+  for (const [contractKey, contractData] of Object.entries(contracts)) {
+    const contractAllowedGaps = allowedGaps[contractKey] || [];
+    const observed = new Set();
+
+    for (const [power, prices] of Object.entries(contractData)) {
+      for (const [label, timeline] of groupTimelines(prices)) {
+        const context = `${contractKey}[${power}] ${label}`;
+        const report = (type, message) =>
+          violations.push({
+            type,
+            contract: contractKey,
+            power,
+            timeline: label,
+            message: `${context}: ${message}`,
+          });
+
+        for (const price of timeline) {
+          if (price.end_date && price.end_date < price.start_date) {
+            report(
+              "end-before-start",
+              `period ${price.start_date} → ${price.end_date} ends before it starts`,
+            );
+          }
+        }
+
+        const sorted = [...timeline].sort((a, b) =>
+          a.start_date.localeCompare(b.start_date),
+        );
+
+        // Period reaching the latest end date so far
+        let latest = sorted[0];
+        for (const current of sorted.slice(1)) {
+          const previousPeriod = `${latest.start_date} → ${latest.end_date}`;
+
+          if (latest.end_date === null) {
+            report(
+              "overlap",
+              `open-ended period starting ${latest.start_date} overlaps period starting ${current.start_date}`,
+            );
+            continue;
+          }
+
+          const delta =
+            toDayNumber(current.start_date) - toDayNumber(latest.end_date);
+
+          if (delta === 1) {
+            observed.add("inclusive");
+          } else if (delta === 0) {
+            observed.add("exclusive");
+            report(
+              "exclusive-end-date",
+              `period ${previousPeriod} ends on the start date of the next period (end dates are inclusive)`,
+            );
+          } else if (delta < 0) {
+            report(
+              "overlap",
+              `period ${previousPeriod} overlaps period starting ${current.start_date}`,
+            );
+          } else {
+            const gap = {
+              start_date: addDays(latest.end_date, 1),
+              end_date: addDays(current.start_date, -1),
+            };
+            if (isAllowedGap(gap, power, contractAllowedGaps)) {
+              allowed.push({ contract: contractKey, power, ...gap });
+            } else {
+              report(
+                "gap",
+                `no price from ${gap.start_date} to ${gap.end_date}`,
+              );
+            }
+          }
+
+          if (current.end_date === null || current.end_date > latest.end_date) {
+            latest = current;
+          }
+        }
+      }
+    }
+
+    if (observed.size === 0) {
+      conventions[contractKey] = "unknown";
+    } else if (observed.size > 1) {
+      conventions[contractKey] = "mixed";
+    } else {
+      conventions[contractKey] = [...observed][0];
+    }
+  }
+
+  return { violations, allowedGaps: allowed, conventions };
+}
+
+module.exports = {
+  toDayNumber,
+  addDays,
+  checkTimeline,
+};
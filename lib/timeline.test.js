@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { addDays, checkTimeline } = require("./timeline");
+
+/**
+ * Builds a base consumption price for a period
+ * @param {string} start_date - First day of the period
+ * @param {string} end_date - Last day of the period (inclusive) or null
+ * @returns {Object} - Price object
+ */
+function period(start_date, end_date) {
+  return {
+    contract: "base",
+    price_type: "consumption",
+    currency: "euro",
+    start_date,
+    end_date,
+    price: 2000,
+    hour_slots: null,
+    day_type: null,
+  };
+}
+
+test("addDays handles month and year boundaries", () => {
+  assert.strictEqual(addDays("2024-12-31", 1), "2025-01-01");
+  assert.strictEqual(addDays("2024-03-01", -1), "2024-02-29");
+});
+
+test("consecutive inclusive periods are a clean timeline", () => {
+  const result = checkTimeline({
+    "edf-base": {
+      6: [period("2025-08-01", null), period("2025-02-01", "2025-07-31")],
+    },
+  });
+
+  assert.deepStrictEqual(result.violations, []);
+  assert.deepStrictEqual(result.conventions, { "edf-base": "inclusive" });
+});
+
+test("overlaps, exclusive end dates and reversed periods are reported", () => {
+  const result = checkTimeline({
+    test: {
+      6: [
+        period("2024-01-01", "2024-12-31"),
+        period("2024-12-01", "2025-01-31"),
+        period("2025-01-31", "2025-06-30"),
+        period("2025-09-01", "2025-08-01"),
+      ],
+    },
+  });
+
+  assert.deepStrictEqual(
+    result.violations.map((violation) => violation.type),
+    ["end-before-start", "overlap", "exclusive-end-date", "gap"],
+  );
+  assert.strictEqual(result.conventions.test, "exclusive");
+});
+
+test("gaps covered by the allow-list are not violations", () => {
+  const contracts = {
+    octopus: {
+      6: [period("2024-06-01", "2025-01-14"), period("2026-01-15", null)],
+      9: [period("2024-06-01", "2025-01-14"), period("2026-01-15", null)],
+    },
+  };
+  const allowedGaps = {
+    octopus: [
+      {
+        start_date: "2025-01-15",
+        end_date: "2026-01-14",
+        powers: ["6"],
+        reason: "Offer not sold",
+      },
+    ],
+  };
+
+  const result = checkTimeline(contracts, { allowedGaps });
+
+  assert.deepStrictEqual(result.allowedGaps, [
+    {
+      contract: "octopus",
+      power: "6",
+      start_date: "2025-01-15",
+      end_date: "2026-01-14",
+    },
+  ]);
+  assert.strictEqual(result.violations.length, 1);
+  assert.match(
+    result.violations[0].message,
+    /octopus\[9\] consumption: no price from 2025-01-15 to 2026-01-14/,
+  );
+});
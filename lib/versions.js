@@ -0,0 +1,59 @@
+const { parseHourSlots, serializeHourSlots } = require("./slots");
+
+// Version of the contracts.v2.json document
+const OUTPUT_VERSION = 2;
+
+/**
+ * Applies a function to the hour slots of every price
+ * @param {Object} contracts - Contract keys mapped to prices grouped by subscribed power
+ * @param {Function} convert - Function converting hour slots
+ * @returns {Object} - Contracts with converted hour slots
+ */
+function mapHourSlots(contracts, convert) {
+  const result = {};
+  for (const [contractKey, contractData] of Object.entries(contracts)) {
+    result[contractKey] = {};
+    for (const [power, prices] of Object.entries(contractData)) {
+      result[contractKey][power] = prices.map((price) => ({
+        ...price,
+        hour_slots: convert(price.hour_slots),
+      }));
+    }
+  }
+  return result;
+}
+
+/**
+ * Converts contracts.json data to the versioned contracts.v2.json document, where hour slots are structured
+ * @param {Object} contracts - Contract keys mapped to prices grouped by subscribed power (contracts.json)
+ * @param {Object} [metadata] - Contract keys mapped to their metadata.json, for the contracts that have one
+ * @returns {Object} - { version: 2, metadata, contracts }
+ */
+function toVersion2(contracts, metadata = {}) {
+  return {
+    version: OUTPUT_VERSION,
+    metadata,
+    contracts: mapHourSlots(contracts, parseHourSlots),
+  };
+}
+
+/**
+ * Converts a contracts.v2.json document back to the contracts.json format, where hour slots are strings. The
+ * metadata section has no equivalent in contracts.json
+ * @param {Object} document - { version: 2, metadata?, contracts }
+ * @returns {Object} - Contract keys mapped to prices grouped by subscribed power
+ */
+function fromVersion2(document) {
+  if (document.version !== OUTPUT_VERSION) {
+    throw new Error(
+      `Unsupported contracts document version '${document.version}': expected ${OUTPUT_VERSION}`,
+    );
+  }
+  return mapHourSlots(document.contracts, serializeHourSlots);
+}
+
+module.exports = {
+  OUTPUT_VERSION,
+  toVersion2,
+  fromVersion2,
+};
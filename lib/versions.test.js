@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toVersion2, fromVersion2 } = require("./versions");
+
+const contracts = {
+  "edf-peak-off-peak": {
+    6: [
+      {
+        contract: "peak-off-peak",
+        price_type: "consumption",
+        currency: "euro",
+        start_date: "2025-02-01",
+        end_date: null,
+        price: 1696,
+        hour_slots: "TO_REPLACE_OFF_PEAK",
+        day_type: null,
+      },
+    ],
+  },
+};
+
+test("toVersion2 wraps the contracts with structured hour slots", () => {
+  const document = toVersion2(contracts);
+
+  assert.strictEqual(document.version, 2);
+  assert.deepStrictEqual(
+    document.contracts["edf-peak-off-peak"][6][0].hour_slots,
+    {
+      ref: "off_peak",
+    },
+  );
+  assert.deepStrictEqual(fromVersion2(document), contracts);
+});
+
+test("toVersion2 gives the metadata section of the contracts", () => {
+  const metadata = {
+    "edf-peak-off-peak": {
+      name: { fr: "Tarif Bleu EDF", en: "EDF Blue Tariff" },
+      provider: { name: "EDF" },
+    },
+  };
+  const document = toVersion2(contracts, metadata);
+
+  assert.deepStrictEqual(Object.keys(document), [
+    "version",
+    "metadata",
+    "contracts",
+  ]);
+  assert.deepStrictEqual(document.metadata, metadata);
+  assert.deepStrictEqual(toVersion2(contracts).metadata, {});
+  assert.deepStrictEqual(fromVersion2(document), contracts);
+});
+
+test("fromVersion2 rejects other document versions", () => {
+  assert.throws(
+    () => fromVersion2({ version: 3, contracts: {} }),
+    /Unsupported contracts document version '3'/,
+  );
+});
@@ -0,0 +1,317 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// Minimal XLSX reader: enough for the price workbooks published by the utilities (one header row, text and number
+// cells, formulas with their cached value). Workbooks are zip archives of XML parts, read with zlib only.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Built-in number formats showing dates (dd/mm/yyyy, d-mmm-yy...)
+const DATE_FORMAT_IDS = [14, 15, 16, 17, 22];
+// Day 0 of the 1900 date system, 1899-12-31, shifted by the 1900 leap year bug
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the files of a zip archive
+ * @param {Buffer} buffer - Archive content
+ * @returns {Map} - File names mapped to their content (Buffer)
+ */
+function readZip(buffer) {
+  let eocd = buffer.length - 22;
+  while (eocd >= 0 && buffer.readUInt32LE(eocd) !== EOCD_SIGNATURE) eocd--;
+  if (eocd < 0) {
+    throw new Error("Not a zip archive: end of central directory not found");
+  }
+
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = new Map();
+
+  for (let i = 0; i < entries; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error("Invalid zip archive: corrupted central directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(
+      "utf-8",
+      offset + 46,
+      offset + 46 + nameLength,
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new Error(`Invalid zip archive: corrupted entry '${name}'`);
+    }
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      files.set(name, data);
+    } else if (method === 8) {
+      files.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(
+        `Unsupported compression method ${method} for zip entry '${name}'`,
+      );
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Decodes the entities of XML text
+ * @param {string} text - XML text
+ * @returns {string} - Decoded text
+ */
+function decodeXml(text) {
+  const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, name) => {
+    if (name[0] === "#") {
+      return String.fromCodePoint(
+        name[1] === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1)),
+      );
+    }
+    return entities[name] ?? entity;
+  });
+}
+
+/**
+ * Reads the attributes of an XML tag
+ * @param {string} tag - Opening tag (i.e. '<c r="A1" t="s">')
+ * @returns {Object} - Attribute names mapped to their decoded value
+ */
+function readAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
+/**
+ * Gives the text of a rich or plain string element (<si>, <is>): its <t> runs, without phonetic guides
+ * @param {string} xml - Element content
+ * @returns {string} - Text
+ */
+function readText(xml) {
+  return [
+    ...xml
+      .replace(/<rPh\b[\s\S]*?<\/rPh>/g, "")
+      .matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g),
+  ]
+    .map(([, text]) => decodeXml(text))
+    .join("");
+}
+
+/**
+ * Gives the zero-based column index of a cell reference
+ * @param {string} reference - Cell reference (i.e. "AB12")
+ * @returns {number} - Column index (i.e. 27)
+ */
+function getColumnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/)[0];
+  return (
+    [...letters].reduce(
+      (index, letter) => index * 26 + letter.charCodeAt(0) - 64,
+      0,
+    ) - 1
+  );
+}
+
+/**
+ * Formats an Excel date serial number the way the CSV sources write dates
+ * @param {number} serial - Days since the Excel epoch
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {string} - Date in DD/MM/YYYY format
+ */
+function formatDateSerial(serial, date1904) {
+  const date = new Date(
+    EXCEL_EPOCH + (Math.floor(serial) + (date1904 ? 1462 : 0)) * DAY_MS,
+  );
+  return [
+    String(date.getUTCDate()).padStart(2, "0"),
+    String(date.getUTCMonth() + 1).padStart(2, "0"),
+    date.getUTCFullYear(),
+  ].join("/");
+}
+
+/**
+ * Finds the cell styles showing dates
+ * @param {string|undefined} stylesXml - Content of xl/styles.xml
+ * @returns {Set} - Indexes of the cell formats (s attribute of cells) showing dates
+ */
+function findDateStyles(stylesXml = "") {
+  const customFormats = new Map(
+    [...stylesXml.matchAll(/<numFmt\b[^>]*>/g)].map(([tag]) => {
+      const { numFmtId, formatCode } = readAttributes(tag);
+      return [Number(numFmtId), formatCode];
+    }),
+  );
+  /**
+   * Tells whether a number format shows a date
+   * @param {number} id - Number format id
+   * @returns {boolean} - True for date formats
+   */
+  const isDateFormat = (id) => {
+    if (DATE_FORMAT_IDS.includes(id)) return true;
+    const code = customFormats.get(id);
+    // Day or year tokens outside of quoted text and [colour] / [$currency] blocks
+    return (
+      code !== undefined &&
+      /[dy]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, ""))
+    );
+  };
+
+  const cellXfs = stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+  const styles = new Set();
+  [...(cellXfs ? cellXfs[1].matchAll(/<xf\b[^>]*>/g) : [])].forEach(
+    ([tag], index) => {
+      if (isDateFormat(Number(readAttributes(tag).numFmtId))) {
+        styles.add(index);
+      }
+    },
+  );
+  return styles;
+}
+
+/**
+ * Reads a sheet of an XLSX workbook as a table, the first row holding the headers. Cells are given as text the way
+ * the CSV sources write them: numbers in JavaScript notation, date cells as DD/MM/YYYY, formulas as their cached
+ * value. Empty rows are skipped, rowNumbers gives the sheet row number of each data row.
+ * @param {string} xlsxPath - Path of the workbook
+ * @param {Object} [options] - Options
+ * @param {string} [options.sheet] - Sheet name, the first sheet by default
+ * @returns {Object} - { headers, rows, rowNumbers }, like readCsv
+ */
+function readXlsx(xlsxPath, { sheet } = {}) {
+  const files = readZip(fs.readFileSync(xlsxPath));
+  /**
+   * Gives the content of a part of the workbook
+   * @param {string} name - Part name (i.e. "xl/workbook.xml")
+   * @returns {string|undefined} - XML content, undefined for missing parts
+   */
+  const readPart = (name) => files.get(name)?.toString("utf-8");
+
+  const workbook = readPart("xl/workbook.xml");
+  if (!workbook) {
+    throw new Error(`Invalid XLSX workbook '${xlsxPath}': no xl/workbook.xml`);
+  }
+  const sheets = [...workbook.matchAll(/<sheet\b[^>]*>/g)].map(([tag]) =>
+    readAttributes(tag),
+  );
+  const sheetEntry = sheet
+    ? sheets.find(({ name }) => name === sheet)
+    : sheets[0];
+  if (!sheetEntry) {
+    throw new Error(
+      `Sheet '${sheet}' not found in '${path.basename(xlsxPath)}'`,
+    );
+  }
+
+  const relationships = [
+    ...(readPart("xl/_rels/workbook.xml.rels") || "").matchAll(
+      /<Relationship\b[^>]*>/g,
+    ),
+  ].map(([tag]) => readAttributes(tag));
+  const target = relationships.find(
+    ({ Id }) => Id === sheetEntry["r:id"],
+  )?.Target;
+  const sheetXml =
+    target &&
+    readPart(target.startsWith("/") ? target.slice(1) : `xl/${target}`);
+  if (!sheetXml) {
+    throw new Error(
+      `Sheet '${sheetEntry.name}' of '${path.basename(xlsxPath)}' has no data`,
+    );
+  }
+
+  const sharedStrings = [
+    ...(readPart("xl/sharedStrings.xml") || "").matchAll(
+      /<si\b[^>]*>([\s\S]*?)<\/si>/g,
+    ),
+  ].map(([, xml]) => readText(xml));
+  const dateStyles = findDateStyles(readPart("xl/styles.xml"));
+  const date1904 = /<workbookPr\b[^>]*date1904="(true|1)"/.test(workbook);
+
+  /**
+   * Gives the text of a cell
+   * @param {Object} attributes - Cell attributes (r, s, t)
+   * @param {string} content - Cell content
+   * @returns {string} - Cell text
+   */
+  const readCell = (attributes, content) => {
+    if (attributes.t === "inlineStr") return readText(content);
+    const value = content.match(/<v>([\s\S]*?)<\/v>/);
+    if (!value) return "";
+    const text = decodeXml(value[1]);
+
+    switch (attributes.t) {
+      case "s":
+        return sharedStrings[Number(text)] ?? "";
+      case "str":
+      case "d":
+        return text;
+      case "b":
+        return text === "1" ? "TRUE" : "FALSE";
+      case "e":
+        throw new Error(
+          `Cell ${attributes.r} of '${path.basename(xlsxPath)}' holds the error ${text}`,
+        );
+      default:
+        return dateStyles.has(Number(attributes.s))
+          ? formatDateSerial(Number(text), date1904)
+          : String(Number(text));
+    }
+  };
+
+  const table = [];
+  const tableRowNumbers = [];
+  let rowNumber = 0;
+  for (const [, rowTag, rowContent] of sheetXml.matchAll(
+    /(<row\b[^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g,
+  )) {
+    rowNumber = Number(readAttributes(rowTag).r) || rowNumber + 1;
+    const cells = [];
+    for (const [, tag, content = ""] of (rowContent || "").matchAll(
+      /(<c\b[^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g,
+    )) {
+      const attributes = readAttributes(tag);
+      const index = attributes.r ? getColumnIndex(attributes.r) : cells.length;
+      cells[index] = readCell(attributes, content);
+    }
+    const row = Array.from(cells, (cell) => cell ?? "");
+    if (row.some((cell) => cell.trim() !== "")) {
+      table.push(row);
+      tableRowNumbers.push(rowNumber);
+    }
+  }
+
+  if (table.length === 0) {
+    throw new Error(`Sheet '${sheetEntry.name}' of '${xlsxPath}' is empty`);
+  }
+  const [headerRow, ...rows] = table;
+  return {
+    headers: headerRow.map((header) => header.trim()),
+    rows,
+    rowNumbers: tableRowNumbers.slice(1),
+  };
+}
+
+module.exports = {
+  readZip,
+  readXlsx,
+};
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { readZip, readXlsx } = require("./xlsx");
+const { createTempDir } = require("./test-helpers");
+
+const ES_DIR = path.join(
+  __dirname,
+  "..",
+  "contracts",
+  "electricite-de-strasbourg",
+);
+
+/**
+ * Builds a zip archive storing files without compression (CRCs are left empty, readZip does not check them)
+ * @param {Object} files - File names mapped to their content
+ * @returns {Buffer} - Archive content
+ */
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += 30 + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+/**
+ * Writes a one sheet workbook to a temporary file
+ * @param {Object} t - Context of the running test
+ * @param {string} sheetData - Content of the <sheetData> element
+ * @returns {string} - Workbook path
+ */
+function createWorkbook(t, sheetData) {
+  const dir = createTempDir(t);
+  const xlsxPath = path.join(dir, "Option_Base.xlsx");
+  fs.writeFileSync(
+    xlsxPath,
+    createZip({
+      "xl/workbook.xml":
+        '<workbook><sheets><sheet name="Prix" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      "xl/_rels/workbook.xml.rels":
+        '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+      "xl/sharedStrings.xml":
+        "<sst><si><t>DATE_DEBUT</t></si><si><r><t>PART_</t></r><r><t>VARIABLE_TTC</t></r></si><si><t>Tarif &amp; taxes</t></si></sst>",
+      "xl/styles.xml":
+        '<styleSheet><numFmts><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/></numFmts><cellXfs><xf numFmtId="0"/><xf numFmtId="164"/></cellXfs></styleSheet>',
+      "xl/worksheets/sheet1.xml": `<worksheet><sheetData>${sheetData}</sheetData></worksheet>`,
+    }),
+  );
+  return xlsxPath;
+}
+
+test("readXlsx gives the cells of the first sheet as text", (t) => {
+  const xlsxPath = createWorkbook(
+    t,
+    [
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>',
+      // Date cell, formula left empty by its IF, number
+      '<row r="2"><c r="A2" s="1"><v>46054</v></c><c r="B2" t="str"><f>IF(D2=0,"",D2)</f><v></v></c><c r="C2"><v>0.19398000000000001</v></c></row>',
+      '<row r="3"><c r="A3" t="inlineStr"><is><t>01/08/2025</t></is></c><c r="B3" t="s"><v>2</v></c><c r="C3"><f>0.2*2</f><v>0.4</v></c></row>',
+      '<row r="4"><c r="A4" s="1"/></row>',
+    ].join(""),
+  );
+
+  assert.deepStrictEqual(readXlsx(xlsxPath), {
+    headers: ["DATE_DEBUT", "", "PART_VARIABLE_TTC"],
+    rows: [
+      ["01/02/2026", "", "0.19398"],
+      ["01/08/2025", "Tarif & taxes", "0.4"],
+    ],
+    rowNumbers: [2, 3],
+  });
+  assert.throws(
+    () => readXlsx(xlsxPath, { sheet: "Tempo" }),
+    /Sheet 'Tempo' not found in 'Option_Base.xlsx'/,
+  );
+});
+
+test("readXlsx reads the compressed workbooks of the repository", () => {
+  const { headers, rows } = readXlsx(
+    path.join(ES_DIR, "tarif-bleu-base", "Option_Base.xlsx"),
+  );
+
+  assert.deepStrictEqual(headers, [
+    "DATE_DEBUT",
+    "DATE_FIN",
+    "P_SOUSCRITE",
+    "PART_FIXE_TTC_MOIS",
+    "PART_FIXE_TTC",
+    "PART_VARIABLE_TTC",
+  ]);
+  assert.deepStrictEqual(rows[rows.length - 1], [
+    "01/02/2026",
+    "",
+    "36",
+    "53.06",
+    "636.72",
+    "0.19266",
+  ]);
+});
+
+test("readZip rejects files that are not zip archives", () => {
+  assert.throws(
+    () => readZip(Buffer.from("DATE_DEBUT;DATE_FIN;P_SOUSCRITE\n")),
+    /Not a zip archive/,
+  );
+});
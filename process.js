@@ -1,13 +1,44 @@
 const fs = require("fs");
 const path = require("path");
+const { parseArgs } = require("util");
+const {
+  MANIFEST_FILE,
+  readManifest,
+  convertContract,
+} = require("./lib/manifest");
+const { checkTimeline } = require("./lib/timeline");
+const { checkSubscriptionPlausibility } = require("./lib/plausibility");
+const { diffCsvExport } = require("./lib/converters");
+const { readMetadata } = require("./lib/metadata");
+const { listFiles, createBuildManifest } = require("./lib/provenance");
+const { TAX_RATES_PATH } = require("./lib/taxes");
+const { toVersion2 } = require("./lib/versions");
+const { createSchemaValidator } = require("./lib/schemas");
+const {
+  OFF_PEAK_SCHEDULES_PATH,
+  readOffPeakSchedules,
+  findOffPeakSchedule,
+  materializeOffPeakHours,
+} = require("./lib/off-peak-schedules");
+const {
+  readTempoCalendar,
+  validateTempoCalendar,
+} = require("./lib/tempo-calendar");
+
+const CONTRACTS_DIR = path.join(__dirname, "contracts");
+const TEMPO_CALENDAR_PATH = path.join(
+  __dirname,
+  "calendars",
+  "Tempo_Calendar.csv",
+);
 
 /**
- * Recursively finds all convert.js files in the contracts directory
+ * Recursively finds all manifest.json files in the contracts directory
  * @param {string} dir - Directory to search in
  * @param {Array} results - Array to store results
- * @returns {Array} - Array of convert.js file paths
+ * @returns {Array} - Array of manifest.json file paths
  */
-function findConvertFiles(dir, results = []) {
+function findManifestFiles(dir, results = []) {
   const files = fs.readdirSync(dir);
 
   for (const file of files) {
@@ -16,8 +47,8 @@ function findConvertFiles(dir, results = []) {
 
     if (stat.isDirectory()) {
       // Recursively search subdirectories
-      findConvertFiles(filePath, results);
-    } else if (file === "convert.js") {
+      findManifestFiles(filePath, results);
+    } else if (file === MANIFEST_FILE) {
       results.push(filePath);
     }
   }
@@ -27,57 +58,357 @@ function findConvertFiles(dir, results = []) {
 
 /**
  * Generates a key from the file path
- * @param {string} filePath - Full path to the convert.js file
+ * @param {string} filePath - Full path to the manifest.json file
  * @param {string} contractsDir - Base contracts directory path
  * @returns {string} - Key for the result object
  */
 function generateKey(filePath, contractsDir) {
   // Get relative path from contracts directory
   const relativePath = path.relative(contractsDir, filePath);
-  // Remove the 'convert.js' filename and get the directory path
+  // Remove the 'manifest.json' filename and get the directory path
   const dirPath = path.dirname(relativePath);
   // Replace path separators with dashes
   return dirPath.replace(/[/\\]/g, "-");
 }
 
 /**
- * Main function to process all convert.js files
+ * Tells whether a manifest describes an offer indexed on another contract
+ * @param {string} filePath - Full path to the manifest.json file
+ * @returns {boolean} - True for indexed offers, false otherwise (including unreadable manifests, reported later)
+ */
+function isIndexedManifest(filePath) {
+  try {
+    return readManifest(path.dirname(filePath)).format === "indexed";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Tells whether a manifest describes a spot-indexed offer, priced from the day-ahead prices given to the build
+ * @param {string} filePath - Full path to the manifest.json file
+ * @returns {boolean} - True for spot-indexed offers, false otherwise (including unreadable manifests, reported later)
  */
-function processAllContracts() {
-  const contractsDir = path.join(__dirname, "contracts");
-  const convertFiles = findConvertFiles(contractsDir);
+function isSpotManifest(filePath) {
+  try {
+    return readManifest(path.dirname(filePath)).format === "spot";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Main function to process all contract manifests. Offers indexed on another contract are processed last, once the
+ * contracts they follow are known
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.quiet] - Only log errors (when used as a library)
+ * @param {boolean} [options.strict] - Throw once every contract is processed if any of them failed, instead of
+ * leaving it out of the result
+ * @param {string} [options.spotPrices] - Day-ahead price file for spot-indexed offers, only given at build time.
+ * Without it, spot-indexed offers are left out of the result with a warning
+ * @param {string} [options.contractsDir] - Directory holding the contract folders, defaults to contracts/
+ * @returns {Object} - Contract keys mapped to prices grouped by subscribed power
+ */
+function processAllContracts({
+  quiet = false,
+  strict = false,
+  spotPrices,
+  contractsDir = CONTRACTS_DIR,
+} = {}) {
+  const allManifestFiles = findManifestFiles(contractsDir);
+  const manifestFiles = [
+    ...allManifestFiles.filter((filePath) => !isIndexedManifest(filePath)),
+    ...allManifestFiles.filter(isIndexedManifest),
+  ];
+  const log = quiet ? () => {} : console.log;
+  const warn = quiet ? () => {} : console.warn;
 
   const results = {};
+  const failures = [];
 
-  for (const filePath of convertFiles) {
+  for (const filePath of manifestFiles) {
     try {
-      console.log(`Processing: ${filePath}`);
+      log(`Processing: ${filePath}`);
 
       // Generate key from path
       const key = generateKey(filePath, contractsDir);
 
-      // Require and execute the convert function
-      const convertFunction = require(filePath);
-      const data = convertFunction();
+      // The build of a release has no day-ahead prices: its spot-indexed offers are not published
+      if (!spotPrices && isSpotManifest(filePath)) {
+        warn(
+          `⚠️ Skipping ${key}: spot-indexed offers are only built with --spot-prices <file>`,
+        );
+        continue;
+      }
+
+      // Interpret the manifest (only a declared script is ever executed)
+      const data = convertContract(path.dirname(filePath), {
+        spotPrices,
+        contracts: results,
+      });
+
+      // An empty source is an error like any other: the contract would silently disappear from the output
+      if (Object.keys(data).length === 0) {
+        throw new Error(`No prices in the sources of ${key}`);
+      }
 
       results[key] = data;
 
-      console.log(`✓ Successfully processed ${key}`);
+      log(`✓ Successfully processed ${key}`);
     } catch (error) {
       console.error(`✗ Error processing ${filePath}:`, error.message);
+      failures.push(filePath);
     }
   }
 
+  if (strict && failures.length > 0) {
+    throw new Error(
+      `${failures.length} contracts could not be processed: ${failures.join(", ")}`,
+    );
+  }
+
   return results;
 }
 
-// Run the processing
-const allContracts = processAllContracts();
+/**
+ * Reads and validates the tempo day colours calendar
+ * @returns {Object} - ISO dates mapped to their day_type ("blue", "white", "red")
+ */
+function processTempoCalendar() {
+  const calendar = readTempoCalendar(TEMPO_CALENDAR_PATH);
+  validateTempoCalendar(calendar);
+  return calendar;
+}
 
-// Write results to contracts.json file
-const outputPath = path.join(__dirname, "contracts.json");
-fs.writeFileSync(outputPath, JSON.stringify(allContracts, null, 2));
+/**
+ * Collects the known gaps declared by the contract manifests
+ * @param {string} contractsDir - Base contracts directory path
+ * @returns {Object} - Contract key mapped to its allowed gaps
+ */
+function collectAllowedGaps(contractsDir) {
+  const allowedGaps = {};
+
+  for (const filePath of findManifestFiles(contractsDir)) {
+    const manifest = readManifest(path.dirname(filePath));
+    allowedGaps[generateKey(filePath, contractsDir)] =
+      manifest.allowed_gaps || [];
+  }
+
+  return allowedGaps;
+}
+
+/**
+ * Compares the XLSX sources declared by the contract manifests with the CSV files exported next to them
+ * @param {string} [contractsDir] - Base contracts directory path
+ * @returns {Array} - Differences { contractKey, file, line, column, xlsx, csv, message }, see diffCsvExport
+ */
+function collectCsvExportDiffs(contractsDir = CONTRACTS_DIR) {
+  const differences = [];
+
+  for (const filePath of findManifestFiles(contractsDir)) {
+    const manifest = readManifest(path.dirname(filePath));
+    if (!/\.xlsx$/i.test(manifest.source || "")) continue;
+
+    const contractKey = generateKey(filePath, contractsDir);
+    const sourcePath = path.join(path.dirname(filePath), manifest.source);
+    for (const difference of diffCsvExport(sourcePath) || []) {
+      differences.push({
+        contractKey,
+        ...difference,
+        message: `${contractKey}: ${difference.message}`,
+      });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Collects the metadata.json files of the processed contracts, merged in the metadata section of contracts.v2.json
+ * @param {Object} contracts - Processed contracts, see processAllContracts
+ * @param {string} [contractsDir] - Base contracts directory path
+ * @returns {Object} - Contract keys mapped to their metadata, for the contracts that have one
+ */
+function collectContractMetadata(contracts, contractsDir = CONTRACTS_DIR) {
+  const metadata = {};
+
+  for (const filePath of findManifestFiles(contractsDir)) {
+    const contractKey = generateKey(filePath, contractsDir);
+    // Contracts left out of the output have no metadata either
+    if (!contracts[contractKey]) continue;
+
+    const contractMetadata = readMetadata(path.dirname(filePath));
+    if (contractMetadata) metadata[contractKey] = contractMetadata;
+  }
+
+  return metadata;
+}
+
+/**
+ * Builds contracts.json, failing when the price timelines are not clean
+ */
+function main() {
+  const { values } = parseArgs({
+    options: {
+      // Also write the contracts with the placeholders replaced by a schedule of the catalogue
+      "off-peak-schedule": { type: "string", multiple: true, default: [] },
+      // Day-ahead prices used by spot-indexed offers: a build-time input, the repository holds none
+      "spot-prices": { type: "string" },
+    },
+  });
+  const offPeakSchedules = readOffPeakSchedules();
+  const schedules = values["off-peak-schedule"].map((id) =>
+    findOffPeakSchedule(offPeakSchedules, id),
+  );
+
+  // Run the processing: a contract that fails to convert fails the build
+  let allContracts;
+  try {
+    allContracts = processAllContracts({
+      strict: true,
+      spotPrices: values["spot-prices"],
+    });
+  } catch (error) {
+    console.error(`✗ ${error.message}, contracts.json not written`);
+    process.exit(1);
+  }
+
+  // Check the price timelines before writing anything
+  const timeline = checkTimeline(allContracts, {
+    allowedGaps: collectAllowedGaps(CONTRACTS_DIR),
+  });
+
+  console.log("\n=== TIMELINE CHECK ===");
+  console.log(`${timeline.allowedGaps.length} known gaps allowed by manifests`);
+
+  // "unknown" means the contract has a single period per timeline, so nothing to compare
+  const conventionCounts = {};
+  for (const convention of Object.values(timeline.conventions)) {
+    conventionCounts[convention] = (conventionCounts[convention] || 0) + 1;
+  }
+  console.log(
+    `End date conventions: ${Object.entries(conventionCounts)
+      .map(([convention, count]) => `${convention} (${count} contracts)`)
+      .join(", ")}`,
+  );
+
+  if (timeline.violations.length > 0) {
+    for (const violation of timeline.violations) {
+      console.error(`✗ ${violation.message}`);
+    }
+    console.error(
+      `✗ ${timeline.violations.length} timeline violations, contracts.json not written`,
+    );
+    process.exit(1);
+  }
+  console.log("✓ All price periods form clean timelines (inclusive end dates)");
+
+  // Subscription prices far from the regulated tariff usually come from a wrong unit in the sources
+  const subscriptionWarnings = checkSubscriptionPlausibility(allContracts);
+  console.log("\n=== SUBSCRIPTION CHECK ===");
+  for (const warning of subscriptionWarnings) {
+    console.warn(`⚠️ ${warning.message}`);
+  }
+  console.log(
+    `${subscriptionWarnings.length} subscription prices far from the regulated tariff`,
+  );
+
+  // Workbooks are the source of truth: CSV files exported from them drift when they are not exported again
+  const exportDiffs = collectCsvExportDiffs();
+  console.log("\n=== SOURCE CHECK ===");
+  for (const difference of exportDiffs) {
+    console.warn(`⚠️ ${difference.message}`);
+  }
+  console.log(
+    `${exportDiffs.length} differences between XLSX sources and their CSV exports`,
+  );
+
+  // Contracts with the off-peak hours of a schedule are published like contracts.json: they follow its schema
+  const validateSchema = createSchemaValidator();
+  const scheduleContracts = [];
+  try {
+    for (const schedule of schedules) {
+      const fileName = `contracts-off-peak-${schedule.id}.json`;
+      const contracts = materializeOffPeakHours(allContracts, schedule);
+      validateSchema("contracts.schema.json", contracts, fileName);
+      scheduleContracts.push({ schedule, fileName, contracts });
+    }
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    console.error("✗ contracts.json not written");
+    process.exit(1);
+  }
+
+  // Every file written by the build, listed with its checksum in the build manifest
+  const outputPaths = [];
+
+  // Write results to contracts.json file
+  const outputPath = path.join(__dirname, "contracts.json");
+  fs.writeFileSync(outputPath, JSON.stringify(allContracts, null, 2));
+  outputPaths.push(outputPath);
+
+  console.log("\n=== FINAL RESULTS ===");
+  console.log(`✓ Contracts data written to ${outputPath}`);
+  console.log(
+    `Total contract types processed: ${Object.keys(allContracts).length}`,
+  );
+
+  // Versioned document with structured hour slots, for consumers migrating from contracts.json
+  const outputV2Path = path.join(__dirname, "contracts.v2.json");
+  const metadata = collectContractMetadata(allContracts);
+  fs.writeFileSync(
+    outputV2Path,
+    JSON.stringify(toVersion2(allContracts, metadata), null, 2),
+  );
+  outputPaths.push(outputV2Path);
+  console.log(`✓ Version 2 contracts data written to ${outputV2Path}`);
+  console.log(
+    `Contracts with metadata: ${Object.keys(metadata).length}/${Object.keys(allContracts).length}`,
+  );
+
+  for (const { schedule, fileName, contracts } of scheduleContracts) {
+    const schedulePath = path.join(__dirname, fileName);
+    fs.writeFileSync(schedulePath, JSON.stringify(contracts, null, 2));
+    outputPaths.push(schedulePath);
+    console.log(
+      `✓ Contracts with off-peak hours ${schedule.label} written to ${schedulePath}`,
+    );
+  }
+
+  // Write the tempo calendar next to the prices
+  const tempoCalendar = processTempoCalendar();
+  const calendarPath = path.join(__dirname, "tempo-calendar.json");
+  fs.writeFileSync(calendarPath, JSON.stringify(tempoCalendar, null, 2));
+  outputPaths.push(calendarPath);
+
+  console.log(`✓ Tempo calendar written to ${calendarPath}`);
+  console.log(`Total tempo days: ${Object.keys(tempoCalendar).length}`);
+
+  // Inputs and outputs with their checksums, so that released prices can be traced back to their sources
+  const buildManifest = createBuildManifest(
+    [
+      ...listFiles(CONTRACTS_DIR),
+      TEMPO_CALENDAR_PATH,
+      TAX_RATES_PATH,
+      OFF_PEAK_SCHEDULES_PATH,
+      ...(values["spot-prices"] ? [values["spot-prices"]] : []),
+    ],
+    outputPaths,
+  );
+  const buildManifestPath = path.join(__dirname, "build-manifest.json");
+  fs.writeFileSync(buildManifestPath, JSON.stringify(buildManifest, null, 2));
+  console.log(
+    `✓ Build manifest written to ${buildManifestPath} (${buildManifest.inputs.length} inputs)`,
+  );
+}
+
+if (require.main === module) {
+  main();
+}
 
-console.log('\n=== FINAL RESULTS ===');
-console.log(`✓ Contracts data written to ${outputPath}`);
-console.log(`Total contract types processed: ${Object.keys(allContracts).length}`);
+module.exports = {
+  processAllContracts,
+  processTempoCalendar,
+  collectCsvExportDiffs,
+  collectContractMetadata,
+};
@@ -1,82 +1,48 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const { execSync } = require("child_process");
+const { createSchemaValidator } = require("./lib/schemas");
+const { fromVersion2 } = require("./lib/versions");
+const {
+  OFF_PEAK_SCHEDULES_PATH,
+  readOffPeakSchedules,
+  materializeOffPeakHours,
+} = require("./lib/off-peak-schedules");
+const {
+  TAX_RATES_PATH,
+  readTaxRates,
+  applyTaxRates,
+} = require("./lib/taxes");
+const { checkSubscriptionPlausibility } = require("./lib/plausibility");
+const { hashFile } = require("./lib/provenance");
+const { checkTimeline } = require("./lib/timeline");
+const { processAllContracts, collectCsvExportDiffs } = require("./process");
 
 /**
- * Validates the structure of a price object
- * @param {Object} priceObj - Price object to validate
- * @param {string} contractType - Contract type for context in error messages
- * @returns {boolean} - True if valid, throws error if invalid
+ * Recursively finds the hand-maintained contract.json, subscription.json and metadata.json files
+ * @param {string} dir - Directory to search in
+ * @param {Array} results - Array to store results
+ * @returns {Array} - Array of file paths
  */
-function validatePriceObject(priceObj, contractType) {
-  const requiredFields = [
-    "contract",
-    "price_type",
-    "currency",
-    "start_date",
-    "price",
-  ];
-
-  // Check required fields
-  for (const field of requiredFields) {
-    if (!(field in priceObj)) {
-      throw new Error(
-        `Missing required field '${field}' in ${contractType} price object`,
-      );
+function findSourceJsonFiles(dir, results = []) {
+  for (const file of fs.readdirSync(dir)) {
+    const filePath = path.join(dir, file);
+
+    if (fs.statSync(filePath).isDirectory()) {
+      findSourceJsonFiles(filePath, results);
+    } else if (
+      ["contract.json", "subscription.json", "metadata.json"].includes(file)
+    ) {
+      results.push(filePath);
     }
   }
 
-  // Validate field types and values
-  if (typeof priceObj.contract !== "string") {
-    throw new Error(
-      `Invalid contract type in ${contractType}: expected string, got ${typeof priceObj.contract}`,
-    );
-  }
-
-  const validContracts = ["base", "peak-off-peak", "edf-tempo"];
-  if (!validContracts.includes(priceObj.contract)) {
-    throw new Error(
-      `Invalid contract value in ${contractType}: expected one of '${validContracts.join("', '")}', got '${priceObj.contract}'`,
-    );
-  }
-
-  if (!["consumption", "subscription"].includes(priceObj.price_type)) {
-    throw new Error(
-      `Invalid price_type in ${contractType}: expected 'consumption' or 'subscription', got '${priceObj.price_type}'`,
-    );
-  }
-
-  if (priceObj.currency !== "euro") {
-    throw new Error(
-      `Invalid currency in ${contractType}: expected 'euro', got '${priceObj.currency}'`,
-    );
-  }
-
-  if (typeof priceObj.price !== "number" || priceObj.price < 0) {
-    throw new Error(
-      `Invalid price in ${contractType}: expected positive number, got ${priceObj.price}`,
-    );
-  }
-
-  // Validate date format (ISO format YYYY-MM-DD)
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(priceObj.start_date)) {
-    throw new Error(
-      `Invalid start_date format in ${contractType}: expected YYYY-MM-DD, got '${priceObj.start_date}'`,
-    );
-  }
-
-  if (priceObj.end_date && !dateRegex.test(priceObj.end_date)) {
-    throw new Error(
-      `Invalid end_date format in ${contractType}: expected YYYY-MM-DD or null, got '${priceObj.end_date}'`,
-    );
-  }
-
-  return true;
+  return results;
 }
 
 /**
- * Validates contract-specific requirements
+ * Validates the requirements of the contract kind of the prices, whatever the provider
  * @param {Array} prices - Array of price objects
  * @param {string} contractType - Contract type
  */
@@ -89,8 +55,9 @@ function validateContractSpecificRequirements(prices, contractType) {
     (p) => p.price_type === "subscription",
   );
 
-  // All contracts must have subscription prices
-  if (subscriptionPrices.length === 0) {
+  // All contracts must have subscription prices, except feed-in contracts that only buy energy back
+  const isFeedIn = prices.every((p) => p.price_type === "production");
+  if (subscriptionPrices.length === 0 && !isFeedIn) {
     throw new Error(
       `${contractType} must have at least one subscription price`,
     );
@@ -115,10 +82,10 @@ function validateContractSpecificRequirements(prices, contractType) {
     }
   }
 
-  // Validate consumption prices based on contract type
+  // Validate consumption prices based on their contract kind
   for (const price of consumptionPrices) {
-    switch (contractType) {
-      case "edf-base":
+    switch (price.kind) {
+      case "base":
         if (price.hour_slots !== null) {
           throw new Error(
             `Base contract consumption should have hour_slots = null, got '${price.hour_slots}'`,
@@ -131,7 +98,7 @@ function validateContractSpecificRequirements(prices, contractType) {
         }
         break;
 
-      case "edf-peak-off-peak":
+      case "peak-off-peak":
         if (
           !["TO_REPLACE_PEAK", "TO_REPLACE_OFF_PEAK"].includes(price.hour_slots)
         ) {
@@ -146,7 +113,7 @@ function validateContractSpecificRequirements(prices, contractType) {
         }
         break;
 
-      case "edf-tempo":
+      case "tempo":
         if (!["blue", "white", "red"].includes(price.day_type)) {
           throw new Error(
             `Tempo contract consumption should have day_type as 'blue', 'white', or 'red', got '${price.day_type}'`,
@@ -160,13 +127,448 @@ function validateContractSpecificRequirements(prices, contractType) {
             `Tempo contract consumption should have hour_slots as non-empty string, got '${price.hour_slots}'`,
           );
         }
+        if (price.day_start !== "06:00") {
+          throw new Error(
+            `Tempo contract consumption should have day_start = '06:00' (tempo days run from 06:00 to 06:00), got '${price.day_start}'`,
+          );
+        }
+        break;
+
+      case "ejp":
+        if (!["normal", "peak"].includes(price.day_type)) {
+          throw new Error(
+            `EJP contract consumption should have day_type as 'normal' or 'peak', got '${price.day_type}'`,
+          );
+        }
+        if (price.day_start !== "07:00") {
+          throw new Error(
+            `EJP contract consumption should have day_start = '07:00' (EJP days run from 07:00 to 07:00), got '${price.day_start}'`,
+          );
+        }
+        break;
+
+      case "week-end":
+        if (!["weekday", "weekend", "holiday"].includes(price.day_type)) {
+          throw new Error(
+            `Week-end contract consumption should have day_type as 'weekday', 'weekend' or 'holiday', got '${price.day_type}'`,
+          );
+        }
         break;
 
       default:
-        // Other contract types: no specific validation
+        // Other contract kinds: no specific validation
         break;
     }
   }
+
+  const kinds = new Set(prices.map((price) => price.kind));
+  if (kinds.size !== 1) {
+    throw new Error(
+      `${contractType} should have prices of a single kind, got '${[...kinds].join("', '")}'`,
+    );
+  }
+  if (kinds.has("tempo") || kinds.has("ejp")) {
+    validateDaySlots(consumptionPrices, contractType);
+  }
+}
+
+/**
+ * Validates that the slots of every day type cover a whole day, each half hour once
+ * @param {Array} consumptionPrices - Consumption price objects with a day_type
+ * @param {string} contractType - Contract type
+ */
+function validateDaySlots(consumptionPrices, contractType) {
+  const days = new Map();
+  for (const price of consumptionPrices) {
+    const key = `${price.start_date} ${price.day_type}`;
+    // null hour slots cover the whole day
+    const slots =
+      price.hour_slots === null
+        ? Array.from({ length: 48 }, (_, index) => index)
+        : price.hour_slots.split(",");
+    days.set(key, [...(days.get(key) || []), ...slots]);
+  }
+
+  for (const [key, slots] of days) {
+    if (slots.length !== 48 || new Set(slots).size !== 48) {
+      throw new Error(
+        `${contractType} day ${key} should cover the 48 half hours once, got ${slots.length} slots`,
+      );
+    }
+  }
+}
+
+/**
+ * Validates that every consumption price has a subscription price for its date range. Spot-indexed consumption
+ * prices hold for one day: that day must fall in a subscription period
+ * @param {Array} prices - Price objects of one power level
+ * @param {string} label - Contract and power, for the error messages
+ */
+function validateSubscriptionRanges(prices, label) {
+  const subscriptionPrices = prices.filter(
+    (p) => p.price_type === "subscription",
+  );
+  const consumptionPrices = prices.filter(
+    (p) => p.price_type === "consumption",
+  );
+
+  // Get unique date ranges for subscription prices
+  const subscriptionDateRanges = new Set(
+    subscriptionPrices.map((p) => `${p.start_date}|${p.end_date}`),
+  );
+
+  // Each consumption date range should have a corresponding subscription
+  for (const price of consumptionPrices) {
+    const dateRange = `${price.start_date}|${price.end_date}`;
+    const covered =
+      price.kind === "spot-indexed"
+        ? subscriptionPrices.some(
+            (p) =>
+              p.start_date <= price.start_date &&
+              (p.end_date === null || price.end_date <= p.end_date),
+          )
+        : subscriptionDateRanges.has(dateRange);
+    if (!covered) {
+      throw new Error(
+        `${label}: Missing subscription price for date range ${dateRange}`,
+      );
+    }
+  }
+}
+
+/**
+ * Writes a contract folder of a test contracts directory
+ * @param {string} contractsDir - Contracts directory
+ * @param {string} folder - Folder of the contract, relative to the contracts directory
+ * @param {Object} files - File names mapped to their content
+ */
+function writeContractFolder(contractsDir, folder, files) {
+  const dir = path.join(contractsDir, folder);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+}
+
+/**
+ * Checks the contracts built from a test contracts directory like the contracts of the repository
+ * @param {Object} built - Contract keys mapped to prices grouped by subscribed power
+ * @param {Function} validateSchema - Schema validator, see createSchemaValidator
+ * @param {string} label - Contracts, for the error messages
+ */
+function validateBuiltContracts(built, validateSchema, label) {
+  validateSchema("contracts.schema.json", built, label);
+  const { violations } = checkTimeline(built);
+  if (violations.length > 0) {
+    throw new Error(violations.map(({ message }) => message).join("\n"));
+  }
+  for (const [contractKey, contractData] of Object.entries(built)) {
+    for (const [power, prices] of Object.entries(contractData)) {
+      validateContractSpecificRequirements(prices, contractKey);
+      validateSubscriptionRanges(prices, `${contractKey}[${power}]`);
+    }
+  }
+}
+
+/**
+ * Builds a contracts directory holding a week-end offer, priced by calendar day type over two periods, and checks it
+ * like the contracts of the repository, its subscriptions against the regulated tariff of the build
+ * @param {Function} validateSchema - Schema validator, see createSchemaValidator
+ * @param {Object} contractsData - Contracts of the build, holding the regulated tariffs
+ */
+function testWeekEndBuild(validateSchema, contractsData) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "energy-contracts-"));
+  try {
+    writeContractFolder(dir, path.join("test", "week-end"), {
+      "manifest.json": JSON.stringify({
+        provider: "test",
+        offer: "Week-End",
+        kind: "week-end",
+        format: "csv",
+        source: "Option_Week_End.csv",
+        tax: "TTC",
+        units: { price: "euro", subscription: "year" },
+        consumption: [
+          {
+            column: "PART_VARIABLE_SEMAINE",
+            hour_slots: null,
+            day_type: "weekday",
+          },
+          {
+            column: "PART_VARIABLE_WEEK_END",
+            hour_slots: null,
+            day_type: "weekend",
+          },
+        ],
+        subscription: { column: "PART_FIXE" },
+      }),
+      "Option_Week_End.csv": [
+        "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_TTC;PART_VARIABLE_SEMAINE_TTC;PART_VARIABLE_WEEK_END_TTC",
+        "01/02/2025;31/07/2025;6;175,2;0,2516;0,1512",
+        "01/08/2025;;6;190,8;0,2452;0,1478",
+      ].join("\n"),
+    });
+
+    const built = processAllContracts({
+      quiet: true,
+      strict: true,
+      contractsDir: dir,
+    });
+    validateBuiltContracts(built, validateSchema, "week-end contracts");
+    const dayTypes = new Set(
+      built["test-week-end"][6]
+        .filter((p) => p.price_type === "consumption")
+        .map((p) => p.day_type),
+    );
+    if (dayTypes.size !== 2) {
+      throw new Error("test-week-end should price weekdays and weekends");
+    }
+    const warnings = checkSubscriptionPlausibility({
+      "edf-base": contractsData["edf-base"],
+      ...built,
+    });
+    if (warnings.length > 0) {
+      throw new Error(warnings.map((warning) => warning.message).join("\n"));
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Builds a contracts directory holding an EJP offer over two periods and checks it like the contracts of the
+ * repository: its normal and peak days must each cover the 48 half hours
+ * @param {Function} validateSchema - Schema validator, see createSchemaValidator
+ */
+function testEjpBuild(validateSchema) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "energy-contracts-"));
+  try {
+    const peakSlots = Array.from({ length: 48 }, (_, index) => {
+      const hours = String(Math.floor(index / 2)).padStart(2, "0");
+      return `${hours}:${index % 2 === 0 ? "00" : "30"}`;
+    }).filter((slot) => slot < "01:00" || slot >= "07:00");
+    writeContractFolder(dir, path.join("test", "ejp"), {
+      "manifest.json": JSON.stringify({
+        provider: "test",
+        offer: "EJP",
+        kind: "ejp",
+        format: "csv",
+        source: "Option_EJP.csv",
+        tax: "TTC",
+        units: { price: "euro", subscription: "year" },
+        consumption: [
+          {
+            column: "PART_VARIABLE_HN",
+            hour_slots: null,
+            day_type: "normal",
+            day_start: "07:00",
+          },
+          {
+            column: "PART_VARIABLE_HN",
+            hour_slots:
+              "01:00,01:30,02:00,02:30,03:00,03:30,04:00,04:30,05:00,05:30,06:00,06:30",
+            day_type: "peak",
+            day_start: "07:00",
+          },
+          {
+            column: "PART_VARIABLE_PM",
+            hour_slots: peakSlots.join(","),
+            day_type: "peak",
+            day_start: "07:00",
+          },
+        ],
+        subscription: { column: "PART_FIXE" },
+      }),
+      "Option_EJP.csv": [
+        "DATE_DEBUT;DATE_FIN;P_SOUSCRITE;PART_FIXE_TTC;PART_VARIABLE_HN_TTC;PART_VARIABLE_PM_TTC",
+        "01/02/2025;31/07/2025;6;175,2;0,1512;0,9",
+        "01/08/2025;;6;190,8;0,1478;0,88",
+      ].join("\n"),
+    });
+
+    const built = processAllContracts({
+      quiet: true,
+      strict: true,
+      contractsDir: dir,
+    });
+    validateBuiltContracts(built, validateSchema, "EJP contracts");
+    const consumptionPrices = built["test-ejp"][6].filter(
+      (p) => p.price_type === "consumption",
+    );
+    if (consumptionPrices.length !== 6) {
+      throw new Error("test-ejp should have three consumption prices a period");
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Builds a contracts directory holding a gas offer over two periods, grouped by consumption band and priced by tariff
+ * zone, and checks it like the contracts of the repository
+ * @param {Function} validateSchema - Schema validator, see createSchemaValidator
+ */
+function testGasBuild(validateSchema) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "energy-contracts-"));
+  try {
+    writeContractFolder(dir, path.join("test", "gas"), {
+      "manifest.json": JSON.stringify({
+        provider: "test",
+        offer: "Gas",
+        kind: "base",
+        energy: "gas",
+        format: "csv",
+        source: "Prix_Repere_Gaz.csv",
+        tax: "TTC",
+        units: { price: "euro", subscription: "year" },
+        consumption: [
+          { column: "PART_VARIABLE", hour_slots: null, day_type: null },
+        ],
+        subscription: { column: "PART_FIXE" },
+      }),
+      "Prix_Repere_Gaz.csv": [
+        "DATE_DEBUT;DATE_FIN;ZONE;TRANCHE;PART_FIXE_HT;PART_FIXE_TTC;PART_VARIABLE_HT;PART_VARIABLE_TTC",
+        "01/07/2025;31/12/2025;1;B1;218,4;273,6;0,0841;0,1203",
+        "01/07/2025;31/12/2025;2;B1;232,8;290,88;0,086;0,1226",
+        "01/01/2026;;1;B1;220,8;276,48;0,0856;0,1221",
+        "01/01/2026;;2;B1;235,2;293,76;0,0875;0,1244",
+      ].join("\n"),
+    });
+
+    const built = processAllContracts({
+      quiet: true,
+      strict: true,
+      contractsDir: dir,
+    });
+    validateBuiltContracts(built, validateSchema, "gas contracts");
+    const prices = built["test-gas"].B1;
+    if (!prices || prices.some((p) => p.energy !== "gas")) {
+      throw new Error("test-gas should give gas prices for the B1 band");
+    }
+    if (new Set(prices.map((p) => p.zone)).size !== 2) {
+      throw new Error("test-gas should give the prices of both tariff zones");
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Builds a contracts directory holding a feed-in offer over two quarters, grouped by installed power band, and checks
+ * it like the contracts of the repository: it only gives production prices
+ * @param {Function} validateSchema - Schema validator, see createSchemaValidator
+ */
+function testFeedInBuild(validateSchema) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "energy-contracts-"));
+  try {
+    writeContractFolder(dir, path.join("test", "feed-in"), {
+      "manifest.json": JSON.stringify({
+        provider: "test",
+        offer: "Feed-In",
+        kind: "feed-in",
+        format: "feed-in",
+        source: "Tarifs_OA_Solaire.csv",
+        contract_years: 20,
+        units: { price: "euro" },
+        production: { column: "TARIF_SURPLUS" },
+      }),
+      "Tarifs_OA_Solaire.csv": [
+        "DATE_DEBUT;DATE_FIN;PUISSANCE_MIN;PUISSANCE_MAX;TARIF_SURPLUS;TARIF_TOTALITE",
+        "01/11/2025;31/01/2026;0;9;0,04;0,0731",
+        "01/11/2025;31/01/2026;9;100;0,04;0,0635",
+        "01/02/2026;;0;9;0,0386;0,0705",
+        "01/02/2026;;9;100;0,0386;0,0613",
+      ].join("\n"),
+    });
+
+    const built = processAllContracts({
+      quiet: true,
+      strict: true,
+      contractsDir: dir,
+    });
+    validateBuiltContracts(built, validateSchema, "feed-in contracts");
+    const contractData = built["test-feed-in"];
+    if (Object.keys(contractData).join(",") !== "0-9,9-100") {
+      throw new Error("test-feed-in should be grouped by installed power band");
+    }
+    for (const prices of Object.values(contractData)) {
+      if (prices.some((p) => p.price_type !== "production")) {
+        throw new Error("test-feed-in should only give production prices");
+      }
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Builds a contracts directory holding a spot-indexed offer and checks it like the contracts of the repository,
+ * with and without the day-ahead prices of the build
+ * @param {Function} validateSchema - Schema validator, see createSchemaValidator
+ */
+function testSpotIndexedBuild(validateSchema) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "energy-contracts-"));
+  try {
+    writeContractFolder(dir, path.join("test", "spot"), {
+      "manifest.json": JSON.stringify({
+        provider: "test",
+        offer: "Spot",
+        kind: "spot-indexed",
+        format: "spot",
+        units: { price: "euro/10000", subscription: "month" },
+        formula: { margin: 0.01, turpe: 0.04, accise: 0.03, vat: 0.2 },
+        sources: { subscription: "subscription.json" },
+      }),
+      "subscription.json": JSON.stringify({
+        6: [
+          {
+            contract: "spot-indexed",
+            price_type: "subscription",
+            currency: "euro",
+            start_date: "2025-01-01",
+            end_date: null,
+            price: 155000,
+            hour_slots: null,
+            day_type: null,
+          },
+        ],
+      }),
+    });
+    const spotPrices = path.join(dir, "Day_Ahead_FR.csv");
+    fs.writeFileSync(
+      spotPrices,
+      [
+        "DATE;HEURE;PRIX",
+        "2025-03-01;00:00;80",
+        "2025-03-01;01:00;-15,5",
+        "2025-03-02;00:00;95",
+      ].join("\n"),
+    );
+
+    const built = processAllContracts({
+      quiet: true,
+      strict: true,
+      contractsDir: dir,
+      spotPrices,
+    });
+    validateBuiltContracts(built, validateSchema, "spot-indexed contracts");
+    const prices = built["test-spot"][6];
+    if (prices.filter((p) => p.price_type === "consumption").length !== 3) {
+      throw new Error("test-spot should have one consumption price per hour");
+    }
+
+    // Without day-ahead prices, as in the release workflow, the offer is left out instead of failing the build
+    const released = processAllContracts({
+      quiet: true,
+      strict: true,
+      contractsDir: dir,
+    });
+    if (Object.keys(released).length !== 0) {
+      throw new Error("test-spot should be skipped without day-ahead prices");
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
 }
 
 /**
@@ -201,6 +603,10 @@ function runTests() {
     }
     console.log("✅ Valid JSON format");
 
+    const validateSchema = createSchemaValidator();
+    validateSchema("contracts.schema.json", contractsData, "contracts.json");
+    console.log("✅ contracts.json matches contracts.schema.json");
+
     // Step 4: Validate top-level structure
     if (typeof contractsData !== "object" || contractsData === null) {
       throw new Error("contracts.json should contain an object at root level");
@@ -243,17 +649,6 @@ function runTests() {
           );
         }
 
-        // Validate each price object
-        for (let i = 0; i < prices.length; i++) {
-          try {
-            validatePriceObject(prices[i], `${contractType}[${power}][${i}]`);
-          } catch (error) {
-            throw new Error(
-              `Price validation failed for ${contractType}[${power}][${i}]: ${error.message}`,
-            );
-          }
-        }
-
         // Validate contract-specific requirements
         validateContractSpecificRequirements(prices, contractType);
       }
@@ -261,6 +656,176 @@ function runTests() {
 
     console.log("✅ All price objects have valid structure");
 
+    // Validate the hand-maintained source files against their own schemas
+    const sourceFiles = findSourceJsonFiles(path.join(__dirname, "contracts"));
+    for (const sourceFile of sourceFiles) {
+      validateSchema(
+        path.basename(sourceFile).replace(".json", ".schema.json"),
+        JSON.parse(fs.readFileSync(sourceFile, "utf-8")),
+        path.relative(__dirname, sourceFile),
+      );
+    }
+    console.log(
+      `✅ ${sourceFiles.length} contract.json / subscription.json / metadata.json files match their schemas`,
+    );
+
+    // Validate the versioned document and that it converts back to contracts.json
+    const contractsV2Path = path.join(__dirname, "contracts.v2.json");
+    if (!fs.existsSync(contractsV2Path)) {
+      throw new Error("contracts.v2.json was not created");
+    }
+    const contractsV2Data = JSON.parse(
+      fs.readFileSync(contractsV2Path, "utf-8"),
+    );
+    validateSchema(
+      "contracts.v2.schema.json",
+      contractsV2Data,
+      "contracts.v2.json",
+    );
+    if (
+      JSON.stringify(fromVersion2(contractsV2Data)) !==
+      JSON.stringify(contractsData)
+    ) {
+      throw new Error(
+        "contracts.v2.json does not convert back to contracts.json",
+      );
+    }
+    console.log(
+      "✅ contracts.v2.json matches contracts.v2.schema.json and converts back to contracts.json",
+    );
+    const metadataKeys = Object.keys(contractsV2Data.metadata);
+    for (const contractKey of metadataKeys) {
+      if (!contractTypes.includes(contractKey)) {
+        throw new Error(
+          `contracts.v2.json has metadata for '${contractKey}', which is not in contracts.json`,
+        );
+      }
+    }
+    console.log(
+      `✅ ${metadataKeys.length} contracts have metadata in contracts.v2.json`,
+    );
+
+    // Validate the off-peak schedules catalogue
+    validateSchema(
+      "off-peak-schedules.schema.json",
+      JSON.parse(fs.readFileSync(OFF_PEAK_SCHEDULES_PATH, "utf-8")),
+      "schedules/off-peak-schedules.json",
+    );
+    console.log(
+      `✅ ${readOffPeakSchedules().length} off-peak schedules match off-peak-schedules.schema.json`,
+    );
+
+    // The contracts written with --off-peak-schedule follow the schema of contracts.json
+    for (const schedule of readOffPeakSchedules()) {
+      validateSchema(
+        "contracts.schema.json",
+        materializeOffPeakHours(contractsData, schedule),
+        `contracts-off-peak-${schedule.id}.json`,
+      );
+    }
+    console.log(
+      "✅ Contracts with the off-peak hours of every schedule match contracts.schema.json",
+    );
+
+    // Validate the tax rates table against the published HT and TTC prices
+    validateSchema(
+      "tax-rates.schema.json",
+      JSON.parse(fs.readFileSync(TAX_RATES_PATH, "utf-8")),
+      "taxes/tax-rates.json",
+    );
+    const taxRates = readTaxRates();
+    const taxedContracts = applyTaxRates(contractsData, taxRates, taxRates);
+    let checkedPrices = 0;
+    for (const [contractKey, contractData] of Object.entries(contractsData)) {
+      for (const [power, prices] of Object.entries(contractData)) {
+        prices.forEach((price, index) => {
+          const taxed = taxedContracts[contractKey][power][index];
+          if (price.price_ht === undefined || taxed === price) return;
+
+          // Sources round TTC prices to 4 decimals
+          if (Math.abs(taxed.price - price.price) > 1) {
+            throw new Error(
+              `${contractKey} ${power} kVA ${price.price_type} price from ${price.start_date}: HT ${price.price_ht} with taxes gives ${taxed.price}, expected TTC ${price.price}`,
+            );
+          }
+          checkedPrices++;
+        });
+      }
+    }
+    console.log(
+      `✅ taxes/tax-rates.json matches tax-rates.schema.json and the HT / TTC difference of ${checkedPrices} prices`,
+    );
+
+    // Validate the subscription prices against the regulated tariff of the same power
+    const subscriptionWarnings = checkSubscriptionPlausibility(contractsData);
+    if (subscriptionWarnings.length > 0) {
+      throw new Error(
+        subscriptionWarnings.map((warning) => warning.message).join("\n"),
+      );
+    }
+    console.log(
+      "✅ Subscription prices are within 0.85 and 1.5 times the regulated tariff",
+    );
+
+    // Validate the CSV files exported next to XLSX sources against their workbook
+    const exportDiffs = collectCsvExportDiffs();
+    if (exportDiffs.length > 0) {
+      throw new Error(
+        exportDiffs.map((difference) => difference.message).join("\n"),
+      );
+    }
+    console.log("✅ CSV exports match their XLSX sources");
+
+    // Validate the tempo calendar written next to contracts.json
+    const calendarPath = path.join(__dirname, "tempo-calendar.json");
+    if (!fs.existsSync(calendarPath)) {
+      throw new Error("tempo-calendar.json was not created");
+    }
+    validateSchema(
+      "tempo-calendar.schema.json",
+      JSON.parse(fs.readFileSync(calendarPath, "utf-8")),
+      "tempo-calendar.json",
+    );
+    console.log("✅ tempo-calendar.json matches tempo-calendar.schema.json");
+
+    // Every price must be traceable to an input of the build, as it was when the build read it
+    const buildManifestPath = path.join(__dirname, "build-manifest.json");
+    if (!fs.existsSync(buildManifestPath)) {
+      throw new Error("build-manifest.json was not created");
+    }
+    const buildManifest = JSON.parse(
+      fs.readFileSync(buildManifestPath, "utf-8"),
+    );
+    validateSchema(
+      "build-manifest.schema.json",
+      buildManifest,
+      "build-manifest.json",
+    );
+    for (const output of buildManifest.outputs) {
+      if (hashFile(path.join(__dirname, output.file)) !== output.sha256) {
+        throw new Error(
+          `build-manifest.json has a wrong checksum for ${output.file}`,
+        );
+      }
+    }
+    const inputFiles = new Set(buildManifest.inputs.map(({ file }) => file));
+    let tracedPrices = 0;
+    for (const [contractKey, contractData] of Object.entries(contractsData)) {
+      for (const [power, prices] of Object.entries(contractData)) {
+        for (const { source } of prices) {
+          if (!inputFiles.has(source.file)) {
+            throw new Error(
+              `${contractKey}[${power}]: price source ${source.file} is not an input of build-manifest.json`,
+            );
+          }
+          tracedPrices++;
+        }
+      }
+    }
+    console.log(
+      `✅ ${tracedPrices} prices traced to the ${inputFiles.size} inputs of build-manifest.json`,
+    );
+
     // Step 6: Validate expected contract types exist
     console.log("\n📋 Step 4: Checking expected contract types...");
     const expectedContracts = ["edf-base", "edf-peak-off-peak", "edf-tempo"];
@@ -279,38 +844,35 @@ function runTests() {
       const contractData = contractsData[contractType];
 
       for (const power of Object.keys(contractData)) {
-        const prices = contractData[power];
-        const subscriptionPrices = prices.filter(
-          (p) => p.price_type === "subscription",
-        );
-        const consumptionPrices = prices.filter(
-          (p) => p.price_type === "consumption",
-        );
-
-        // Get unique date ranges for consumption prices
-        const consumptionDateRanges = new Set(
-          consumptionPrices.map((p) => `${p.start_date}|${p.end_date}`),
-        );
-
-        // Get unique date ranges for subscription prices
-        const subscriptionDateRanges = new Set(
-          subscriptionPrices.map((p) => `${p.start_date}|${p.end_date}`),
+        validateSubscriptionRanges(
+          contractData[power],
+          `${contractType}[${power}]`,
         );
-
-        // Each consumption date range should have a corresponding subscription
-        for (const dateRange of consumptionDateRanges) {
-          if (!subscriptionDateRanges.has(dateRange)) {
-            throw new Error(
-              `${contractType}[${power}]: Missing subscription price for date range ${dateRange}`,
-            );
-          }
-        }
       }
     }
     console.log(
       "✅ All subscription prices are consistent with consumption prices",
     );
 
+    testWeekEndBuild(validateSchema, contractsData);
+    console.log(
+      "✅ Week-end offers build with their timeline and plausible subscriptions",
+    );
+
+    testEjpBuild(validateSchema);
+    console.log("✅ EJP offers build with their timeline and whole days");
+
+    testGasBuild(validateSchema);
+    console.log("✅ Gas offers build by consumption band and tariff zone");
+
+    testFeedInBuild(validateSchema);
+    console.log("✅ Feed-in offers build by installed power band");
+
+    testSpotIndexedBuild(validateSchema);
+    console.log(
+      "✅ Spot-indexed offers build with day-ahead prices and are skipped without them",
+    );
+
     // Step 8: Summary statistics
     console.log("\n📊 SUMMARY STATISTICS:");
     console.log("=".repeat(30));